@@ -0,0 +1,143 @@
+-- Analytics reports behind GET /api/analytics/:chatbotId/*.
+-- Run once in the Supabase SQL editor (safe to re-run). The server calls these functions with
+-- supabase.rpc, so messages are counted in Postgres instead of being loaded into the server.
+-- Run schema.sql and transcripts.sql first; they add the tables and columns these reports count.
+
+create index if not exists messages_chatbot_created_idx on messages (chatbot_id, created_at);
+create index if not exists messages_conversation_created_idx on messages (conversation_id, created_at);
+create index if not exists conversations_chatbot_started_idx on conversations (chatbot_id, started_at);
+
+-- Totals, rates and breakdowns for one bot between p_from and p_to
+create or replace function analytics_summary(p_chatbot_id text, p_from timestamptz, p_to timestamptz)
+returns json language sql stable as $$
+  with convs as (
+    select * from conversations
+    where chatbot_id = p_chatbot_id and started_at >= p_from and started_at < p_to
+  ), msgs as (
+    select * from messages
+    where chatbot_id = p_chatbot_id and created_at >= p_from and created_at < p_to
+  )
+  select json_build_object(
+    'conversations', (select count(*) from convs),
+    'messages', (select count(*) from msgs),
+    'avgConversationLength', (select round(avg(message_count), 1) from convs),
+    'avgResponseMs', (select round(avg(response_ms)) from msgs where role = 'assistant'),
+    'handoffs', (select count(*) from convs where handoff_requested_at is not null),
+    'botReplies', (select count(*) from msgs where role = 'assistant'),
+    'unanswered', (select count(*) from msgs where role = 'assistant' and unanswered),
+    'faqHits', (select count(*) from msgs where cache_hit = 'faq'),
+    'cacheHits', (select count(*) from msgs where cache_hit = 'cache'),
+    'ratedUp', (select count(*) from msgs where rating = 1),
+    'ratedDown', (select count(*) from msgs where rating = -1),
+    'intents', (
+      select coalesce(json_agg(t order by t.count desc), '[]')
+      from (select coalesce(intent, 'unclassified') as intent, count(*) as count from msgs where role = 'user' group by 1) t
+    ),
+    'languages', (
+      select coalesce(json_agg(t order by t.count desc), '[]')
+      from (select coalesce(language_detected, 'unknown') as language, count(*) as count from convs group by 1) t
+    )
+  );
+$$;
+
+-- Conversations, messages and ratings per hour or day (p_interval) in the bot's time zone, gaps included.
+-- Answers are counted in the bucket they were given, not when they were rated.
+drop function if exists analytics_timeseries(text, timestamptz, timestamptz, text, text);
+create function analytics_timeseries(p_chatbot_id text, p_from timestamptz, p_to timestamptz, p_interval text, p_time_zone text)
+returns table (bucket timestamp, conversations bigint, messages bigint, questions bigint, handoffs bigint, unanswered bigint, rated_up bigint, rated_down bigint)
+language sql stable as $$
+  with buckets as (
+    select generate_series(
+      date_trunc(p_interval, p_from at time zone p_time_zone),
+      p_to at time zone p_time_zone,
+      ('1 ' || p_interval)::interval
+    ) as bucket
+  ), convs as (
+    select date_trunc(p_interval, started_at at time zone p_time_zone) as bucket,
+      count(*) as conversations,
+      count(handoff_requested_at) as handoffs
+    from conversations
+    where chatbot_id = p_chatbot_id and started_at >= p_from and started_at < p_to
+    group by 1
+  ), msgs as (
+    select date_trunc(p_interval, created_at at time zone p_time_zone) as bucket,
+      count(*) as messages,
+      count(*) filter (where role = 'user') as questions,
+      count(*) filter (where unanswered) as unanswered,
+      count(*) filter (where rating = 1) as rated_up,
+      count(*) filter (where rating = -1) as rated_down
+    from messages
+    where chatbot_id = p_chatbot_id and created_at >= p_from and created_at < p_to
+    group by 1
+  )
+  select b.bucket,
+    coalesce(c.conversations, 0),
+    coalesce(m.messages, 0),
+    coalesce(m.questions, 0),
+    coalesce(c.handoffs, 0),
+    coalesce(m.unanswered, 0),
+    coalesce(m.rated_up, 0),
+    coalesce(m.rated_down, 0)
+  from buckets b
+  left join convs c using (bucket)
+  left join msgs m using (bucket)
+  order by b.bucket;
+$$;
+
+-- Most asked questions, grouped by normalized text (messages.question_key)
+create or replace function analytics_top_questions(p_chatbot_id text, p_from timestamptz, p_to timestamptz, p_limit int)
+returns table (question_key text, question text, count bigint, last_asked_at timestamptz)
+language sql stable as $$
+  select question_key,
+    (array_agg(content order by created_at desc))[1],
+    count(*),
+    max(created_at)
+  from messages
+  where chatbot_id = p_chatbot_id and role = 'user' and question_key is not null
+    and created_at >= p_from and created_at < p_to
+  group by question_key
+  order by count(*) desc, max(created_at) desc
+  limit p_limit;
+$$;
+
+-- Questions the bot couldn't answer from its knowledge base, with the latest reply it gave
+create or replace function analytics_unanswered(p_chatbot_id text, p_from timestamptz, p_to timestamptz, p_limit int)
+returns table (question_key text, question text, count bigint, last_asked_at timestamptz, last_reply text)
+language sql stable as $$
+  select q.question_key,
+    (array_agg(q.content order by a.created_at desc))[1],
+    count(*),
+    max(a.created_at),
+    (array_agg(a.content order by a.created_at desc))[1]
+  from messages a
+  cross join lateral (
+    select u.content, u.question_key
+    from messages u
+    where u.conversation_id = a.conversation_id and u.role = 'user' and u.created_at <= a.created_at
+    order by u.created_at desc
+    limit 1
+  ) q
+  where a.chatbot_id = p_chatbot_id and a.role = 'assistant' and a.unanswered
+    and a.created_at >= p_from and a.created_at < p_to
+  group by q.question_key
+  order by count(*) desc, max(a.created_at) desc
+  limit p_limit;
+$$;
+
+-- LLM token usage and cost for the given bots between p_from and p_to, summed per bot, period
+-- (p_period 'day' or 'month', UTC), model and purpose. Behind the usage reports and monthly budget checks.
+create or replace function analytics_llm_usage(p_chatbot_ids text[], p_from timestamptz, p_to timestamptz, p_period text default 'day')
+returns table (chatbot_id text, period text, model text, purpose text, calls bigint, prompt_tokens bigint, completion_tokens bigint, cost_usd numeric)
+language sql stable as $$
+  select u.chatbot_id::text,
+    to_char(u.created_at at time zone 'utc', case when p_period = 'month' then 'YYYY-MM' else 'YYYY-MM-DD' end),
+    u.model::text,
+    u.purpose::text,
+    count(*),
+    coalesce(sum(u.prompt_tokens), 0)::bigint,
+    coalesce(sum(u.completion_tokens), 0)::bigint,
+    coalesce(sum(u.cost_usd), 0)::numeric
+  from llm_usage u
+  where u.chatbot_id = any(p_chatbot_ids) and u.created_at >= p_from and u.created_at < p_to
+  group by 1, 2, 3, 4;
+$$;
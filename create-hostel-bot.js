@@ -1,3 +1,12 @@
+import 'dotenv/config';
+
+const salesStyle = `- Be enthusiastic and helpful
+- Highlight value and benefits
+- Compare to alternatives when relevant (e.g., "cheaper than hotels!")
+- Create subtle urgency when appropriate
+- End responses with a soft call-to-action or question to keep conversation going
+- Example: "We're located right on the beach with FREE parking and WiFi - way better value than hotels! When are you thinking of visiting?"`;
+
 const hostelData = {
     clientName: "My Hawaii Hostel",
     businessName: "My Hawaii Hostel",
@@ -74,6 +83,107 @@ const hostelData = {
   
   We believe affordable accommodation shouldn't mean sacrificing style, comfort, or quality service. Our facilities are designed for travelers looking for an interactive, socially-driven lodging experience where you can make new friends while exploring the Big Island.`,
   
+    starterPrompts: [
+      'What are your room prices?',
+      'What time is check-in?',
+      'Do you have parking?',
+      'How far from the beach?',
+      'Do you have private rooms?',
+      'What activities are nearby?'
+    ],
+  
+    followUpSuggestions: {
+      enabled: true,
+      count: 3
+    },
+  
+    leadCapture: {
+      enabled: true,
+      fields: ['name', 'email', 'phone', 'partySize', 'checkIn', 'checkOut', 'roomType']
+    },
+  
+    // Sample availability/pricing until the booking engine is connected
+    tools: [
+      { name: 'check_availability', type: 'mock_availability' }
+    ],
+  
+    intents: {
+      classifier: 'llm',
+      defaultIntent: 'general',
+      intents: [
+        {
+          name: 'pricing',
+          description: 'Asking about room prices, rates or deals',
+          examples: ['How much is a dorm bed?', 'What are your rates for a private room?'],
+          keywords: ['price', 'cost', 'rate', 'expensive', 'cheap', 'deal'],
+          style: salesStyle
+        },
+        {
+          name: 'booking',
+          description: 'Asking about availability or making a reservation',
+          examples: ['Do you have beds available next week?', 'Can I book for 3 nights?'],
+          keywords: ['available', 'availability', 'book', 'booking', 'reserve', 'reservation'],
+          style: salesStyle
+        },
+        {
+          name: 'rooms',
+          description: 'Asking about room types, beds or dorms',
+          examples: ['Do you have private rooms?', 'How many beds are in the dorm?'],
+          keywords: ['room', 'bed', 'dorm', 'private'],
+          style: salesStyle
+        },
+        {
+          name: 'general',
+          description: 'Check-in, amenities, location, activities and anything else',
+          examples: ['What time is check-in?', 'How far is the beach?', 'Do you have parking?'],
+          keywords: [],
+          style: `- Be friendly and helpful
+- Provide clear, accurate information
+- Offer proactive suggestions
+- Keep responses concise but warm
+- Example: "Check-in is at 3pm! If you arrive early, we have free luggage storage. Need any beach recommendations for your stay?"`
+        }
+      ]
+    },
+  
+    prompt: {
+      timeZone: 'Pacific/Honolulu',
+      handoffRules: [
+        'Payment or reservation issues',
+        'Emergency situations',
+        'Specific requests that require staff approval (like late check-in arrangements)',
+        'Questions about topics NOT covered in the knowledge base'
+      ],
+      instructions: 'For general questions about rooms, prices, amenities, location, beaches, activities, etc. - answer confidently using the knowledge base! You have extensive local knowledge - use it!'
+    },
+  
+    persona: {
+      tone: 'warm and conversational, not robotic',
+      answerLength: 'short',
+      emojis: 'sparingly',
+      favoriteEmojis: ['🏖️', '🌺']
+    },
+  
+    contact: {
+      phone: '(808) 374-2131',
+      email: 'info@myhawaiihostel.com',
+      website: 'myhawaiihostel.com'
+    },
+  
+    // Approved answers served without calling the model
+    faqs: [
+      {
+        question: 'What time is check-in?',
+        variants: ['When is check-in?', 'What time can I check in?'],
+        answer: 'Check-in is at 3pm and check-out is at 11am. Arriving early? We have free luggage storage so you can head to the beach right away! 🌺'
+      },
+      {
+        question: 'Do you have parking?',
+        variants: ['Is there parking?', 'Where can I park?'],
+        answer: "Yes! There's a parking lot right next to the building (first come, first served), plus overflow public parking just 100 meters away."
+      }
+    ],
+  
     customization: {
       primaryColor: '#0066FF',
       welcomeMessage: "Aloha! 🌺 I'm the AI assistant for My Hawaii Hostel. How can I help you today? Ask me about rooms, pricing, amenities, booking, or things to do in Kona!"
@@ -84,7 +194,10 @@ const hostelData = {
     try {
       const response = await fetch('http://localhost:3001/api/admin/create-chatbot', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${process.env.ADMIN_API_KEY}`
+        },
         body: JSON.stringify(hostelData)
       });
   
@@ -0,0 +1,70 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Ingest documents into a chatbot's knowledge base.
+// Usage: node ingest-docs.js <chatbotId> <file> [file...] [--format markdown|html|text|csv|pdf]
+// PDFs must be converted to text first (e.g. `pdftotext menu.pdf`), then ingested with --format pdf.
+
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3001';
+
+const FORMATS_BY_EXTENSION = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.csv': 'csv'
+};
+
+async function ingestFile(chatbotId, file, format) {
+  const content = await fs.readFile(file, 'utf-8');
+
+  const response = await fetch(`${SERVER_URL}/api/admin/chatbots/${chatbotId}/knowledge-sources`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.ADMIN_API_KEY}`
+    },
+    body: JSON.stringify({ name: path.basename(file), format, content })
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    console.error(`❌ ${file}: ${result.error}`);
+    return;
+  }
+
+  console.log(`${result.replaced ? '🔄 Updated' : '✅ Added'} ${file} (${result.source.sectionCount} sections)`);
+  result.source.titles.forEach(title => console.log(`   - ${title}`));
+}
+
+async function ingestDocs() {
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const formatOverride = formatIndex !== -1 ? args.splice(formatIndex, 2)[1] : null;
+  const [chatbotId, ...files] = args;
+
+  if (!chatbotId || files.length === 0) {
+    console.error('Usage: node ingest-docs.js <chatbotId> <file> [file...] [--format markdown|html|text|csv|pdf]');
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const file of files) {
+    const format = formatOverride || FORMATS_BY_EXTENSION[path.extname(file).toLowerCase()];
+    if (!format) {
+      console.error(`❌ ${file}: unknown file type - pass --format`);
+      continue;
+    }
+
+    try {
+      await ingestFile(chatbotId, file, format);
+    } catch (error) {
+      console.error(`❌ ${file}:`, error.message);
+    }
+  }
+}
+
+ingestDocs();
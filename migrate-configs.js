@@ -0,0 +1,55 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import { createClient } from '@supabase/supabase-js';
+
+// One-shot import of existing bots into the Supabase `chatbots` table.
+// Reads ./chatbot-configs.json, or the CHATBOT_CONFIGS env var if the file is missing.
+// Safe to re-run: rows are upserted by chatbot ID. Create the table with schema.sql first.
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function readConfigs() {
+  try {
+    const data = await fs.readFile('./chatbot-configs.json', 'utf-8');
+    console.log('📂 Reading chatbot-configs.json');
+    return JSON.parse(data);
+  } catch {
+    if (!process.env.CHATBOT_CONFIGS) return [];
+    console.log('📂 Reading CHATBOT_CONFIGS environment variable');
+    return JSON.parse(process.env.CHATBOT_CONFIGS);
+  }
+}
+
+async function migrateConfigs() {
+  try {
+    const configs = await readConfigs();
+
+    if (configs.length === 0) {
+      console.log('⚠️  No chatbot configs found - nothing to migrate');
+      return;
+    }
+
+    const { error } = await supabase
+      .from('chatbots')
+      .upsert(configs.map(config => ({
+        id: config.id,
+        config,
+        active: config.active !== false,
+        updated_at: new Date().toISOString()
+      })));
+
+    if (error) throw error;
+
+    console.log(`\n✅ Migrated ${configs.length} chatbot(s) to Supabase\n`);
+    configs.forEach(config => console.log(`  - ${config.businessName} (${config.id})`));
+    console.log('\nSet CONFIG_STORE=supabase (the default on Vercel) to serve bots from the database.\n');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+migrateConfigs();
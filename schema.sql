@@ -0,0 +1,209 @@
+-- Tables and columns the server reads and writes in Supabase.
+-- Run once in the Supabase SQL editor (safe to re-run), then transcripts.sql and analytics.sql.
+-- Databases created before these features get the missing tables and columns added.
+
+-- Bot configs, when CONFIG_STORE=supabase (see migrate-configs.js to import existing bots)
+create table if not exists chatbots (
+  id text primary key,
+  config jsonb not null,
+  active boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+-- Every saved config version, redacted, for diffs and rollback
+create table if not exists chatbot_revisions (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  version int not null,
+  action text not null,            -- create, update, ingest, rollback or delete
+  changed_by text,
+  config jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (chatbot_id, version)
+);
+
+-- Client API keys for the admin and analytics routes. Only the SHA-256 of the key is stored.
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  key_hash text not null unique,
+  key_prefix text not null,
+  chatbot_ids text[] not null default '{}',
+  permissions text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create table if not exists conversations (
+  id text primary key,
+  chatbot_id text not null,
+  message_count int not null default 0,
+  language_detected text,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz
+);
+
+-- Running summary of turns beyond memory.maxHistoryTurns
+alter table conversations add column if not exists summary text;
+
+-- Live handoff: 'bot', 'handoff_requested' or 'human'
+alter table conversations add column if not exists status text not null default 'bot';
+alter table conversations add column if not exists handoff_reason text;
+alter table conversations add column if not exists handoff_requested_by text;  -- 'guest' or 'bot'
+alter table conversations add column if not exists handoff_requested_at timestamptz;
+alter table conversations add column if not exists operator_name text;
+create index if not exists conversations_chatbot_status_idx on conversations (chatbot_id, status);
+
+-- Add messages to a conversation's count, creating the conversation on its first messages. created
+-- is true when this call inserted it. An ID already used by another bot is left alone (no row).
+create or replace function record_conversation_messages(p_id text, p_chatbot_id text, p_count int, p_language text default null)
+returns table (message_count int, created boolean) language sql as $$
+  insert into conversations as c (id, chatbot_id, message_count, language_detected)
+  values (p_id, p_chatbot_id, p_count, p_language)
+  on conflict (id) do update set
+    message_count = c.message_count + excluded.message_count,
+    language_detected = coalesce(excluded.language_detected, c.language_detected),
+    ended_at = now()
+  where c.chatbot_id = excluded.chatbot_id
+  returning c.message_count, c.xmax = 0;
+$$;
+
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id text not null,
+  chatbot_id text not null,
+  role text not null,              -- 'user', 'assistant' or 'operator'
+  content text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table messages add column if not exists intent text;
+alter table messages add column if not exists language text;
+alter table messages add column if not exists operator_name text;
+alter table messages add column if not exists question_key text;            -- normalized guest question
+alter table messages add column if not exists retrieved_chunk_ids text[];
+alter table messages add column if not exists config_version int;
+alter table messages add column if not exists cache_hit text;               -- 'faq' or 'cache'
+alter table messages add column if not exists unanswered boolean not null default false;
+alter table messages add column if not exists response_ms int;
+alter table messages add column if not exists model text;
+alter table messages add column if not exists prompt_tokens int not null default 0;
+alter table messages add column if not exists completion_tokens int not null default 0;
+alter table messages add column if not exists cost_usd numeric(12, 6) not null default 0;
+
+-- Knowledge base split into chunks for retrieval; rebuilt whenever the knowledge changes
+create table if not exists knowledge_chunks (
+  id text primary key,
+  chatbot_id text not null,
+  position int not null,
+  content text not null,
+  embedding jsonb,
+  embedder text,
+  source_hash text not null
+);
+create index if not exists knowledge_chunks_chatbot_idx on knowledge_chunks (chatbot_id, position);
+
+-- Contact details guests shared, one row per conversation
+create table if not exists leads (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  conversation_id text not null,
+  fields jsonb not null default '{}',
+  source text,                     -- 'chat' or 'form'
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists leads_chatbot_conversation_idx on leads (chatbot_id, conversation_id);
+create index if not exists leads_chatbot_created_idx on leads (chatbot_id, created_at);
+
+-- Every tool the model called, with its result
+create table if not exists tool_calls (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  conversation_id text,
+  tool_name text not null,
+  arguments jsonb,
+  result jsonb,
+  error text,
+  duration_ms int,
+  created_at timestamptz not null default now()
+);
+create index if not exists tool_calls_conversation_idx on tool_calls (chatbot_id, conversation_id, created_at);
+
+-- Answers reused for repeated questions until the bot's knowledge changes (source_hash)
+create table if not exists answer_cache (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  question_key text not null,
+  question text not null,
+  answer text not null,
+  embedding jsonb,
+  source_hash text not null,
+  hits int not null default 0,
+  created_at timestamptz not null default now(),
+  last_hit_at timestamptz,
+  unique (chatbot_id, question_key)
+);
+
+-- Blocked messages, redacted PII and ungrounded answers
+create table if not exists guardrail_events (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  conversation_id text,
+  type text not null,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists guardrail_events_chatbot_created_idx on guardrail_events (chatbot_id, created_at);
+
+-- One row per model call (chat replies and utility calls like summaries), for spend and budgets
+create table if not exists llm_usage (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  conversation_id text,
+  purpose text not null,
+  provider text,
+  model text,
+  prompt_tokens int not null default 0,
+  completion_tokens int not null default 0,
+  cost_usd numeric(12, 6) not null default 0,
+  created_at timestamptz not null default now()
+);
+create index if not exists llm_usage_chatbot_created_idx on llm_usage (chatbot_id, created_at);
+
+-- Rate limit counters, when RATE_LIMIT_STORE=supabase. /api/cron prunes old windows.
+create table if not exists rate_limits (
+  key text,
+  window_start timestamptz,
+  count int not null,
+  primary key (key, window_start)
+);
+
+create or replace function increment_rate_limit(p_key text, p_window_start timestamptz)
+returns int language sql as $$
+  insert into rate_limits as r values (p_key, p_window_start, 1)
+  on conflict (key, window_start) do update set count = r.count + 1
+  returning count;
+$$;
+
+-- Outbound webhook queue, one row per event and webhook. next_attempt_at is when the row is due;
+-- null once delivered or out of attempts. /api/cron retries due rows.
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  chatbot_id text not null,
+  webhook text not null,
+  event_id uuid not null,
+  event_type text not null,
+  url text not null,
+  payload jsonb not null,
+  attempt int not null default 0,
+  status_code int,
+  error text,
+  duration_ms int,
+  delivered boolean not null default false,
+  next_attempt_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (next_attempt_at) where not delivered;
+create index if not exists webhook_deliveries_chatbot_created_idx on webhook_deliveries (chatbot_id, created_at);
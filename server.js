@@ -1,9 +1,15 @@
 import express from 'express';
 import cors from 'cors';
 import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { EventEmitter } from 'events';
 import { createClient } from '@supabase/supabase-js';
+import { francAll } from 'franc-min';
 
 dotenv.config();
 
@@ -20,804 +26,6794 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-app.use(cors());
-app.use(express.json());
+// Behind Vercel's proxy (or TRUST_PROXY hops), req.ip is the visitor's address for rate limiting
+if (process.env.VERCEL || process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '1'));
+// Document ingestion takes bigger bodies, parsed on its own route once the API key has been checked
+const parseJson = express.json();
+app.use((req, res, next) => {
+  if (req.method === 'POST' && /^\/api\/admin\/chatbots\/[^/]+\/knowledge-sources\/?$/.test(req.path)) return next();
+  parseJson(req, res, next);
+});
+
+const CONFIG_FILE = './chatbot-configs.json';
+
+// Local development store: all configs in one JSON file
+const fileConfigStore = {
+  name: 'file',
+
+  async loadAll() {
+    try {
+      return JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
+    } catch {
+      return [];
+    }
+  },
+
+  async get(id) {
+    return (await this.loadAll()).find(c => c.id === id) || null;
+  },
+
+  async save(config) {
+    const configs = await this.loadAll();
+    const index = configs.findIndex(c => c.id === config.id);
+    if (index === -1) configs.push(config);
+    else configs[index] = config;
+    await fs.writeFile(CONFIG_FILE, JSON.stringify(configs, null, 2));
+  },
+
+  async remove(id) {
+    const configs = (await this.loadAll()).filter(c => c.id !== id);
+    await fs.writeFile(CONFIG_FILE, JSON.stringify(configs, null, 2));
+  }
+};
+
+// Production store: one row per bot in the Supabase `chatbots` table
+const supabaseConfigStore = {
+  name: 'supabase',
+
+  async loadAll() {
+    const { data, error } = await supabase.from('chatbots').select('config');
+    if (error) throw error;
+    return data.map(row => row.config);
+  },
+
+  async get(id) {
+    const { data, error } = await supabase.from('chatbots').select('config').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data?.config || null;
+  },
+
+  async save(config) {
+    const { error } = await supabase
+      .from('chatbots')
+      .upsert({
+        id: config.id,
+        config,
+        active: config.active !== false,
+        updated_at: new Date().toISOString()
+      });
+    if (error) throw error;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('chatbots').delete().eq('id', id);
+    if (error) throw error;
+  }
+};
+
+// Legacy read-only store: configs in the CHATBOT_CONFIGS env var
+const envConfigStore = {
+  name: 'env',
+
+  async loadAll() {
+    return JSON.parse(process.env.CHATBOT_CONFIGS || '[]');
+  },
+
+  async get(id) {
+    return (await this.loadAll()).find(c => c.id === id) || null;
+  },
+
+  async save() {
+    throw new Error('CHATBOT_CONFIGS is read-only - use CONFIG_STORE=supabase to edit bots');
+  },
+
+  async remove() {
+    throw new Error('CHATBOT_CONFIGS is read-only - use CONFIG_STORE=supabase to edit bots');
+  }
+};
+
+// CONFIG_STORE picks the store; Vercel defaults to Supabase since its filesystem is ephemeral
+const configStores = { file: fileConfigStore, supabase: supabaseConfigStore, env: envConfigStore };
+const configStore = configStores[process.env.CONFIG_STORE || (process.env.VERCEL ? 'supabase' : 'file')];
+if (!configStore) throw new Error(`Unknown CONFIG_STORE "${process.env.CONFIG_STORE}"`);
+
+// How long a cached config is trusted before re-reading the store
+const CONFIG_CACHE_TTL_MS = parseInt(process.env.CONFIG_CACHE_TTL_MS || '60000');
+
+// Chatbot config cache: id -> config, refreshed from the store after the TTL
+const chatbotConfigs = new Map();
+const configCachedAt = new Map();
+
+// Ids the store had no bot for, so unknown ids aren't looked up on every request.
+// Bounded since anyone can request /embed.js with any id.
+const MAX_MISSING_CONFIG_IDS = 1000;
+const missingConfigIds = new Map();
+
+function cacheConfig(config) {
+  chatbotConfigs.set(config.id, config);
+  configCachedAt.set(config.id, Date.now());
+  missingConfigIds.delete(config.id);
+}
+
+function cacheMissingConfig(id) {
+  chatbotConfigs.delete(id);
+  configCachedAt.delete(id);
+  missingConfigIds.delete(id);
+  missingConfigIds.set(id, Date.now());
+  if (missingConfigIds.size > MAX_MISSING_CONFIG_IDS) {
+    missingConfigIds.delete(missingConfigIds.keys().next().value);
+  }
+}
+
+// Get a chatbot config, hitting the store only when the cache is cold or stale
+async function getChatbotConfig(id) {
+  const cachedAt = configCachedAt.get(id) || missingConfigIds.get(id);
+  if (cachedAt && Date.now() - cachedAt < CONFIG_CACHE_TTL_MS) {
+    return chatbotConfigs.get(id) || null;
+  }
+
+  try {
+    const config = await configStore.get(id);
+    if (config) cacheConfig(config);
+    else cacheMissingConfig(id);
+    return config;
+  } catch (error) {
+    // Serve the stale copy rather than taking the bot offline
+    console.error('Error loading chatbot config:', error);
+    return chatbotConfigs.get(id) || null;
+  }
+}
+
+async function listChatbotConfigs() {
+  const configs = await configStore.loadAll();
+  chatbotConfigs.clear();
+  configCachedAt.clear();
+  missingConfigIds.clear();
+  configs.forEach(cacheConfig);
+  return configs;
+}
+
+// Persist a config and refresh this instance's cache
+async function saveChatbotConfig(config) {
+  await configStore.save(config);
+  cacheConfig(config);
+  console.log(`💾 Saved chatbot ${config.id}`);
+}
+
+async function deleteChatbotConfig(id) {
+  await configStore.remove(id);
+  cacheMissingConfig(id);
+}
+
+// Warm the cache at startup
+async function loadConfigs() {
+  try {
+    const configs = await listChatbotConfigs();
+    console.log(`✅ Loaded ${configs.length} chatbot(s) from ${configStore.name} store`);
+  } catch (error) {
+    console.error(`❌ Error loading from ${configStore.name} store:`, error);
+  }
+}
+
+// Default conversation memory settings (override per bot with config.memory)
+const DEFAULT_MEMORY_SETTINGS = {
+  maxHistoryTurns: 10,      // user/assistant pairs kept verbatim
+  maxHistoryTokens: 2000,   // budget for verbatim history in the prompt
+  summarizeOldTurns: true   // roll turns beyond maxHistoryTurns into a summary
+};
+
+const MAX_CACHED_CONVERSATIONS = 500;
+
+// Recent conversation history cache: "chatbotId:conversationId" -> { summary, language, messages }
+const conversationHistories = new Map();
+
+function getMemorySettings(config) {
+  return { ...DEFAULT_MEMORY_SETTINGS, ...(config.memory || {}) };
+}
+
+function validateMemorySettings(memory) {
+  if (typeof memory !== 'object' || memory === null || Array.isArray(memory)) return [];
+
+  const errors = [];
+  if (memory.maxHistoryTurns !== undefined && !(Number.isInteger(memory.maxHistoryTurns) && memory.maxHistoryTurns >= 1 && memory.maxHistoryTurns <= 50)) {
+    errors.push('memory.maxHistoryTurns must be an integer between 1 and 50');
+  }
+  if (memory.maxHistoryTokens !== undefined && !(Number.isInteger(memory.maxHistoryTokens) && memory.maxHistoryTokens >= 100 && memory.maxHistoryTokens <= 32000)) {
+    errors.push('memory.maxHistoryTokens must be an integer between 100 and 32000');
+  }
+  if (memory.summarizeOldTurns !== undefined && typeof memory.summarizeOldTurns !== 'boolean') {
+    errors.push('memory.summarizeOldTurns must be true or false');
+  }
+  return errors;
+}
+
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Get history for a conversation from the cache, falling back to Supabase
+async function loadConversationHistory(chatbotId, conversationId, settings) {
+  const cacheKey = `${chatbotId}:${conversationId}`;
+  if (conversationHistories.has(cacheKey)) {
+    return conversationHistories.get(cacheKey);
+  }
+
+  const history = { summary: '', language: null, messages: [] };
+
+  const { data: messages, error: historyError } = await supabase
+    .from('messages')
+    .select('role, content')
+    .eq('conversation_id', conversationId)
+    .eq('chatbot_id', chatbotId)
+    .order('created_at', { ascending: true });
+
+  if (historyError) console.error('Error loading conversation history:', historyError);
+  else history.messages = messages.map(m => ({ role: m.role === 'operator' ? 'assistant' : m.role, content: m.content }));
+
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select('summary, language_detected')
+    .eq('id', conversationId)
+    .eq('chatbot_id', chatbotId)
+    .maybeSingle();
+
+  history.language = conversation?.language_detected || null;
+
+  // Older turns are already covered by the stored summary
+  if (conversation?.summary) {
+    history.summary = conversation.summary;
+    history.messages = history.messages.slice(-settings.maxHistoryTurns * 2);
+  }
+
+  conversationHistories.set(cacheKey, history);
+  if (conversationHistories.size > MAX_CACHED_CONVERSATIONS) {
+    conversationHistories.delete(conversationHistories.keys().next().value);
+  }
+
+  return history;
+}
+
+// Roll turns beyond maxHistoryTurns into the running summary
+async function compactConversationHistory(config, conversationId, history, settings) {
+  const maxMessages = settings.maxHistoryTurns * 2;
+  if (history.messages.length <= maxMessages) return;
+
+  const overflow = history.messages.splice(0, history.messages.length - maxMessages);
+  if (!settings.summarizeOldTurns) return;
+
+  try {
+    const transcript = overflow.map(m => `${m.role}: ${m.content}`).join('\n');
+    const { content } = await llmComplete(config, {
+      messages: [
+        {
+          role: 'system',
+          content: 'Summarize this chat between a guest and a business assistant in under 120 words. Keep names, dates, party sizes, preferences and open questions.'
+        },
+        {
+          role: 'user',
+          content: history.summary
+            ? `EXISTING SUMMARY:\n${history.summary}\n\nNEW MESSAGES:\n${transcript}`
+            : transcript
+        }
+      ],
+      temperature: 0.2,
+      max_tokens: 250
+    }, { utility: true, purpose: 'summary', conversationId });
+
+    history.summary = content;
+
+    const { error: summaryError } = await supabase
+      .from('conversations')
+      .update({ summary: history.summary })
+      .eq('id', conversationId)
+      .eq('chatbot_id', config.id);
+
+    if (summaryError) console.error('Error saving conversation summary:', summaryError);
+  } catch (error) {
+    console.error('Error summarizing conversation:', error);
+  }
+}
+
+// Most recent history messages that fit in the token budget, oldest first
+function fitHistoryToBudget(messages, maxTokens) {
+  const fitted = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].content);
+    if (used + tokens > maxTokens) break;
+    fitted.unshift(messages[i]);
+    used += tokens;
+  }
+
+  return fitted;
+}
+
+// Default widget theme (override per bot with config.customization)
+const DEFAULT_CUSTOMIZATION = {
+  primaryColor: '#E53935',
+  accentColor: '#26C6DA',
+  launcherIcon: '💬',
+  position: 'right',        // 'left' or 'right'
+  offsetX: 20,              // px from the chosen side
+  offsetY: 20,              // px from the bottom
+  headerSubtitle: 'AI Assistant • Online',
+  fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+  windowWidth: 400,
+  windowHeight: 600,
+  darkMode: false,
+  showBranding: true,
+  persistHistory: false     // keep the chat across browser sessions (localStorage) instead of just page loads
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// The widget's own English greeting, so new bots don't inherit another business's voice
+function defaultWelcomeMessage(businessName) {
+  return WIDGET_STRINGS.en.welcomeMessage.replace('{businessName}', businessName);
+}
+
+function getCustomization(config) {
+  return {
+    ...DEFAULT_CUSTOMIZATION,
+    welcomeMessage: defaultWelcomeMessage(config.businessName),
+    ...(config.customization || {})
+  };
+}
+
+// Returns a list of problems with a customization object (empty if valid)
+function validateCustomization(customization) {
+  const errors = [];
+  if (customization === undefined) return errors;
+  if (typeof customization !== 'object' || customization === null || Array.isArray(customization)) {
+    return ['customization must be an object'];
+  }
+
+  const isNumberInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+  const checks = {
+    primaryColor: v => HEX_COLOR.test(v) || 'must be a hex color like #0066FF',
+    accentColor: v => HEX_COLOR.test(v) || 'must be a hex color like #26C6DA',
+    launcherIcon: v => (typeof v === 'string' && v.length > 0 && v.length <= 8) || 'must be 1-8 characters',
+    position: v => ['left', 'right'].includes(v) || "must be 'left' or 'right'",
+    offsetX: v => isNumberInRange(v, 0, 200) || 'must be a number between 0 and 200',
+    offsetY: v => isNumberInRange(v, 0, 200) || 'must be a number between 0 and 200',
+    headerSubtitle: v => (typeof v === 'string' && v.length <= 60) || 'must be a string up to 60 characters',
+    fontFamily: v => (typeof v === 'string' && /^[\w\s,'"-]+$/.test(v)) || 'must be a CSS font-family list',
+    windowWidth: v => isNumberInRange(v, 280, 800) || 'must be a number between 280 and 800',
+    windowHeight: v => isNumberInRange(v, 400, 900) || 'must be a number between 400 and 900',
+    darkMode: v => typeof v === 'boolean' || 'must be true or false',
+    showBranding: v => typeof v === 'boolean' || 'must be true or false',
+    persistHistory: v => typeof v === 'boolean' || 'must be true or false',
+    welcomeMessage: v => (typeof v === 'string' && v.length <= 500) || 'must be a string up to 500 characters'
+  };
+
+  Object.entries(customization).forEach(([field, value]) => {
+    const check = checks[field];
+    if (!check) return errors.push(`customization.${field} is not a known setting`);
+    const result = check(value);
+    if (result !== true) errors.push(`customization.${field} ${result}`);
+  });
+
+  return errors;
+}
+
+// Lighten (positive) or darken (negative) a hex color by a fraction
+function shadeColor(hex, amount) {
+  const { r, g, b } = hexToRgb(hex);
+  const shade = c => Math.round(amount < 0 ? c * (1 + amount) : c + (255 - c) * amount);
+  return '#' + [r, g, b].map(c => shade(c).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+  let value = hex.replace('#', '');
+  if (value.length === 3) value = value.split('').map(c => c + c).join('');
+  const num = parseInt(value, 16);
+  return { r: (num >> 16) & 255, g: (num >> 8) & 255, b: num & 255 };
+}
+
+// Full widget theme with hover/shadow colors derived from the primary color
+function buildWidgetTheme(customization) {
+  const { r, g, b } = hexToRgb(customization.primaryColor);
+  const dark = customization.darkMode;
+
+  return {
+    ...customization,
+    primaryHover: shadeColor(customization.primaryColor, -0.2),
+    shadow: `rgba(${r}, ${g}, ${b}, 0.4)`,
+    shadowStrong: `rgba(${r}, ${g}, ${b}, 0.6)`,
+    surface: dark ? '#1f2937' : 'white',
+    background: dark ? '#111827' : '#f8f9fa',
+    text: dark ? '#f3f4f6' : '#1f2937',
+    mutedText: '#9CA3AF',
+    border: dark ? '#374151' : '#e5e7eb'
+  };
+}
+
+// Starter prompts shown when a bot has none configured
+const DEFAULT_STARTER_PROMPTS = [
+  'What services do you offer?',
+  'What are your hours?',
+  'Where are you located?',
+  'How can I contact you?'
+];
+
+// Default follow-up suggestion settings (override per bot with config.followUpSuggestions)
+const DEFAULT_FOLLOW_UP_SETTINGS = {
+  enabled: false,
+  count: 3
+};
+
+function getStarterPrompts(config) {
+  return Array.isArray(config.starterPrompts) ? config.starterPrompts : DEFAULT_STARTER_PROMPTS;
+}
+
+function getFollowUpSettings(config) {
+  return { ...DEFAULT_FOLLOW_UP_SETTINGS, ...(config.followUpSuggestions || {}) };
+}
+
+function validateFollowUpSettings(followUpSuggestions) {
+  if (typeof followUpSuggestions !== 'object' || followUpSuggestions === null || Array.isArray(followUpSuggestions)) return [];
+
+  const errors = [];
+  if (followUpSuggestions.enabled !== undefined && typeof followUpSuggestions.enabled !== 'boolean') {
+    errors.push('followUpSuggestions.enabled must be true or false');
+  }
+  if (followUpSuggestions.count !== undefined && !(Number.isInteger(followUpSuggestions.count) && followUpSuggestions.count >= 1 && followUpSuggestions.count <= 5)) {
+    errors.push('followUpSuggestions.count must be an integer between 1 and 5');
+  }
+  return errors;
+}
+
+// Returns a list of problems with a starterPrompts array (empty if valid)
+function validateStarterPrompts(starterPrompts) {
+  if (starterPrompts === undefined) return [];
+  if (!Array.isArray(starterPrompts) || starterPrompts.length > 8) {
+    return ['starterPrompts must be an array of up to 8 strings'];
+  }
+  return starterPrompts
+    .map((prompt, i) => (typeof prompt === 'string' && prompt.trim() && prompt.length <= 100)
+      ? null
+      : `starterPrompts[${i}] must be a non-empty string up to 100 characters`)
+    .filter(Boolean);
+}
+
+// Ask the model for short questions the guest is likely to ask next
+async function generateFollowUpSuggestions(config, userMessage, botResponse) {
+  const settings = getFollowUpSettings(config);
+  if (!settings.enabled) return [];
+
+  try {
+    const { content } = await llmComplete(config, {
+      messages: [
+        {
+          role: 'system',
+          content: `You suggest follow-up questions a website visitor might ask ${config.businessName}'s assistant next. Reply with JSON: {"suggestions": ["..."]} containing exactly ${settings.count} short questions (under 8 words each), written from the visitor's point of view, in the visitor's language.`
+        },
+        { role: 'user', content: `Visitor: ${userMessage}\nAssistant: ${botResponse}` }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.5,
+      max_tokens: 150
+    }, { utility: true, purpose: 'follow_ups' });
+
+    const { suggestions } = JSON.parse(content);
+    return Array.isArray(suggestions)
+      ? suggestions.filter(s => typeof s === 'string').slice(0, settings.count)
+      : [];
+  } catch (error) {
+    console.error('Error generating follow-up suggestions:', error);
+    return [];
+  }
+}
+
+// ISO 639-3 codes the detector may return -> ISO 639-1 codes stored on conversations and used for widget strings
+const LANGUAGE_CODES = {
+  eng: 'en', spa: 'es', fra: 'fr', deu: 'de', ita: 'it', por: 'pt', nld: 'nl', jpn: 'ja', cmn: 'zh', kor: 'ko',
+  rus: 'ru', ukr: 'uk', pol: 'pl', tur: 'tr', swe: 'sv', arb: 'ar', hin: 'hi', tha: 'th', vie: 'vi', ind: 'id'
+};
+const LANGUAGE_CANDIDATES = Object.keys(LANGUAGE_CODES);
+const ISO_639_3 = Object.fromEntries(Object.entries(LANGUAGE_CODES).map(([long, short]) => [short, long]));
+
+// Languages with their own script are identified even from a single word
+const SCRIPT_LANGUAGES = [
+  [/[\u3040-\u30ff]/, 'ja'],    // kana, checked before the Han characters Japanese shares with Chinese
+  [/[\uac00-\ud7af]/, 'ko'],
+  [/[\u4e00-\u9fff]/, 'zh'],
+  [/[\u0e00-\u0e7f]/, 'th'],
+  [/[\u0600-\u06ff]/, 'ar'],
+  [/[\u0900-\u097f]/, 'hi']
+];
+
+// Everyday words, so short messages can be identified where trigram statistics can't
+// ("Do you have parking?" scores as Portuguese)
+const COMMON_WORDS = Object.fromEntries(Object.entries({
+  en: 'the a an is are do does you your i my we have has can what how where when which any much time there for to of in and thanks hi hello',
+  es: 'el la los las de que y es hay tienen tiene usted para por un una cuánto cuanto dónde donde qué hola gracias con',
+  fr: 'le la les des du est vous avez je et pour un une il y a bonjour merci quel quelle où combien avec',
+  de: 'der die das und ist sie ich haben hat wo wie was ein eine kann gibt es danke hallo mit',
+  pt: 'o os as de que tem é você vocês para um uma onde quanto obrigado obrigada olá oi com não',
+  it: 'il lo gli di che è avete ci sono quanto dove un una grazie ciao per costa',
+  nl: 'de het een is ik je u hebben waar hoeveel wat van en bedankt hallo'
+}).map(([code, words]) => [code, new Set(words.split(' '))]));
+
+// Detect a message's language (ISO 639-1). Short messages like "where can i park" are easily
+// misread, so they keep the conversation's current language unless it's clearly a different one.
+// Returns the fallback when the text is too short to tell.
+function detectLanguage(text, fallback = null) {
+  const script = SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text));
+  if (script) return script[1];
+
+  if (text.length < 40) {
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    const counts = Object.entries(COMMON_WORDS).map(([code, common]) => [code, words.filter(word => common.has(word)).length]);
+    const top = Math.max(...counts.map(([, count]) => count));
+    const leaders = counts.filter(([, count]) => count === top).map(([code]) => code);
+    if (top > 0 && leaders.includes(fallback)) return fallback;
+    if (top > 0 && leaders.length === 1) return leaders[0];
+  }
+
+  const scores = francAll(text, { minLength: 10, only: LANGUAGE_CANDIDATES });
+  const [best] = scores[0];
+  if (best === 'und') return fallback;
+
+  if (fallback && text.length < 40) {
+    const fallbackScore = scores.find(([code]) => code === ISO_639_3[fallback])?.[1] || 0;
+    if (fallbackScore >= 0.75) return fallback;
+  }
+  return LANGUAGE_CODES[best];
+}
+
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch {
+    return code;
+  }
+}
+
+// Built-in widget strings. Bots override them or add languages with config.localization.translations,
+// which can also set welcomeMessage and starterPrompts per language.
+const WIDGET_STRINGS = {
+  en: {
+    launcherLabel: 'Chat with us',
+    welcomeBubble: 'Need help? Chat with us!',
+    welcomeMessage: "Hi! I'm here to help with any questions about {businessName}. What would you like to know?",
+    handoffButton: 'Talk to a person',
+    closeLabel: 'Close chat',
+    inputPlaceholder: 'Type your message...',
+    inputLabel: 'Message input',
+    sendButton: 'Send',
+    poweredBy: 'Powered by',
+    staffOnline: 'Staff • Online',
+    leadFormSubmit: 'Send details',
+    leadFormThanks: "Thanks! We've got your details.",
+    leadFormError: "Sorry, we couldn't save your details. Please try again.",
+    handoffError: "Sorry, we couldn't reach our team right now. Please try again.",
+    newChatLabel: 'Start a new chat',
+    emailTranscriptLabel: 'Email me this chat',
+    emailTranscriptPlaceholder: 'Your email address',
+    emailTranscriptSubmit: 'Send transcript',
+    emailTranscriptSent: "We've emailed you a copy of this chat.",
+    emailTranscriptError: "Sorry, we couldn't send the email. Please check the address and try again.",
+    rateHelpful: 'Helpful',
+    rateNotHelpful: 'Not helpful',
+    feedbackPlaceholder: 'What was wrong? (optional)',
+    feedbackSubmit: 'Send feedback',
+    feedbackThanks: 'Thanks for your feedback!',
+    errorMessage: "Sorry, I'm having trouble connecting. Please try again in a moment.",
+    errorMessageWithContact: "Sorry, I'm having trouble connecting. Please try again or contact us directly at {contact}."
+  },
+  es: {
+    launcherLabel: 'Chatea con nosotros',
+    welcomeBubble: '¿Necesitas ayuda? ¡Chatea con nosotros!',
+    welcomeMessage: '¡Hola! Estoy aquí para ayudarte con cualquier pregunta sobre {businessName}. ¿Qué te gustaría saber?',
+    handoffButton: 'Hablar con una persona',
+    closeLabel: 'Cerrar chat',
+    inputPlaceholder: 'Escribe tu mensaje...',
+    inputLabel: 'Mensaje',
+    sendButton: 'Enviar',
+    poweredBy: 'Con tecnología de',
+    staffOnline: 'Personal • En línea',
+    leadFormSubmit: 'Enviar datos',
+    leadFormThanks: '¡Gracias! Hemos recibido tus datos.',
+    leadFormError: 'Lo sentimos, no pudimos guardar tus datos. Inténtalo de nuevo.',
+    handoffError: 'Lo sentimos, no pudimos contactar a nuestro equipo ahora mismo. Inténtalo de nuevo.',
+    newChatLabel: 'Empezar una nueva conversación',
+    emailTranscriptLabel: 'Enviarme esta conversación por correo',
+    emailTranscriptPlaceholder: 'Tu correo electrónico',
+    emailTranscriptSubmit: 'Enviar conversación',
+    emailTranscriptSent: 'Te hemos enviado una copia de esta conversación por correo.',
+    emailTranscriptError: 'Lo sentimos, no pudimos enviar el correo. Revisa la dirección e inténtalo de nuevo.',
+    rateHelpful: 'Útil',
+    rateNotHelpful: 'No fue útil',
+    feedbackPlaceholder: '¿Qué estuvo mal? (opcional)',
+    feedbackSubmit: 'Enviar comentario',
+    feedbackThanks: '¡Gracias por tu opinión!',
+    errorMessage: 'Lo siento, tengo problemas de conexión. Inténtalo de nuevo en un momento.',
+    errorMessageWithContact: 'Lo siento, tengo problemas de conexión. Inténtalo de nuevo o contáctanos directamente en {contact}.'
+  },
+  fr: {
+    launcherLabel: 'Discutez avec nous',
+    welcomeBubble: "Besoin d'aide ? Discutez avec nous !",
+    welcomeMessage: 'Bonjour ! Je suis là pour répondre à vos questions sur {businessName}. Que souhaitez-vous savoir ?',
+    handoffButton: 'Parler à une personne',
+    closeLabel: 'Fermer le chat',
+    inputPlaceholder: 'Écrivez votre message...',
+    inputLabel: 'Message',
+    sendButton: 'Envoyer',
+    poweredBy: 'Propulsé par',
+    staffOnline: 'Équipe • En ligne',
+    leadFormSubmit: 'Envoyer mes coordonnées',
+    leadFormThanks: 'Merci ! Nous avons bien reçu vos coordonnées.',
+    leadFormError: "Désolé, nous n'avons pas pu enregistrer vos coordonnées. Veuillez réessayer.",
+    handoffError: "Désolé, nous n'avons pas pu joindre notre équipe pour le moment. Veuillez réessayer.",
+    newChatLabel: 'Nouvelle conversation',
+    emailTranscriptLabel: 'Recevoir cette conversation par e-mail',
+    emailTranscriptPlaceholder: 'Votre adresse e-mail',
+    emailTranscriptSubmit: 'Envoyer la conversation',
+    emailTranscriptSent: 'Nous vous avons envoyé une copie de cette conversation par e-mail.',
+    emailTranscriptError: "Désolé, nous n'avons pas pu envoyer l'e-mail. Vérifiez l'adresse et réessayez.",
+    rateHelpful: 'Utile',
+    rateNotHelpful: 'Pas utile',
+    feedbackPlaceholder: "Qu'est-ce qui n'allait pas ? (facultatif)",
+    feedbackSubmit: 'Envoyer',
+    feedbackThanks: 'Merci pour votre avis !',
+    errorMessage: 'Désolé, je rencontre un problème de connexion. Veuillez réessayer dans un instant.',
+    errorMessageWithContact: 'Désolé, je rencontre un problème de connexion. Veuillez réessayer ou nous contacter directement au {contact}.'
+  },
+  de: {
+    launcherLabel: 'Chatte mit uns',
+    welcomeBubble: 'Brauchst du Hilfe? Chatte mit uns!',
+    welcomeMessage: 'Hallo! Ich helfe dir gerne bei allen Fragen zu {businessName}. Was möchtest du wissen?',
+    handoffButton: 'Mit einer Person sprechen',
+    closeLabel: 'Chat schließen',
+    inputPlaceholder: 'Nachricht eingeben...',
+    inputLabel: 'Nachricht',
+    sendButton: 'Senden',
+    poweredBy: 'Bereitgestellt von',
+    staffOnline: 'Team • Online',
+    leadFormSubmit: 'Daten senden',
+    leadFormThanks: 'Danke! Wir haben deine Daten erhalten.',
+    leadFormError: 'Deine Daten konnten leider nicht gespeichert werden. Bitte versuche es erneut.',
+    handoffError: 'Unser Team ist gerade leider nicht erreichbar. Bitte versuche es erneut.',
+    newChatLabel: 'Neuen Chat starten',
+    emailTranscriptLabel: 'Chat per E-Mail senden',
+    emailTranscriptPlaceholder: 'Deine E-Mail-Adresse',
+    emailTranscriptSubmit: 'Verlauf senden',
+    emailTranscriptSent: 'Wir haben dir eine Kopie dieses Chats per E-Mail geschickt.',
+    emailTranscriptError: 'Die E-Mail konnte leider nicht gesendet werden. Bitte prüfe die Adresse und versuche es erneut.',
+    rateHelpful: 'Hilfreich',
+    rateNotHelpful: 'Nicht hilfreich',
+    feedbackPlaceholder: 'Was war falsch? (optional)',
+    feedbackSubmit: 'Feedback senden',
+    feedbackThanks: 'Danke für dein Feedback!',
+    errorMessage: 'Entschuldigung, ich habe gerade Verbindungsprobleme. Bitte versuche es gleich noch einmal.',
+    errorMessageWithContact: 'Entschuldigung, ich habe gerade Verbindungsprobleme. Bitte versuche es erneut oder kontaktiere uns direkt unter {contact}.'
+  },
+  pt: {
+    launcherLabel: 'Fale conosco',
+    welcomeBubble: 'Precisa de ajuda? Fale conosco!',
+    welcomeMessage: 'Olá! Estou aqui para ajudar com qualquer dúvida sobre {businessName}. O que você gostaria de saber?',
+    handoffButton: 'Falar com uma pessoa',
+    closeLabel: 'Fechar chat',
+    inputPlaceholder: 'Digite sua mensagem...',
+    inputLabel: 'Mensagem',
+    sendButton: 'Enviar',
+    poweredBy: 'Desenvolvido por',
+    staffOnline: 'Equipe • Online',
+    leadFormSubmit: 'Enviar dados',
+    leadFormThanks: 'Obrigado! Recebemos seus dados.',
+    leadFormError: 'Desculpe, não conseguimos salvar seus dados. Tente novamente.',
+    handoffError: 'Desculpe, não conseguimos contatar nossa equipe agora. Tente novamente.',
+    newChatLabel: 'Iniciar nova conversa',
+    emailTranscriptLabel: 'Receber esta conversa por e-mail',
+    emailTranscriptPlaceholder: 'Seu e-mail',
+    emailTranscriptSubmit: 'Enviar conversa',
+    emailTranscriptSent: 'Enviamos uma cópia desta conversa para o seu e-mail.',
+    emailTranscriptError: 'Desculpe, não conseguimos enviar o e-mail. Verifique o endereço e tente novamente.',
+    rateHelpful: 'Útil',
+    rateNotHelpful: 'Não ajudou',
+    feedbackPlaceholder: 'O que estava errado? (opcional)',
+    feedbackSubmit: 'Enviar comentário',
+    feedbackThanks: 'Obrigado pelo seu feedback!',
+    errorMessage: 'Desculpe, estou com problemas de conexão. Tente novamente em instantes.',
+    errorMessageWithContact: 'Desculpe, estou com problemas de conexão. Tente novamente ou fale conosco diretamente pelo {contact}.'
+  },
+  ja: {
+    launcherLabel: 'チャットで問い合わせ',
+    welcomeBubble: 'お困りですか？チャットでどうぞ！',
+    welcomeMessage: 'こんにちは！{businessName}についてのご質問にお答えします。何を知りたいですか？',
+    handoffButton: 'スタッフと話す',
+    closeLabel: 'チャットを閉じる',
+    inputPlaceholder: 'メッセージを入力...',
+    inputLabel: 'メッセージ',
+    sendButton: '送信',
+    poweredBy: 'Powered by',
+    staffOnline: 'スタッフ • オンライン',
+    leadFormSubmit: '送信する',
+    leadFormThanks: 'ありがとうございます！情報を受け取りました。',
+    leadFormError: '申し訳ありません、情報を保存できませんでした。もう一度お試しください。',
+    handoffError: '申し訳ありません、現在スタッフに連絡できません。もう一度お試しください。',
+    newChatLabel: '新しいチャットを始める',
+    emailTranscriptLabel: 'このチャットをメールで受け取る',
+    emailTranscriptPlaceholder: 'メールアドレス',
+    emailTranscriptSubmit: '送信する',
+    emailTranscriptSent: 'このチャットの内容をメールでお送りしました。',
+    emailTranscriptError: '申し訳ありません、メールを送信できませんでした。アドレスをご確認のうえ、もう一度お試しください。',
+    rateHelpful: '役に立った',
+    rateNotHelpful: '役に立たなかった',
+    feedbackPlaceholder: '何が問題でしたか？（任意）',
+    feedbackSubmit: '送信する',
+    feedbackThanks: 'フィードバックありがとうございます！',
+    errorMessage: '申し訳ありません、接続に問題が発生しています。しばらくしてからもう一度お試しください。',
+    errorMessageWithContact: '申し訳ありません、接続に問題が発生しています。もう一度お試しいただくか、{contact} まで直接お問い合わせください。'
+  },
+  zh: {
+    launcherLabel: '在线咨询',
+    welcomeBubble: '需要帮助吗？和我们聊聊吧！',
+    welcomeMessage: '您好！我可以解答关于{businessName}的任何问题。您想了解什么？',
+    handoffButton: '联系人工客服',
+    closeLabel: '关闭聊天',
+    inputPlaceholder: '输入消息...',
+    inputLabel: '消息',
+    sendButton: '发送',
+    poweredBy: '技术支持',
+    staffOnline: '客服 • 在线',
+    leadFormSubmit: '提交信息',
+    leadFormThanks: '谢谢！我们已收到您的信息。',
+    leadFormError: '抱歉，无法保存您的信息，请重试。',
+    handoffError: '抱歉，暂时无法联系到我们的团队，请稍后重试。',
+    newChatLabel: '开始新的对话',
+    emailTranscriptLabel: '通过邮件发送聊天记录',
+    emailTranscriptPlaceholder: '您的邮箱地址',
+    emailTranscriptSubmit: '发送聊天记录',
+    emailTranscriptSent: '我们已将本次聊天记录发送到您的邮箱。',
+    emailTranscriptError: '抱歉，邮件发送失败。请检查邮箱地址后重试。',
+    rateHelpful: '有帮助',
+    rateNotHelpful: '没有帮助',
+    feedbackPlaceholder: '哪里有问题？（可选）',
+    feedbackSubmit: '提交反馈',
+    feedbackThanks: '感谢您的反馈！',
+    errorMessage: '抱歉，连接出现问题，请稍后重试。',
+    errorMessageWithContact: '抱歉，连接出现问题。请重试，或直接通过 {contact} 联系我们。'
+  }
+};
+
+// Default localization settings (override per bot with config.localization)
+const DEFAULT_LOCALIZATION_SETTINGS = {
+  defaultLanguage: 'en',    // language of the bot's own welcome message and starter prompts
+  translations: {}          // { fr: { welcomeMessage, starterPrompts, inputPlaceholder, ... } }
+};
+
+function getLocalizationSettings(config) {
+  return { ...DEFAULT_LOCALIZATION_SETTINGS, ...(config.localization || {}) };
+}
+
+function validateLocalization(localization) {
+  if (typeof localization !== 'object' || localization === null || Array.isArray(localization)) return [];
+
+  const errors = [];
+  if (localization.defaultLanguage !== undefined && !/^[a-z]{2}$/.test(localization.defaultLanguage)) {
+    errors.push('localization.defaultLanguage must be a two-letter language code');
+  }
+  if (localization.translations === undefined) return errors;
+  if (typeof localization.translations !== 'object' || localization.translations === null || Array.isArray(localization.translations)) {
+    return [...errors, 'localization.translations must be an object keyed by language code'];
+  }
+
+  Object.entries(localization.translations).forEach(([language, strings]) => {
+    const path = `localization.translations.${language}`;
+    if (!/^[a-z]{2}$/.test(language)) return errors.push(`${path}: languages must be two-letter codes`);
+    if (typeof strings !== 'object' || strings === null || Array.isArray(strings)) return errors.push(`${path} must be an object`);
+
+    Object.entries(strings).forEach(([key, value]) => {
+      if (key === 'starterPrompts') errors.push(...validateStarterPrompts(value).map(error => `${path}.${error}`));
+      else if (!(key in WIDGET_STRINGS.en)) errors.push(`${path}.${key} is not a widget string`);
+      else if (typeof value !== 'string') errors.push(`${path}.${key} must be a string`);
+    });
+  });
+  return errors;
+}
+
+// Widget strings for one language, with the bot's own text for its default language
+function getWidgetStrings(config, language) {
+  const settings = getLocalizationSettings(config);
+  const isDefault = language === settings.defaultLanguage;
+  const strings = {
+    ...WIDGET_STRINGS.en,
+    ...(WIDGET_STRINGS[language] || {}),
+    starterPrompts: getStarterPrompts(config),
+    ...(isDefault ? { welcomeMessage: getCustomization(config).welcomeMessage } : {}),
+    ...(settings.translations[language] || {})
+  };
+
+  strings.welcomeMessage = strings.welcomeMessage.replace('{businessName}', config.businessName);
+  const contact = config.contact?.phone || config.contact?.email;
+  strings.errorMessage = contact ? strings.errorMessageWithContact.replace('{contact}', contact) : strings.errorMessage;
+  delete strings.errorMessageWithContact;
+  return strings;
+}
+
+// Strings for every language the widget can show
+function getWidgetTranslations(config) {
+  const { defaultLanguage, translations } = getLocalizationSettings(config);
+  const languages = new Set([defaultLanguage, ...Object.keys(WIDGET_STRINGS), ...Object.keys(translations)]);
+  return Object.fromEntries([...languages].map(language => [language, getWidgetStrings(config, language)]));
+}
+
+// Default retrieval settings (override per bot with config.retrieval)
+const DEFAULT_RETRIEVAL_SETTINGS = {
+  enabled: true,
+  topK: 4,                  // chunks injected into the prompt per message
+  maxChunkChars: 800
+};
+
+function getRetrievalSettings(config) {
+  return { ...DEFAULT_RETRIEVAL_SETTINGS, ...(config.retrieval || {}) };
+}
+
+function validateRetrievalSettings(retrieval) {
+  if (typeof retrieval !== 'object' || retrieval === null || Array.isArray(retrieval)) return [];
+
+  const errors = [];
+  if (retrieval.enabled !== undefined && typeof retrieval.enabled !== 'boolean') errors.push('retrieval.enabled must be true or false');
+  if (retrieval.topK !== undefined && !(Number.isInteger(retrieval.topK) && retrieval.topK >= 1 && retrieval.topK <= 20)) {
+    errors.push('retrieval.topK must be an integer between 1 and 20');
+  }
+  if (retrieval.maxChunkChars !== undefined && !(Number.isInteger(retrieval.maxChunkChars) && retrieval.maxChunkChars >= 200 && retrieval.maxChunkChars <= 4000)) {
+    errors.push('retrieval.maxChunkChars must be an integer between 200 and 4000');
+  }
+  return errors;
+}
+
+// Production embedder: OpenAI embeddings API
+const openaiEmbedder = {
+  name: 'openai:text-embedding-3-small',
+
+  async embed(texts) {
+    const result = await openai.embeddings.create({ model: 'text-embedding-3-small', input: texts });
+    return result.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+  }
+};
+
+// Offline embedder: hashed bag of words, deterministic and dependency-free (for tests)
+const localEmbedder = {
+  name: 'local:hashed-bow-256',
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(256).fill(0);
+      (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+        const hash = crypto.createHash('md5').update(word).digest();
+        vector[hash[0]] += hash[1] % 2 === 0 ? 1 : -1;
+      });
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map(v => v / norm);
+    });
+  }
+};
+
+// EMBEDDING_BACKEND picks the embedder ('openai' or 'local')
+const embedders = { openai: openaiEmbedder, local: localEmbedder };
+const embedder = embedders[process.env.EMBEDDING_BACKEND || 'openai'];
+if (!embedder) throw new Error(`Unknown EMBEDDING_BACKEND "${process.env.EMBEDDING_BACKEND}"`);
+
+// Split knowledge text into chunks on section headings ("ROOM FEATURES:") and blank lines
+function chunkKnowledgeBase(text, maxChars) {
+  const sections = [];
+  let current = [];
+
+  (text || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const isHeading = /^[A-Z0-9][A-Z0-9 &/'()-]+:/.test(trimmed);
+    if (isHeading && current.length > 0) {
+      sections.push(current.join('\n'));
+      current = [];
+    }
+    current.push(trimmed);
+  });
+  if (current.length > 0) sections.push(current.join('\n'));
+
+  // Long sections are split further on paragraph boundaries
+  const chunks = [];
+  sections.map(s => s.trim()).filter(Boolean).forEach(section => {
+    let chunk = '';
+    section.split(/\n\s*\n/).forEach(paragraph => {
+      if (chunk && chunk.length + paragraph.length > maxChars) {
+        chunks.push(chunk.trim());
+        chunk = '';
+      }
+      chunk += paragraph + '\n\n';
+    });
+    if (chunk.trim()) chunks.push(chunk.trim());
+  });
+
+  return chunks;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB) || 1);
+}
+
+// Chunks from the knowledge base text and every ingested source section
+function collectKnowledgeChunks(config, maxChars) {
+  const sourceChunks = (config.knowledgeSources || []).flatMap(source =>
+    source.sections.flatMap(section => chunkKnowledgeBase(section.content, maxChars)
+      .map(part => `${section.title} (source: ${source.name}):\n${part}`)));
+  return [...chunkKnowledgeBase(config.knowledgeBase, maxChars), ...sourceChunks];
+}
+
+// Identifies the knowledge text, chunk size and embedder a set of chunks was built from
+function knowledgeSourceHash(config) {
+  const { maxChunkChars } = getRetrievalSettings(config);
+  return crypto.createHash('sha1').update(`${embedder.name}\n${maxChunkChars}\n${getKnowledgeText(config)}`).digest('hex');
+}
+
+// Embedded chunks per bot: chatbotId -> { sourceHash, chunks: [{ id, content, embedding }] }
+const knowledgeIndexes = new Map();
+
+// Chunk and embed a bot's knowledge base, replacing its stored chunks. The new chunks are stored
+// before the old ones are deleted, so a failed write leaves the previous chunks in place.
+async function indexKnowledgeBase(config) {
+  const sourceHash = knowledgeSourceHash(config);
+  const texts = collectKnowledgeChunks(config, getRetrievalSettings(config).maxChunkChars);
+  const embeddings = texts.length > 0 ? await embedder.embed(texts) : [];
+
+  // The position is part of the ID so repeated sections (e.g. the same footer on two pages) don't collide
+  const chunks = texts.map((content, position) => ({
+    id: `${config.id}_chunk_${crypto.createHash('sha1').update(`${position}\n${content}`).digest('hex').slice(0, 10)}`,
+    content,
+    embedding: embeddings[position]
+  }));
+
+  let stored = true;
+  if (chunks.length > 0) {
+    const { error: insertError } = await supabase
+      .from('knowledge_chunks')
+      .upsert(chunks.map((chunk, position) => ({
+        id: chunk.id,
+        chatbot_id: config.id,
+        position,
+        content: chunk.content,
+        embedding: chunk.embedding,
+        embedder: embedder.name,
+        source_hash: sourceHash
+      })));
+    if (insertError) console.error('Error storing knowledge chunks:', insertError);
+    stored = !insertError;
+  }
+
+  // Chunks with this source hash are exactly the ones just stored; anything else is from an older version
+  if (stored) {
+    const { error: deleteError } = await supabase.from('knowledge_chunks').delete().eq('chatbot_id', config.id).neq('source_hash', sourceHash);
+    if (deleteError) console.error('Error clearing old knowledge chunks:', deleteError);
+  }
+
+  knowledgeIndexes.set(config.id, { sourceHash, chunks });
+  await purgeAnswerCache(config);
+  console.log(`📚 Indexed ${chunks.length} knowledge chunk(s) for ${config.id}`);
+  return chunks;
+}
+
+// Get a bot's chunks from memory or Supabase, re-indexing if the knowledge base changed
+async function getKnowledgeChunks(config) {
+  const sourceHash = knowledgeSourceHash(config);
+  const cached = knowledgeIndexes.get(config.id);
+  if (cached?.sourceHash === sourceHash) return cached.chunks;
+
+  const { data: rows, error } = await supabase
+    .from('knowledge_chunks')
+    .select('id, content, embedding, source_hash')
+    .eq('chatbot_id', config.id)
+    .order('position', { ascending: true });
+
+  if (error) console.error('Error loading knowledge chunks:', error);
+
+  if (rows?.length > 0 && rows.every(row => row.source_hash === sourceHash)) {
+    const chunks = rows.map(({ id, content, embedding }) => ({ id, content, embedding }));
+    knowledgeIndexes.set(config.id, { sourceHash, chunks });
+    return chunks;
+  }
+
+  return indexKnowledgeBase(config);
+}
+
+// Top-k knowledge chunks for a query, most relevant first
+async function retrieveKnowledge(config, query) {
+  const settings = getRetrievalSettings(config);
+  const chunks = await getKnowledgeChunks(config);
+  if (chunks.length <= settings.topK) return chunks;
+
+  const [queryEmbedding] = await embedder.embed([query]);
+  return chunks
+    .map(chunk => ({ chunk, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.topK)
+    .map(({ chunk }) => chunk);
+}
+
+// Document formats accepted by the ingestion endpoint
+const INGEST_FORMATS = ['markdown', 'html', 'text', 'csv', 'pdf'];
+
+// Lines that are site chrome rather than business knowledge
+const BOILERPLATE_LINES = [
+  /^skip to (main )?content$/i,
+  /^(©|copyright\b)/i,
+  /all rights reserved/i,
+  /^(privacy policy|terms (of (use|service)|and conditions)|cookie (policy|settings))$/i,
+  /\b(we use cookies|accept (all )?cookies)\b/i,
+  /^(menu|home|back to top|share|tweet|print)$/i,
+  /^page \d+( of \d+)?$/i,
+  /^\d+$/
+];
+
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', ndash: '-', mdash: '-', hellip: '...' };
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match);
+}
+
+// Drop boilerplate and duplicate lines, collapse whitespace
+function cleanLines(text) {
+  const seen = new Set();
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(line => {
+      if (!line) return true;
+      if (BOILERPLATE_LINES.some(pattern => pattern.test(line))) return false;
+      if (line.length > 20 && seen.has(line)) return false;
+      seen.add(line);
+      return true;
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Group lines into { title, content } sections wherever isHeading(line) returns a title
+function splitSections(text, defaultTitle, isHeading) {
+  const sections = [];
+  let current = { title: defaultTitle, lines: [] };
+
+  text.split('\n').forEach(line => {
+    const heading = isHeading(line);
+    if (heading) {
+      if (current.lines.join('').trim()) sections.push(current);
+      current = { title: heading, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  if (current.lines.join('').trim()) sections.push(current);
+
+  return sections.map(({ title, lines }) => ({ title, content: cleanLines(lines.join('\n')) }));
+}
+
+function parseMarkdown(content, name) {
+  const text = content
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '- ');
+  return splitSections(text, name, line => (line.match(/^#{1,6}\s+(.+?)\s*#*$/) || [])[1]);
+}
+
+function parseHtml(content, name) {
+  const title = (content.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+  const text = decodeHtmlEntities(content
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form|iframe|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/gi, (_, heading) => `\n## ${heading.replace(/<[^>]+>/g, '').trim()}\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<(br|\/p|\/div|\/tr|\/h[4-6]|\/section|\/article)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '));
+  return splitSections(text, title ? decodeHtmlEntities(title.trim()) : name, line => (line.match(/^## (.+)$/) || [])[1]);
+}
+
+function parsePlainText(content, name) {
+  return splitSections(content, name, line => {
+    const trimmed = line.trim();
+    return /^[A-Z0-9][A-Z0-9 &/'()-]{2,60}:?$/.test(trimmed) && /[A-Z]/.test(trimmed)
+      ? trimmed.replace(/:$/, '')
+      : null;
+  });
+}
+
+// PDF text (as extracted by pdftotext etc.): pages split by form feeds
+function parsePdfText(content, name) {
+  const pages = content.split('\f');
+  const lineCounts = new Map();
+  pages.forEach(page => new Set(page.split('\n').map(l => l.trim()).filter(Boolean))
+    .forEach(line => lineCounts.set(line, (lineCounts.get(line) || 0) + 1)));
+
+  // Lines repeated on most pages are running headers/footers
+  const repeated = pages.length > 2
+    ? new Set([...lineCounts].filter(([, count]) => count > pages.length / 2).map(([line]) => line))
+    : new Set();
+
+  // Page numbers go too, before wrapped lines are rejoined across page breaks
+  const isPageChrome = line => repeated.has(line.trim()) || BOILERPLATE_LINES.some(pattern => pattern.test(line.trim()));
+  const text = pages
+    .map(page => page.split('\n').filter(line => !isPageChrome(line)).join('\n'))
+    .join('\n')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/([^\n.:!?])\n(?=[a-z])/g, '$1 ');
+  return parsePlainText(text, name);
+}
+
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) { row.push(field); rows.push(row); }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// FAQ sheet: one question/answer pair per row; header row optional
+function parseCsvFaq(content) {
+  const rows = parseCsvRows(content);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  let questionCol = header.findIndex(cell => /question|^q$|faq/.test(cell));
+  let answerCol = header.findIndex(cell => /answer|^a$|response/.test(cell));
+  const hasHeader = questionCol !== -1 && answerCol !== -1;
+  if (!hasHeader) { questionCol = 0; answerCol = 1; }
+
+  return rows.slice(hasHeader ? 1 : 0)
+    .filter(row => row[questionCol]?.trim() && row[answerCol]?.trim())
+    .map(row => ({ title: row[questionCol].trim(), content: cleanLines(row[answerCol]) }));
+}
+
+// Normalize a document into titled knowledge sections
+function parseKnowledgeDocument(format, content, name) {
+  const parsers = {
+    markdown: parseMarkdown,
+    html: parseHtml,
+    text: parsePlainText,
+    pdf: parsePdfText,
+    csv: parseCsvFaq
+  };
+  return parsers[format](content.replace(/\r\n?/g, match => format === 'csv' ? match : '\n'), name)
+    .filter(section => section.content);
+}
+
+// Knowledge base text plus all ingested sections, with their sources
+function getKnowledgeText(config) {
+  const sections = (config.knowledgeSources || []).flatMap(source =>
+    source.sections.map(section => `${section.title.toUpperCase()} (source: ${source.name}):\n${section.content}`));
+  return [config.knowledgeBase, ...sections].filter(Boolean).join('\n\n');
+}
+
+// Default answer cache settings (override per bot with config.answerCache).
+// Curated FAQs (config.faqs: [{ question, answer, variants }]) are always served when matched.
+const DEFAULT_ANSWER_CACHE_SETTINGS = {
+  enabled: true,
+  ttlHours: 168,            // cached answers older than this are regenerated
+  semantic: false,          // also match reworded questions by embedding similarity
+  minSimilarity: 0.92
+};
+
+function getAnswerCacheSettings(config) {
+  return { ...DEFAULT_ANSWER_CACHE_SETTINGS, ...(config.answerCache || {}) };
+}
+
+const PLEASANTRIES = new Set(['hi', 'hello', 'hey', 'aloha', 'please', 'pls', 'thanks', 'thank', 'you', 'thx']);
+
+// Cache key for a question: case, punctuation, spacing and leading/trailing pleasantries ignored
+function normalizeQuestion(text) {
+  const words = text.normalize('NFKC').toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  while (words.length > 1 && PLEASANTRIES.has(words[0])) words.shift();
+  while (words.length > 1 && PLEASANTRIES.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
+
+// Cached answers are only valid for the knowledge and prompt they were generated from
+function answerCacheHash(config) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([getKnowledgeText(config), config.businessInfo, config.prompt, config.persona]))
+    .digest('hex');
+}
+
+function validateFaqs(faqs) {
+  if (faqs === undefined) return [];
+  if (!Array.isArray(faqs)) return ['faqs must be an array'];
+  return faqs.flatMap((faq, i) => {
+    const errors = [];
+    if (typeof faq?.question !== 'string' || !faq.question.trim()) errors.push(`faqs[${i}].question is required`);
+    if (typeof faq?.answer !== 'string' || !faq.answer.trim()) errors.push(`faqs[${i}].answer is required`);
+    if (faq?.variants !== undefined && !(Array.isArray(faq.variants) && faq.variants.every(v => typeof v === 'string'))) {
+      errors.push(`faqs[${i}].variants must be an array of strings`);
+    }
+    return errors;
+  });
+}
+
+// FAQ question embeddings per bot: chatbotId -> { hash, entries: [{ faq, embedding }] }
+const faqIndexes = new Map();
+
+async function matchFaq(config, key, settings) {
+  const faqs = config.faqs || [];
+  const entries = faqs.flatMap(faq => [faq.question, ...(faq.variants || [])].map(question => ({ faq, key: normalizeQuestion(question) })));
+  const exact = entries.find(entry => entry.key === key);
+  if (exact || !settings.semantic || entries.length === 0) return exact?.faq || null;
+
+  const hash = crypto.createHash('sha1').update(`${embedder.name}\n${JSON.stringify(entries.map(entry => entry.key))}`).digest('hex');
+  let index = faqIndexes.get(config.id);
+  if (!index || index.hash !== hash) {
+    const embeddings = await embedder.embed(entries.map(entry => entry.key));
+    index = { hash, entries: entries.map((entry, i) => ({ faq: entry.faq, embedding: embeddings[i] })) };
+    faqIndexes.set(config.id, index);
+  }
+
+  const [queryEmbedding] = await embedder.embed([key]);
+  const best = index.entries
+    .map(entry => ({ faq: entry.faq, score: cosineSimilarity(queryEmbedding, entry.embedding) }))
+    .sort((a, b) => b.score - a.score)[0];
+  return best.score >= settings.minSimilarity ? best.faq : null;
+}
+
+// Look for a curated FAQ answer, then a cached answer. Returns { answer, source: 'faq' | 'cache', id } or null.
+async function findCachedAnswer(config, message) {
+  const settings = getAnswerCacheSettings(config);
+  const key = normalizeQuestion(message);
+  if (!key) return null;
+
+  try {
+    const faq = await matchFaq(config, key, settings);
+    if (faq) return { answer: faq.answer, source: 'faq', id: null };
+    if (!settings.enabled) return null;
+
+    const cutoff = new Date(Date.now() - settings.ttlHours * 3600000).toISOString();
+    const query = () => supabase
+      .from('answer_cache')
+      .select('id, question_key, answer, hits, embedding')
+      .eq('chatbot_id', config.id)
+      .eq('source_hash', answerCacheHash(config))
+      .gte('created_at', cutoff);
+
+    const { data: exact, error } = await query().eq('question_key', key).limit(1);
+    if (error) throw error;
+    let entry = exact[0];
+
+    if (!entry && settings.semantic) {
+      const { data: candidates, error: candidatesError } = await query().order('hits', { ascending: false }).limit(500);
+      if (candidatesError) throw candidatesError;
+      const [queryEmbedding] = await embedder.embed([key]);
+      const best = candidates
+        .filter(candidate => candidate.embedding)
+        .map(candidate => ({ candidate, score: cosineSimilarity(queryEmbedding, candidate.embedding) }))
+        .sort((a, b) => b.score - a.score)[0];
+      if (best?.score >= settings.minSimilarity) entry = best.candidate;
+    }
+    if (!entry) return null;
+
+    await supabase
+      .from('answer_cache')
+      .update({ hits: entry.hits + 1, last_hit_at: new Date().toISOString() })
+      .eq('id', entry.id);
+
+    return { answer: entry.answer, source: 'cache', id: entry.id };
+  } catch (error) {
+    console.error('Error reading answer cache:', error);
+    return null;
+  }
+}
+
+// Cache a generated answer. Only standalone opening questions are cached - follow-ups depend on
+// earlier turns - and never answers that used tools, showed a form or handed off.
+async function cacheAnswer(turn, message, answer) {
+  const settings = getAnswerCacheSettings(turn.config);
+  const key = normalizeQuestion(message);
+  if (!settings.enabled || !key || !answer || turn.cachedAnswer) return;
+  if (turn.followUp || turn.usedTools || turn.leadForm || turn.escalated || turn.unanswered || turn.ungrounded) return;
+
+  try {
+    const [embedding] = settings.semantic ? await embedder.embed([key]) : [null];
+    const { error } = await supabase
+      .from('answer_cache')
+      .upsert({
+        chatbot_id: turn.chatbotId,
+        question_key: key,
+        question: message,
+        answer,
+        embedding,
+        source_hash: answerCacheHash(turn.config),
+        hits: 0,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'chatbot_id,question_key' });
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error caching answer:', error);
+  }
+}
+
+// Drop cached answers generated from older knowledge
+async function purgeAnswerCache(config) {
+  const { error } = await supabase
+    .from('answer_cache')
+    .delete()
+    .eq('chatbot_id', config.id)
+    .neq('source_hash', answerCacheHash(config));
+
+  if (error) console.error('Error purging answer cache:', error);
+}
+
+const PII_ACTIONS = ['redact', 'keep'];
+
+// Default guardrail settings (override per bot with config.guardrails)
+const DEFAULT_GUARDRAIL_SETTINGS = {
+  moderation: true,         // screen guest messages with the OpenAI moderation API
+  refusalMessage: "Sorry, I can't help with that. Is there anything else about {businessName} I can help with?",
+  maxMessageChars: 2000,
+  tooLongMessage: 'That message is a bit long for me - could you shorten it to your main question?',
+  // What happens to personal data before messages are logged or sent to the model.
+  // Emails and phone numbers are kept by default so lead capture still works.
+  pii: { card: 'redact', passport: 'redact', email: 'keep', phone: 'keep' },
+  groundingCheck: false     // flag replies quoting prices or policies the knowledge base doesn't contain
+};
+
+function getGuardrailSettings(config) {
+  const guardrails = config.guardrails || {};
+  return { ...DEFAULT_GUARDRAIL_SETTINGS, ...guardrails, pii: { ...DEFAULT_GUARDRAIL_SETTINGS.pii, ...(guardrails.pii || {}) } };
+}
+
+function validateGuardrailSettings(guardrails) {
+  if (typeof guardrails !== 'object' || guardrails === null || Array.isArray(guardrails)) return [];
+
+  const errors = [];
+  ['moderation', 'groundingCheck'].forEach(field => {
+    if (guardrails[field] !== undefined && typeof guardrails[field] !== 'boolean') errors.push(`guardrails.${field} must be true or false`);
+  });
+  ['refusalMessage', 'tooLongMessage'].forEach(field => {
+    if (guardrails[field] !== undefined && (typeof guardrails[field] !== 'string' || !guardrails[field].trim())) {
+      errors.push(`guardrails.${field} must be a non-empty string`);
+    }
+  });
+  if (guardrails.maxMessageChars !== undefined && !(Number.isInteger(guardrails.maxMessageChars) && guardrails.maxMessageChars >= 50 && guardrails.maxMessageChars <= 10000)) {
+    errors.push('guardrails.maxMessageChars must be an integer between 50 and 10000');
+  }
+  if (guardrails.pii !== undefined) {
+    if (typeof guardrails.pii !== 'object' || guardrails.pii === null || Array.isArray(guardrails.pii)) {
+      errors.push('guardrails.pii must be an object');
+    } else {
+      Object.entries(guardrails.pii).forEach(([type, action]) => {
+        if (!PII_PATTERNS[type]) errors.push(`guardrails.pii.${type} is not a PII type (${Object.keys(PII_PATTERNS).join(', ')})`);
+        else if (!PII_ACTIONS.includes(action)) errors.push(`guardrails.pii.${type} must be one of: ${PII_ACTIONS.join(', ')}`);
+      });
+    }
+  }
+  return errors;
+}
+
+// Luhn checksum, so order numbers and booking references aren't mistaken for cards
+function isCardNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// Checked in this order, so card numbers aren't half-matched as phone numbers.
+// A passport number only counts when the guest says it is one.
+const PII_PATTERNS = {
+  card: { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, matches: isCardNumber },
+  passport: { pattern: /(\bpassport\b[^\d\n]{0,20}?)\b([A-Z]{0,2}\d{6,9})\b/gi, group: 2 },
+  email: { pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  phone: { pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g }
+};
+
+// Replace the personal data the bot's policy doesn't keep. Returns the redacted text
+// and the types that were found.
+function redactPii(text, policy) {
+  const found = [];
+  const redacted = Object.entries(PII_PATTERNS).reduce((result, [type, { pattern, matches, group }]) => {
+    if (policy[type] !== 'redact') return result;
+    return result.replace(pattern, (match, ...groups) => {
+      if (matches && !matches(match)) return match;
+      found.push(type);
+      return group ? `${groups[0]}[${type} redacted]` : `[${type} redacted]`;
+    });
+  }, text);
+  return { text: redacted, found: [...new Set(found)] };
+}
+
+// Categories the moderation API flagged, or an empty list. Fails open so an outage doesn't block guests.
+async function moderateMessage(message) {
+  try {
+    const { results: [result] } = await openai.moderations.create({ model: 'omni-moderation-latest', input: message });
+    return result.flagged ? Object.keys(result.categories).filter(category => result.categories[category]) : [];
+  } catch (error) {
+    console.error('Error moderating message, allowing it:', error.message);
+    return [];
+  }
+}
+
+// Run a guest message through the bot's guardrails before it is logged or sent to the model.
+// Returns the message with PII redacted, or a refusal to send back instead.
+async function screenGuestMessage(chatbotId, config, conversationId, message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    return { status: 400, refusal: { error: 'message is required' } };
+  }
+
+  const settings = getGuardrailSettings(config);
+  const fill = text => text.replace('{businessName}', config.businessName);
+
+  if (message.length > settings.maxMessageChars) {
+    await logGuardrailEvent(chatbotId, conversationId, 'length', { length: message.length, limit: settings.maxMessageChars });
+    return { status: 400, refusal: { error: 'Message is too long', response: fill(settings.tooLongMessage) } };
+  }
+
+  const { text, found } = redactPii(message, settings.pii);
+  if (found.length > 0) await logGuardrailEvent(chatbotId, conversationId, 'pii', { types: found });
+
+  const categories = settings.moderation ? await moderateMessage(text) : [];
+  if (categories.length > 0) {
+    await logGuardrailEvent(chatbotId, conversationId, 'moderation', { categories, message: text });
+    return { status: 200, refusal: { response: fill(settings.refusalMessage), moderated: true } };
+  }
+
+  return { message: text };
+}
+
+const PRICE_PATTERN = /[$€£¥]\s?\d[\d,]*(?:\.\d+)?|\b\d[\d,]*(?:\.\d+)?\s?(?:usd|eur|gbp|dollars?|euros?)\b/gi;
+
+const priceValue = text => Number(text.replace(/[^\d.]/g, ''));
+
+// Check a reply against what the model was given (prompt, guest message and tool results).
+// Prices are matched exactly; other policies and rules are checked by the utility model.
+// Returns the unsupported claims, or an empty list.
+async function checkGrounding(turn, answer) {
+  const sources = [
+    ...turn.completionRequest.messages.map(m => m.content),
+    ...turn.toolResults.map(result => JSON.stringify(result))
+  ].join('\n');
+
+  const knownNumbers = new Set((sources.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(priceValue));
+  const prices = (answer.match(PRICE_PATTERN) || []).filter(price => !knownNumbers.has(priceValue(price)));
+
+  let claims = [];
+  try {
+    const { content } = await llmComplete(turn.config, {
+      messages: [
+        {
+          role: 'system',
+          content: `You check a customer service reply against the reference information the assistant was given. List every price, fee, rule, policy or guarantee stated in the reply that the reference information does not support. Reply with JSON: {"unsupported": ["..."]} (an empty list if everything is supported).\n\nREFERENCE INFORMATION:\n${sources}`
+        },
+        { role: 'user', content: answer }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0,
+      max_tokens: 200
+    }, { utility: true, purpose: 'grounding', conversationId: turn.conversationId });
+
+    const { unsupported } = JSON.parse(content);
+    if (Array.isArray(unsupported)) claims = unsupported.filter(claim => typeof claim === 'string');
+  } catch (error) {
+    console.error('Error checking answer grounding:', error);
+  }
+
+  return [...new Set([...prices, ...claims])];
+}
+
+// Record a guardrail event (refused, redacted or flagged message) for the bot's review queue
+async function logGuardrailEvent(chatbotId, conversationId, type, details) {
+  console.log(`🛡️ Guardrail ${type} for ${conversationId || chatbotId}`);
+
+  const { error } = await supabase
+    .from('guardrail_events')
+    .insert({
+      chatbot_id: chatbotId,
+      conversation_id: conversationId || null,
+      type,
+      details
+    });
+
+  if (error) console.error('Error logging guardrail event:', error);
+}
+
+// Default human handoff settings (override per bot with config.handoff)
+const DEFAULT_HANDOFF_SETTINGS = {
+  enabled: true,
+  botCanEscalate: true,     // the model can hand off by ending its reply with HANDOFF_MARKER
+  waitingMessage: "I've asked a member of our team to join. They'll reply here shortly.",
+  operatorJoinedMessage: "You're now chatting with staff.",
+  releasedMessage: "You're back with the AI assistant."
+};
+
+const HANDOFF_MARKER = '[HANDOFF]';
+
+// The model ends replies it couldn't answer from the knowledge base with this, for the unanswered questions report
+const UNANSWERED_MARKER = '[NO_ANSWER]';
+
+const stripReplyMarkers = text => text.replace(HANDOFF_MARKER, '').replace(UNANSWERED_MARKER, '').trim();
+
+// Conversation statuses: the bot answers only while a conversation is 'bot'
+const HANDOFF_STATUSES = ['handoff_requested', 'human'];
+
+function getHandoffSettings(config) {
+  return { ...DEFAULT_HANDOFF_SETTINGS, ...(config.handoff || {}) };
+}
+
+function validateHandoffSettings(handoff) {
+  if (typeof handoff !== 'object' || handoff === null || Array.isArray(handoff)) return [];
+
+  const errors = [];
+  ['enabled', 'botCanEscalate'].forEach(field => {
+    if (handoff[field] !== undefined && typeof handoff[field] !== 'boolean') errors.push(`handoff.${field} must be true or false`);
+  });
+  ['waitingMessage', 'operatorJoinedMessage', 'releasedMessage'].forEach(field => {
+    if (handoff[field] !== undefined && (typeof handoff[field] !== 'string' || !handoff[field].trim())) {
+      errors.push(`handoff.${field} must be a non-empty string`);
+    }
+  });
+  return errors;
+}
+
+// In-process pub/sub for live updates: 'conversation:<id>' for the widget, 'chatbot:<id>' for operator inboxes
+const liveEvents = new EventEmitter();
+liveEvents.setMaxListeners(0);
+
+function publishLiveEvent(chatbotId, conversationId, type, data) {
+  const event = { type, conversationId, ...data };
+  liveEvents.emit(`conversation:${conversationId}`, event);
+  liveEvents.emit(`chatbot:${chatbotId}`, event);
+}
+
+// Open a Server-Sent Events response with a heartbeat; returns send/close helpers
+function openEventStream(req, res, onClose) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function getConversationStatus(chatbotId, conversationId) {
+  if (!conversationId) return 'bot';
+
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('status')
+    .eq('id', conversationId)
+    .eq('chatbot_id', chatbotId)
+    .maybeSingle();
+
+  if (error) console.error('Error loading conversation status:', error);
+  return conversation?.status || 'bot';
+}
+
+// Move one of the bot's conversations between 'bot', 'handoff_requested' and 'human' and notify listeners.
+// With create, a conversation that has no record yet is started. Returns false if the bot has no
+// conversation with that id (including ids that belong to another bot).
+async function setConversationStatus(chatbotId, conversationId, status, fields = {}, { create = false } = {}) {
+  const { data: updated, error } = await supabase
+    .from('conversations')
+    .update({ status, ...fields })
+    .eq('id', conversationId)
+    .eq('chatbot_id', chatbotId)
+    .select('id');
+
+  if (error) throw error;
+  if (updated.length === 0) {
+    if (!create) return false;
+    const { error: insertError } = await supabase
+      .from('conversations')
+      .insert({ id: conversationId, chatbot_id: chatbotId, status, ...fields });
+    if (insertError?.code === '23505') return false;
+    if (insertError) throw insertError;
+  }
+
+  publishLiveEvent(chatbotId, conversationId, 'status', { status, ...fields });
+  return true;
+}
+
+async function requestHandoff(chatbotId, conversationId, reason, requestedBy) {
+  const requested = await setConversationStatus(chatbotId, conversationId, 'handoff_requested', {
+    handoff_reason: reason || null,
+    handoff_requested_by: requestedBy,
+    handoff_requested_at: new Date().toISOString()
+  }, { create: true });
+  if (!requested) return false;
+
+  console.log(`🙋 Handoff requested for ${conversationId} (${requestedBy})`);
+  await emitWebhookEvent(chatbotId, 'handoff.requested', { conversationId, reason: reason || null, requestedBy });
+  return true;
+}
+
+// Count new messages on a conversation, recording it (and emitting conversation.started) on its first ones.
+// The record_conversation_messages RPC does this atomically, so concurrent turns can't lose counts.
+async function recordConversationMessages(chatbotId, conversationId, count, language = null) {
+  const { data, error } = await supabase.rpc('record_conversation_messages', {
+    p_id: conversationId,
+    p_chatbot_id: chatbotId,
+    p_count: count,
+    p_language: language
+  });
+
+  if (error) return console.error('Error updating conversation:', error);
+  if (data?.[0]?.created) await emitWebhookEvent(chatbotId, 'conversation.started', { conversationId, language });
+}
+
+// Log a message outside the LLM flow (guest messages during handoff, operator replies)
+async function logConversationMessage(chatbotId, conversationId, role, content, fields = {}) {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .insert({
+      conversation_id: conversationId,
+      chatbot_id: chatbotId,
+      role,
+      content,
+      ...fields
+    })
+    .select('id, role, content, created_at')
+    .single();
+
+  if (error) console.error(`Error logging ${role} message:`, error);
+
+  // Keep cached memory complete so the bot has context when the conversation is handed back
+  conversationHistories.get(`${chatbotId}:${conversationId}`)?.messages.push({
+    role: role === 'operator' ? 'assistant' : role,
+    content
+  });
+
+  await recordConversationMessages(chatbotId, conversationId, 1);
+
+  const event = message || { role, content, created_at: new Date().toISOString() };
+  publishLiveEvent(chatbotId, conversationId, 'message', { message: event, ...fields });
+  await emitWebhookEvent(chatbotId, 'message.created', { conversationId, messageId: message?.id ?? null, role, content, createdAt: event.created_at });
+  return event;
+}
+
+// Strips HANDOFF_MARKER and UNANSWERED_MARKER from streamed tokens, holding back text that might be the start of one
+function createReplyMarkerFilter() {
+  let pending = '';
+  const markers = [HANDOFF_MARKER, UNANSWERED_MARKER];
+  const filter = {
+    escalate: false,
+    unanswered: false,
+
+    push(token) {
+      pending += token;
+      if (pending.includes(HANDOFF_MARKER)) {
+        filter.escalate = true;
+        pending = pending.replace(HANDOFF_MARKER, '');
+      }
+      if (pending.includes(UNANSWERED_MARKER)) {
+        filter.unanswered = true;
+        pending = pending.replace(UNANSWERED_MARKER, '');
+      }
+      const start = pending.lastIndexOf('[');
+      const holdFrom = start !== -1 && markers.some(marker => marker.startsWith(pending.slice(start))) ? start : pending.length;
+      const ready = pending.slice(0, holdFrom);
+      pending = pending.slice(holdFrom);
+      return ready;
+    },
+
+    flush() {
+      const rest = pending;
+      pending = '';
+      return rest;
+    }
+  };
+  return filter;
+}
+
+// Lead fields the model can extract; bots pick a subset (or add custom { key, label, description })
+const LEAD_FIELD_CATALOG = {
+  name: { type: 'string', label: 'Name', description: "The guest's name" },
+  email: { type: 'string', label: 'Email', description: 'Email address', input: 'email' },
+  phone: { type: 'string', label: 'Phone', description: 'Phone number, with country code if given', input: 'tel' },
+  partySize: { type: 'integer', label: 'Party size', description: 'Number of people', input: 'number' },
+  checkIn: { type: 'string', label: 'Arrival date', description: 'Arrival or start date as YYYY-MM-DD', input: 'date' },
+  checkOut: { type: 'string', label: 'Departure date', description: 'Departure or end date as YYYY-MM-DD', input: 'date' },
+  roomType: { type: 'string', label: 'Room type', description: 'Requested room, product or service type' },
+  notes: { type: 'string', label: 'Notes', description: 'Any other requests or details' }
+};
+
+// Default lead capture settings (override per bot with config.leadCapture)
+const DEFAULT_LEAD_CAPTURE_SETTINGS = {
+  enabled: false,
+  fields: ['name', 'email', 'phone', 'partySize', 'checkIn', 'checkOut'],
+  showForm: true            // let the model show an inline contact form in the widget
+};
+
+function getLeadCaptureSettings(config) {
+  return { ...DEFAULT_LEAD_CAPTURE_SETTINGS, ...(config.leadCapture || {}) };
+}
+
+// Resolve configured field names / custom definitions into { key, type, label, description }
+function getLeadFields(config) {
+  return getLeadCaptureSettings(config).fields
+    .map(field => typeof field === 'string'
+      ? LEAD_FIELD_CATALOG[field] && { key: field, ...LEAD_FIELD_CATALOG[field] }
+      : { type: 'string', label: field.key, description: '', ...field })
+    .filter(Boolean);
+}
+
+// Lead fields are catalog names or custom { key, type, label, description, input } definitions
+function validateLeadCaptureSettings(leadCapture) {
+  if (typeof leadCapture !== 'object' || leadCapture === null || Array.isArray(leadCapture)) return [];
+
+  const errors = [];
+  ['enabled', 'showForm'].forEach(field => {
+    if (leadCapture[field] !== undefined && typeof leadCapture[field] !== 'boolean') errors.push(`leadCapture.${field} must be true or false`);
+  });
+  if (leadCapture.fields === undefined) return errors;
+  if (!Array.isArray(leadCapture.fields) || leadCapture.fields.length === 0 || leadCapture.fields.length > 12) {
+    return [...errors, 'leadCapture.fields must be an array of 1-12 fields'];
+  }
+
+  const keys = new Set();
+  leadCapture.fields.forEach((field, i) => {
+    const key = typeof field === 'string' ? field : field?.key;
+    if (typeof field === 'string') {
+      if (!LEAD_FIELD_CATALOG[field]) errors.push(`leadCapture.fields[${i}] must be one of: ${Object.keys(LEAD_FIELD_CATALOG).join(', ')} or a custom field`);
+    } else if (typeof field !== 'object' || field === null || Array.isArray(field)) {
+      errors.push(`leadCapture.fields[${i}] must be a field name or an object`);
+    } else {
+      if (typeof field.key !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(field.key)) {
+        errors.push(`leadCapture.fields[${i}].key must be 1-40 letters, numbers or _, starting with a letter`);
+      }
+      if (field.type !== undefined && !['string', 'integer'].includes(field.type)) errors.push(`leadCapture.fields[${i}].type must be string or integer`);
+      ['label', 'description', 'input'].forEach(prop => {
+        if (field[prop] !== undefined && typeof field[prop] !== 'string') errors.push(`leadCapture.fields[${i}].${prop} must be a string`);
+      });
+    }
+    if (typeof key === 'string' && keys.has(key)) errors.push(`leadCapture.fields[${i}] "${key}" is listed twice`);
+    keys.add(key);
+  });
+  return errors;
+}
+
+// Keep only configured, well-formed values
+function cleanLeadFields(config, values) {
+  const cleaned = {};
+  getLeadFields(config).forEach(({ key, type }) => {
+    let value = values?.[key];
+    if (value === undefined || value === null || value === '') return;
+    if (type === 'integer') value = parseInt(value);
+    else value = String(value).trim().slice(0, 500);
+    if (type === 'integer' && (isNaN(value) || value < 1)) return;
+    if (key === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return;
+    if (key === 'phone' && value.replace(/\D/g, '').length < 6) return;
+    cleaned[key] = value;
+  });
+  return cleaned;
+}
+
+// Merge newly captured fields into the conversation's lead
+async function saveLead(config, conversationId, values, source) {
+  const fields = cleanLeadFields(config, values);
+  if (!conversationId || Object.keys(fields).length === 0) return null;
+
+  const { data: existing, error: loadError } = await supabase
+    .from('leads')
+    .select('id, fields')
+    .eq('conversation_id', conversationId)
+    .eq('chatbot_id', config.id)
+    .maybeSingle();
+
+  if (loadError) throw loadError;
+
+  const now = new Date().toISOString();
+  const { data: lead, error } = existing
+    ? await supabase
+      .from('leads')
+      .update({ fields: { ...existing.fields, ...fields }, source, updated_at: now })
+      .eq('id', existing.id)
+      .select()
+      .single()
+    : await supabase
+      .from('leads')
+      .insert({ chatbot_id: config.id, conversation_id: conversationId, fields, source, updated_at: now })
+      .select()
+      .single();
+
+  if (error) throw error;
+
+  console.log(`📇 Lead ${existing ? 'updated' : 'captured'} for ${conversationId}: ${Object.keys(fields).join(', ')}`);
+  await emitWebhookEvent(config.id, 'lead.captured', { conversationId, leadId: lead.id, fields: lead.fields, source, updated: Boolean(existing) });
+  return lead;
+}
+
+// Per-bot outbound webhooks (config.webhooks): { name, url, events, secret | secretEnv, enabled }.
+// secretEnv names a server variable starting with WEBHOOK_SECRET_; only super-admin keys can set it.
+// Each event is POSTed as JSON { id, type, createdAt, chatbotId, data }, signed with the webhook's secret:
+//   X-Automagixx-Signature: sha256=<hex HMAC-SHA256 of "<X-Automagixx-Timestamp>.<body>">
+// conversation.started fires when the conversation is first recorded, usually after the bot's first reply.
+const WEBHOOK_EVENTS = ['conversation.started', 'message.created', 'lead.captured', 'handoff.requested', 'feedback.received'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = 10000;   // 10s, 20s, 40s, 80s between attempts
+const WEBHOOK_SECRET_ENV_PREFIX = 'WEBHOOK_SECRET_';
+
+// Returns a list of problems with a bot's webhook subscriptions (empty if valid)
+function validateWebhooks(webhooks) {
+  if (webhooks === undefined) return [];
+  if (!Array.isArray(webhooks)) return ['webhooks must be an array'];
+
+  const errors = [];
+  const names = new Set();
+  webhooks.forEach((webhook, i) => {
+    if (typeof webhook !== 'object' || webhook === null) return errors.push(`webhooks[${i}] must be an object`);
+
+    if (typeof webhook.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(webhook.name)) {
+      errors.push(`webhooks[${i}].name must be 1-64 letters, numbers, _ or -`);
+    } else if (names.has(webhook.name)) {
+      errors.push(`webhooks[${i}].name "${webhook.name}" is already in use`);
+    }
+    names.add(webhook.name);
+
+    const urlProblem = checkOutboundUrl(webhook.url);
+    if (urlProblem) errors.push(`webhooks[${i}].url ${urlProblem}`);
+    if (webhook.events !== undefined && (!Array.isArray(webhook.events) || webhook.events.length === 0
+      || webhook.events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event)))) {
+      errors.push(`webhooks[${i}].events must list '*' or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (webhook.secretEnv !== undefined ? typeof webhook.secretEnv !== 'string' : typeof webhook.secret !== 'string' || webhook.secret.length < 16) {
+      errors.push(`webhooks[${i}] needs a secret of at least 16 characters or a secretEnv variable name`);
+    } else if (webhook.secretEnv !== undefined && !webhook.secretEnv.startsWith(WEBHOOK_SECRET_ENV_PREFIX)) {
+      errors.push(`webhooks[${i}].secretEnv must start with ${WEBHOOK_SECRET_ENV_PREFIX}`);
+    }
+    if (webhook.enabled !== undefined && typeof webhook.enabled !== 'boolean') errors.push(`webhooks[${i}].enabled must be true or false`);
+  });
+  return errors;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Deliveries are queued in the Supabase `webhook_deliveries` table (see schema.sql), one row per event and webhook.
+// next_attempt_at is when the row is due; null once delivered or out of attempts. Serverless instances
+// freeze after responding, so anything not delivered right away is retried by drainWebhookQueue.
+const WEBHOOK_DELIVERY_COLUMNS = 'id, chatbot_id, webhook, event_id, event_type, url, payload, attempt, status_code, error, duration_ms, delivered, next_attempt_at, created_at, updated_at';
+const WEBHOOK_LEASE_MS = 60000;        // an attempt that never reports back is retried after this
+const WEBHOOK_DRAIN_BATCH = 50;
+
+// Make one attempt at a queued delivery. The row is claimed by bumping its attempt count, so an
+// instance that loses the race skips it. Failures are rescheduled with backoff unless retry is false.
+async function attemptWebhookDelivery(config, webhook, delivery, { retry = true } = {}) {
+  const attempt = delivery.attempt + 1;
+  const { data: claimed, error: claimError } = await supabase
+    .from('webhook_deliveries')
+    .update({ attempt, next_attempt_at: new Date(Date.now() + WEBHOOK_LEASE_MS).toISOString() })
+    .eq('id', delivery.id)
+    .eq('attempt', delivery.attempt)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (claimed.length === 0) return null;
+
+  const secret = webhook.secretEnv ? process.env[webhook.secretEnv] : webhook.secret;
+  const event = delivery.payload;
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let statusCode = null;
+  let failure = null;
+
+  try {
+    if (webhook.secretEnv && !webhook.secretEnv.startsWith(WEBHOOK_SECRET_ENV_PREFIX)) {
+      throw new Error(`secretEnv must start with ${WEBHOOK_SECRET_ENV_PREFIX}`);
+    }
+    if (!secret) throw new Error(`secret env variable ${webhook.secretEnv} is not set`);
+    if (!(await isPublicUrl(webhook.url))) throw new Error('url does not resolve to a public address');
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Automagixx-Webhooks/1.0',
+        'X-Automagixx-Event': event.type,
+        'X-Automagixx-Delivery': event.id,
+        'X-Automagixx-Timestamp': String(timestamp),
+        'X-Automagixx-Signature': signWebhookPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: 'error',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) failure = `HTTP ${response.status}`;
+  } catch (error) {
+    failure = error.name === 'TimeoutError' ? `timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+  }
+
+  // Client errors other than timeouts and rate limits won't succeed on a retry
+  const retryable = statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+  const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+  const willRetry = Boolean(failure) && retry && retryable && attempt < WEBHOOK_MAX_ATTEMPTS;
+
+  const { data: updated, error } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      url: webhook.url,
+      status_code: statusCode,
+      error: failure,
+      duration_ms: Date.now() - startedAt,
+      delivered: !failure,
+      next_attempt_at: willRetry ? new Date(Date.now() + delay).toISOString() : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', delivery.id)
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .single();
+
+  if (error) console.error('Error logging webhook delivery:', error);
+
+  if (willRetry) {
+    console.warn(`🪝 ${event.type} to ${webhook.name} failed (${failure}), retrying in ${delay / 1000}s`);
+  } else if (failure) {
+    console.error(`🪝 ${event.type} to ${webhook.name} failed after ${attempt} attempt(s): ${failure}`);
+  }
+
+  return updated;
+}
+
+// Queue an event for each subscribed webhook and start delivering it. Await it so the rows exist
+// before the response is sent; the first attempts run in the background. Never throws.
+async function emitWebhookEvent(chatbotId, type, data) {
+  try {
+    const config = await getChatbotConfig(chatbotId);
+    const webhooks = (config?.webhooks || [])
+      .filter(webhook => webhook.enabled !== false)
+      .filter(webhook => (webhook.events || ['*']).some(event => event === '*' || event === type));
+    if (webhooks.length === 0) return;
+
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), chatbotId, data };
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .insert(webhooks.map(webhook => ({
+        chatbot_id: chatbotId,
+        webhook: webhook.name,
+        event_id: event.id,
+        event_type: type,
+        url: webhook.url,
+        payload: event,
+        attempt: 0,
+        delivered: false,
+        next_attempt_at: event.createdAt
+      })))
+      .select(WEBHOOK_DELIVERY_COLUMNS);
+
+    if (error) throw error;
+
+    deliveries.forEach(delivery => {
+      const webhook = webhooks.find(w => w.name === delivery.webhook);
+      attemptWebhookDelivery(config, webhook, delivery)
+        .catch(deliveryError => console.error('Error delivering webhook:', deliveryError));
+    });
+  } catch (error) {
+    console.error(`Error emitting ${type} webhook:`, error);
+  }
+}
+
+// Retry deliveries that are due: failed attempts past their backoff, and first attempts an
+// instance never finished. Runs from the cron route, and on a timer when the server runs locally.
+async function drainWebhookQueue() {
+  const { data: due, error } = await supabase
+    .from('webhook_deliveries')
+    .select(WEBHOOK_DELIVERY_COLUMNS)
+    .eq('delivered', false)
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(WEBHOOK_DRAIN_BATCH);
+
+  if (error) throw error;
+
+  const results = await Promise.all(due.map(async delivery => {
+    const config = await getChatbotConfig(delivery.chatbot_id);
+    const webhook = (config?.webhooks || []).find(w => w.name === delivery.webhook && w.enabled !== false);
+    if (webhook) return attemptWebhookDelivery(config, webhook, delivery);
+
+    await supabase
+      .from('webhook_deliveries')
+      .update({ error: 'webhook was removed or disabled', next_attempt_at: null, updated_at: new Date().toISOString() })
+      .eq('id', delivery.id);
+    return null;
+  }));
+
+  return { due: due.length, delivered: results.filter(result => result?.delivered).length };
+}
+
+// Bot-configured URLs (tools, webhooks) may only reach the public internet, never this server's
+// own network or cloud metadata. ALLOW_PRIVATE_NETWORK_URLS=true lifts this for local development.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+const allowPrivateNetworkUrls = () => process.env.ALLOW_PRIVATE_NETWORK_URLS === 'true';
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Cheap check for settings validation: local hostnames and literal private addresses
+function isPrivateHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || isPrivateAddress(host);
+}
+
+// Check right before a request, since a public hostname can still resolve to a private address
+async function isPublicUrl(url) {
+  if (allowPrivateNetworkUrls()) return true;
+  const { hostname } = new URL(url);
+  if (isPrivateHostname(hostname)) return false;
+  if (net.isIP(hostname)) return true;
+
+  try {
+    const addresses = await dns.lookup(hostname, { all: true });
+    return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address));
+  } catch {
+    return false;
+  }
+}
+
+// Returns a problem with a bot-configured URL, or null
+function checkOutboundUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+    if (!allowPrivateNetworkUrls() && isPrivateHostname(url.hostname)) return 'must not point at a private or local address';
+    return null;
+  } catch {
+    return 'must be an http(s) URL';
+  }
+}
+
+// Per-bot business system tools (config.tools):
+//   { name, description, url, method, parameters (JSON schema), auth: { header, value | env }, timeoutMs }
+//   { name, type: 'mock_availability', rooms } - built-in sample availability/pricing for testing
+// auth.env names a server variable starting with TOOL_SECRET_; only super-admin keys can set it.
+const TOOL_TYPES = ['http', 'mock_availability'];
+const RESERVED_TOOL_NAMES = ['save_lead_details', 'show_contact_form'];
+const DEFAULT_TOOL_TIMEOUT_MS = 8000;
+const MAX_TOOL_TIMEOUT_MS = 15000;
+const MAX_TOOL_RESULT_CHARS = 4000;
+const TOOL_SECRET_ENV_PREFIX = 'TOOL_SECRET_';
+
+const MOCK_AVAILABILITY_ROOMS = [
+  { type: 'Dorm bed', nightlyRate: 35, capacity: 1, units: 12 },
+  { type: 'Private room', nightlyRate: 89, capacity: 2, units: 4 }
+];
+
+const MOCK_AVAILABILITY_PARAMETERS = {
+  type: 'object',
+  properties: {
+    checkIn: { type: 'string', description: 'Arrival date as YYYY-MM-DD' },
+    checkOut: { type: 'string', description: 'Departure date as YYYY-MM-DD' },
+    guests: { type: 'integer', description: 'Number of guests' },
+    roomType: { type: 'string', description: 'Optional room type to check' }
+  },
+  required: ['checkIn', 'checkOut']
+};
+
+// Returns a list of problems with a bot's tool definitions (empty if valid)
+function validateChatTools(tools) {
+  if (tools === undefined) return [];
+  if (!Array.isArray(tools)) return ['tools must be an array'];
+
+  const errors = [];
+  const names = new Set();
+  tools.forEach((tool, i) => {
+    if (typeof tool !== 'object' || tool === null) return errors.push(`tools[${i}] must be an object`);
+    const type = tool.type || 'http';
+
+    if (typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      errors.push(`tools[${i}].name must be 1-64 letters, numbers, _ or -`);
+    } else if (RESERVED_TOOL_NAMES.includes(tool.name) || names.has(tool.name)) {
+      errors.push(`tools[${i}].name "${tool.name}" is already in use`);
+    }
+    names.add(tool.name);
+
+    if (!TOOL_TYPES.includes(type)) errors.push(`tools[${i}].type must be one of: ${TOOL_TYPES.join(', ')}`);
+    if (tool.timeoutMs !== undefined && (!Number.isInteger(tool.timeoutMs) || tool.timeoutMs < 100 || tool.timeoutMs > MAX_TOOL_TIMEOUT_MS)) {
+      errors.push(`tools[${i}].timeoutMs must be between 100 and ${MAX_TOOL_TIMEOUT_MS}`);
+    }
+    if (type !== 'http') return;
+
+    if (typeof tool.description !== 'string' || !tool.description.trim()) errors.push(`tools[${i}].description is required`);
+    const urlProblem = checkOutboundUrl(tool.url);
+    if (urlProblem) errors.push(`tools[${i}].url ${urlProblem}`);
+    if (tool.method !== undefined && !['GET', 'POST'].includes(tool.method)) errors.push(`tools[${i}].method must be GET or POST`);
+    if (tool.parameters !== undefined && (typeof tool.parameters !== 'object' || tool.parameters === null || tool.parameters.type !== 'object')) {
+      errors.push(`tools[${i}].parameters must be a JSON schema with type "object"`);
+    }
+    if (tool.auth !== undefined && (typeof tool.auth?.header !== 'string' || (typeof tool.auth.value !== 'string' && typeof tool.auth.env !== 'string'))) {
+      errors.push(`tools[${i}].auth needs a header and a value or env variable name`);
+    } else if (tool.auth?.env != null && !String(tool.auth.env).startsWith(TOOL_SECRET_ENV_PREFIX)) {
+      errors.push(`tools[${i}].auth.env must start with ${TOOL_SECRET_ENV_PREFIX}`);
+    }
+  });
+  return errors;
+}
+
+// Check the model's arguments against the top level of the tool's schema
+function checkToolArguments(schema, args) {
+  const problems = [];
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) return ['arguments must be an object'];
+
+  (schema?.required || []).forEach(key => {
+    if (args[key] === undefined || args[key] === null || args[key] === '') problems.push(`${key} is required`);
+  });
+  Object.entries(schema?.properties || {}).forEach(([key, property]) => {
+    const value = args[key];
+    if (value === undefined || !property.type) return;
+    const ok = {
+      string: typeof value === 'string',
+      integer: Number.isInteger(value),
+      number: typeof value === 'number',
+      boolean: typeof value === 'boolean',
+      array: Array.isArray(value),
+      object: typeof value === 'object' && value !== null && !Array.isArray(value)
+    }[property.type];
+    if (ok === false) problems.push(`${key} must be ${property.type === 'integer' ? 'an' : 'a'} ${property.type}`);
+    if (ok && property.enum && !property.enum.includes(value)) problems.push(`${key} must be one of: ${property.enum.join(', ')}`);
+  });
+  return problems;
+}
+
+// Call a bot's HTTP tool. Failures come back as { error } so the model can explain them.
+async function callHttpTool(tool, args) {
+  const method = tool.method || 'POST';
+  const url = new URL(tool.url);
+  const headers = { Accept: 'application/json' };
+
+  if (tool.auth) {
+    const value = tool.auth.env
+      ? tool.auth.env.startsWith(TOOL_SECRET_ENV_PREFIX) && process.env[tool.auth.env]
+      : tool.auth.value;
+    if (!value) return { error: 'Tool is not configured' };
+    headers[tool.auth.header] = value;
+  }
+  if (!(await isPublicUrl(url))) return { error: 'The system could not be reached' };
+  if (method === 'GET') {
+    Object.entries(args).forEach(([key, value]) => url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : value));
+  } else {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body: method === 'GET' ? undefined : JSON.stringify(args),
+      redirect: 'error',
+      signal: AbortSignal.timeout(tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS)
+    });
+  } catch (error) {
+    return { error: error.name === 'TimeoutError' ? 'The system took too long to respond' : 'The system could not be reached' };
+  }
+
+  const text = (await response.text()).slice(0, MAX_TOOL_RESULT_CHARS);
+  if (!response.ok) return { error: `The system returned HTTP ${response.status}` };
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { result: text };
+  }
+}
+
+// Built-in availability/pricing tool with stable sample data, for testing without a booking engine
+function mockAvailability(tool, args) {
+  const checkIn = new Date(`${args.checkIn}T00:00:00Z`);
+  const checkOut = new Date(`${args.checkOut}T00:00:00Z`);
+  const nights = Math.round((checkOut - checkIn) / 86400000);
+
+  if (isNaN(nights)) return { error: 'Dates must be YYYY-MM-DD' };
+  if (nights < 1) return { error: 'checkOut must be after checkIn' };
+  if (nights > 30) return { error: 'Stays longer than 30 nights need to be arranged with the team' };
+
+  const guests = args.guests || 1;
+  const rooms = (tool.rooms || MOCK_AVAILABILITY_ROOMS)
+    .filter(room => !args.roomType || room.type.toLowerCase().includes(args.roomType.toLowerCase()));
+
+  return {
+    checkIn: args.checkIn,
+    checkOut: args.checkOut,
+    nights,
+    guests,
+    currency: tool.currency || 'USD',
+    options: rooms.map(room => {
+      // Same dates always give the same answer
+      const seed = parseInt(crypto.createHash('md5').update(`${args.checkIn}:${args.checkOut}:${room.type}`).digest('hex').slice(0, 8), 16);
+      const unitsLeft = seed % ((room.units || 1) + 1);
+      const unitsNeeded = Math.ceil(guests / (room.capacity || 1));
+      return {
+        roomType: room.type,
+        available: unitsLeft >= unitsNeeded,
+        unitsLeft,
+        nightlyRate: room.nightlyRate,
+        total: room.nightlyRate * nights * unitsNeeded
+      };
+    })
+  };
+}
+
+// Turn a configured business tool into a chat tool
+function buildBusinessTool(tool) {
+  const type = tool.type || 'http';
+  const parameters = type === 'mock_availability'
+    ? MOCK_AVAILABILITY_PARAMETERS
+    : tool.parameters || { type: 'object', properties: {} };
+
+  return {
+    definition: {
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || 'Check real-time availability and prices for the given dates.',
+        parameters
+      }
+    },
+    execute: async (args) => {
+      const problems = checkToolArguments(parameters, args);
+      if (problems.length > 0) return { error: `Invalid arguments: ${problems.join('; ')}` };
+      return type === 'mock_availability' ? mockAvailability(tool, args) : callHttpTool(tool, args);
+    }
+  };
+}
+
+// Tools exposed to the model through function calling: [{ definition, execute(args, turn) }]
+function buildChatTools(config) {
+  const tools = [];
+  const leadSettings = getLeadCaptureSettings(config);
+
+  if (leadSettings.enabled) {
+    const properties = Object.fromEntries(getLeadFields(config)
+      .map(({ key, type, description }) => [key, { type, description }]));
+
+    tools.push({
+      definition: {
+        type: 'function',
+        function: {
+          name: 'save_lead_details',
+          description: 'Save contact or booking details the guest has shared in the conversation. Call it whenever they share any of these.',
+          parameters: { type: 'object', properties }
+        }
+      },
+      execute: async (args, turn) => {
+        const lead = await saveLead(config, turn.conversationId, args, 'chat');
+        if (lead) turn.leadCaptured = lead;
+        return { saved: lead ? Object.keys(cleanLeadFields(config, args)) : [] };
+      }
+    });
+
+    if (leadSettings.showForm) {
+      tools.push({
+        definition: {
+          type: 'function',
+          function: {
+            name: 'show_contact_form',
+            description: 'Show the guest a short form in the chat to enter their contact details. Use it when you ask for their contact details.',
+            parameters: { type: 'object', properties: {} }
+          }
+        },
+        execute: async (args, turn) => {
+          turn.leadForm = { fields: getLeadFields(config).map(({ key, label, input }) => ({ key, label, input: input || 'text' })) };
+          return { shown: true };
+        }
+      });
+    }
+  }
+
+  (config.tools || []).forEach(tool => tools.push(buildBusinessTool(tool)));
+
+  return tools;
+}
+
+// Default model settings (override per bot with config.llm). LLM_PROVIDER / LLM_MODEL set server-wide defaults.
+const DEFAULT_LLM_SETTINGS = {
+  provider: process.env.LLM_PROVIDER || 'openai',   // 'openai', 'anthropic', 'openai-compatible' or 'stub'
+  model: process.env.LLM_MODEL || null,              // null uses the provider's default model
+  utilityModel: null,       // model for summaries, intents and follow-ups (defaults to model)
+  baseURL: null,            // openai-compatible servers, e.g. http://localhost:11434/v1 (super admin only)
+  apiKeyEnv: null,          // env var holding the API key: a provider default or LLM_API_KEY_* (super admin only)
+  temperature: 0.7,
+  maxTokens: 500,
+  timeoutMs: 30000,
+  maxRetries: 2,            // retries with backoff on 408/429/5xx, timeouts and connection errors
+  fallback: null            // { provider, model, baseURL, apiKeyEnv } tried when the primary provider fails
+};
+
+function getLlmSettings(config) {
+  return { ...DEFAULT_LLM_SETTINGS, ...(config.llm || {}) };
+}
+
+// Offline provider: canned replies, no network. JSON-mode requests get an empty object.
+function stubReply(request) {
+  if (request.response_format?.type === 'json_object') return '{}';
+  const question = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+  return process.env.STUB_LLM_REPLY || `This is a test reply to: "${question.slice(0, 100)}"`;
+}
+
+// Translate an OpenAI-style chat request into an Anthropic Messages request
+function toAnthropicRequest(request) {
+  const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const messages = [];
+  const push = (role, block) => {
+    const last = messages[messages.length - 1];
+    if (last?.role === role) last.content.push(block);
+    else messages.push({ role, content: [block] });
+  };
+
+  request.messages.forEach(m => {
+    if (m.role === 'system') return;
+    if (m.role === 'tool') return push('user', { type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content });
+    if (m.content) push(m.role === 'assistant' ? 'assistant' : 'user', { type: 'text', text: m.content });
+    (m.tool_calls || []).forEach(call => push('assistant', {
+      type: 'tool_use',
+      id: call.id,
+      name: call.function.name,
+      input: JSON.parse(call.function.arguments || '{}')
+    }));
+  });
+
+  return {
+    model: request.model,
+    system: request.response_format?.type === 'json_object'
+      ? `${system}\n\nReply with a single JSON object and nothing else.`
+      : system,
+    messages,
+    max_tokens: request.max_tokens || 1024,
+    temperature: Math.min(request.temperature ?? 1, 1),
+    ...(request.tools && {
+      tools: request.tools.map(({ function: fn }) => ({ name: fn.name, description: fn.description, input_schema: fn.parameters }))
+    }),
+    ...(request.tool_choice && { tool_choice: { type: request.tool_choice } })
+  };
+}
+
+const toAnthropicUsage = usage => usage && {
+  prompt_tokens: usage.input_tokens,
+  completion_tokens: usage.output_tokens,
+  total_tokens: usage.input_tokens + usage.output_tokens
+};
+
+// Providers share one shape: complete(client, request, options) and stream(client, request, onToken, options)
+// both resolve to { content, toolCalls, usage } with OpenAI-style tool calls.
+const openaiProvider = {
+  defaultModel: 'gpt-4o-mini',
+  keyEnv: 'OPENAI_API_KEY',
+  createClient: (target, apiKey) => new OpenAI({ apiKey, baseURL: target.baseURL || undefined, maxRetries: 0 }),
+
+  async complete(client, request, options) {
+    const completion = await client.chat.completions.create(request, options);
+    const message = completion.choices[0].message;
+    return { content: message.content || '', toolCalls: message.tool_calls || [], usage: completion.usage };
+  },
+
+  // Stream a completion, forwarding content tokens and assembling tool call fragments
+  async stream(client, request, onToken, options) {
+    const stream = await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }, options);
+    let content = '';
+    let usage;
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices[0]?.delta;
+      if (!delta) continue;
+      if (delta.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+      (delta.tool_calls || []).forEach(part => {
+        const call = toolCalls[part.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      });
+    }
+
+    return { content, toolCalls: toolCalls.filter(Boolean), usage };
+  }
+};
+
+const llmProviders = {
+  openai: openaiProvider,
+
+  // Any server speaking the OpenAI chat API (vLLM, Ollama, LM Studio...). Local servers often need no key.
+  'openai-compatible': {
+    ...openaiProvider,
+    defaultModel: null,
+    keyEnv: 'LLM_API_KEY',
+    createClient: (target, apiKey) => new OpenAI({ apiKey: apiKey || 'none', baseURL: target.baseURL, maxRetries: 0 })
+  },
+
+  anthropic: {
+    defaultModel: 'claude-haiku-4-5',
+    keyEnv: 'ANTHROPIC_API_KEY',
+    createClient: (target, apiKey) => new Anthropic({ apiKey, baseURL: target.baseURL || undefined, maxRetries: 0 }),
+
+    async complete(client, request, options) {
+      const message = await client.messages.create(toAnthropicRequest(request), options);
+      return {
+        content: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: message.content.filter(block => block.type === 'tool_use').map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input) }
+        })),
+        usage: toAnthropicUsage(message.usage)
+      };
+    },
+
+    async stream(client, request, onToken, options) {
+      const stream = await client.messages.create({ ...toAnthropicRequest(request), stream: true }, options);
+      let content = '';
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      const toolCalls = [];
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') usage.input_tokens = event.message.usage.input_tokens;
+        if (event.type === 'message_delta') usage.output_tokens = event.usage.output_tokens;
+        if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+          toolCalls[event.index] = { id: event.content_block.id, type: 'function', function: { name: event.content_block.name, arguments: '' } };
+        }
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          onToken(event.delta.text);
+        }
+        if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          toolCalls[event.index].function.arguments += event.delta.partial_json;
+        }
+      }
+
+      return { content, toolCalls: toolCalls.filter(Boolean), usage: toAnthropicUsage(usage) };
+    }
+  },
+
+  stub: {
+    defaultModel: 'stub',
+    keyEnv: null,
+    createClient: () => null,
+
+    async complete(client, request) {
+      const content = stubReply(request);
+      return { content, toolCalls: [], usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+    },
+
+    async stream(client, request, onToken) {
+      const result = await this.complete(client, request);
+      result.content.split(/(?<= )/).forEach(token => onToken(token));
+      return result;
+    }
+  }
+};
+
+const LLM_PROVIDER_NAMES = Object.keys(llmProviders);
+
+// Env vars a bot may name in apiKeyEnv, so its key can't be pointed at other server secrets
+const LLM_KEY_ENV_PREFIX = 'LLM_API_KEY_';
+const LLM_KEY_ENVS = Object.values(llmProviders).map(provider => provider.keyEnv).filter(Boolean);
+
+function isLlmKeyEnv(name) {
+  return LLM_KEY_ENVS.includes(name) || name.startsWith(LLM_KEY_ENV_PREFIX);
+}
+
+// One client per provider / base URL / key
+const llmClients = new Map();
+
+function getLlmClient(target) {
+  const provider = llmProviders[target.provider];
+  const keyEnv = target.apiKeyEnv || provider.keyEnv;
+  const apiKey = keyEnv && isLlmKeyEnv(keyEnv) ? process.env[keyEnv] : undefined;
+  const key = `${target.provider}|${target.baseURL || ''}|${apiKey ? hashApiKey(apiKey) : ''}`;
+  if (!llmClients.has(key)) llmClients.set(key, provider.createClient(target, apiKey));
+  return llmClients.get(key);
+}
+
+function isRetryableLlmError(error) {
+  if (error instanceof OpenAI.APIConnectionError || error instanceof Anthropic.APIConnectionError) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+// Call one provider, retrying with exponential backoff. Streams are only retried before the first token.
+async function callLlm(target, request, { onToken, utility } = {}) {
+  const provider = llmProviders[target.provider];
+  const client = getLlmClient(target);
+  const body = { ...request, model: (utility && target.utilityModel) || target.model || provider.defaultModel };
+  let emitted = false;
+  const forward = onToken && (token => {
+    emitted = true;
+    onToken(token);
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const options = { timeout: target.timeoutMs };
+      const result = forward
+        ? await provider.stream(client, body, forward, options)
+        : await provider.complete(client, body, options);
+      return { ...result, provider: target.provider, model: body.model };
+    } catch (error) {
+      if (emitted || attempt >= target.maxRetries || !isRetryableLlmError(error)) {
+        error.partialOutput = emitted;
+        throw error;
+      }
+      const delay = Math.min(8000, 500 * 2 ** attempt) * (0.5 + Math.random() / 2);
+      console.warn(`⏳ ${target.provider} failed (${error.status || error.message}), retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Run a chat request on the bot's provider, falling back to its secondary provider if that fails.
+// request is OpenAI-style ({ messages, tools, temperature, max_tokens, response_format }) without a model;
+// utility requests use the cheaper utilityModel when one is set.
+// Token usage is recorded against the bot under purpose ('chat', 'intent', 'summary', ...).
+async function llmComplete(config, request, { onToken, utility, purpose = 'chat', conversationId } = {}) {
+  const settings = getLlmSettings(config);
+  let result;
+
+  try {
+    result = await callLlm(settings, request, { onToken, utility });
+  } catch (error) {
+    if (!settings.fallback || error.partialOutput) throw error;
+    const fallback = { ...settings, model: null, utilityModel: null, baseURL: null, apiKeyEnv: null, ...settings.fallback };
+    console.error(`LLM provider ${settings.provider} failed, falling back to ${fallback.provider}:`, error.message);
+    result = await callLlm(fallback, request, { onToken, utility });
+  }
+
+  result.costUsd = estimateCost(result.model, result.usage);
+  await recordLlmUsage(config, result, purpose, conversationId);
+  return result;
+}
+
+function validateLlmSettings(llm, path = 'llm') {
+  if (typeof llm !== 'object' || llm === null || Array.isArray(llm)) return [];
+
+  const errors = [];
+  const provider = llm.provider ?? (path === 'llm' ? DEFAULT_LLM_SETTINGS.provider : undefined);
+  const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+  if (!LLM_PROVIDER_NAMES.includes(provider)) errors.push(`${path}.provider must be one of: ${LLM_PROVIDER_NAMES.join(', ')}`);
+  ['model', 'utilityModel', 'baseURL', 'apiKeyEnv'].forEach(field => {
+    if (llm[field] != null && typeof llm[field] !== 'string') errors.push(`${path}.${field} must be a string`);
+  });
+  if (provider === 'openai-compatible') {
+    if (!llm.model) errors.push(`${path}.model is required for openai-compatible providers`);
+    if (!llm.baseURL) errors.push(`${path}.baseURL is required for openai-compatible providers`);
+  }
+  if (llm.baseURL) {
+    try {
+      if (!['http:', 'https:'].includes(new URL(llm.baseURL).protocol)) throw new Error();
+    } catch {
+      errors.push(`${path}.baseURL must be an http(s) URL`);
+    }
+  }
+  if (typeof llm.apiKeyEnv === 'string' && !isLlmKeyEnv(llm.apiKeyEnv)) {
+    errors.push(`${path}.apiKeyEnv must be one of ${LLM_KEY_ENVS.join(', ')} or start with ${LLM_KEY_ENV_PREFIX}`);
+  }
+  if (llm.temperature !== undefined && !inRange(llm.temperature, 0, 2)) errors.push(`${path}.temperature must be between 0 and 2`);
+  if (llm.maxTokens !== undefined && !(Number.isInteger(llm.maxTokens) && inRange(llm.maxTokens, 1, 8192))) {
+    errors.push(`${path}.maxTokens must be an integer between 1 and 8192`);
+  }
+  if (llm.timeoutMs !== undefined && !inRange(llm.timeoutMs, 1000, 120000)) errors.push(`${path}.timeoutMs must be between 1000 and 120000`);
+  if (llm.maxRetries !== undefined && !(Number.isInteger(llm.maxRetries) && inRange(llm.maxRetries, 0, 5))) {
+    errors.push(`${path}.maxRetries must be an integer between 0 and 5`);
+  }
+  if (path === 'llm' && llm.fallback != null) {
+    if (typeof llm.fallback !== 'object' || Array.isArray(llm.fallback)) errors.push('llm.fallback must be an object');
+    else errors.push(...validateLlmSettings(llm.fallback, 'llm.fallback'));
+  }
+  return errors;
+}
+
+// USD per million tokens. Dated model versions (e.g. gpt-4o-mini-2024-07-18) use their base model's price.
+// MODEL_PRICING (JSON, same shape) adds or overrides models.
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  stub: { input: 0, output: 0 }
+};
+
+function loadModelPricing() {
+  if (!process.env.MODEL_PRICING) return DEFAULT_MODEL_PRICING;
+  try {
+    return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    console.error('Invalid MODEL_PRICING, using default prices:', error.message);
+    return DEFAULT_MODEL_PRICING;
+  }
+}
+
+const modelPricing = loadModelPricing();
+
+// Estimated cost of a call in USD, or null for models without a price
+function estimateCost(model, usage) {
+  const name = Object.keys(modelPricing)
+    .filter(key => model === key || model?.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!name || !usage) return null;
+  const { input, output } = modelPricing[name];
+  return ((usage.prompt_tokens || 0) * input + (usage.completion_tokens || 0) * output) / 1e6;
+}
+
+// Default budget settings (override per bot with config.budget, super-admin keys only). Spend is counted per calendar month (UTC).
+const DEFAULT_BUDGET_SETTINGS = {
+  monthlyLimitUsd: null,    // null = no budget
+  warnAt: 0.8,              // share of the limit that logs a warning
+  hardCap: true,            // over the limit, reply with capMessage instead of calling the model
+  capMessage: null          // defaults to "please contact us" with the bot's contact details
+};
+
+function getBudgetSettings(config) {
+  return { ...DEFAULT_BUDGET_SETTINGS, ...(config.budget || {}) };
+}
+
+function validateBudgetSettings(budget) {
+  if (typeof budget !== 'object' || budget === null || Array.isArray(budget)) return [];
+
+  const errors = [];
+  if (budget.monthlyLimitUsd != null && !(typeof budget.monthlyLimitUsd === 'number' && budget.monthlyLimitUsd >= 0)) {
+    errors.push('budget.monthlyLimitUsd must be a non-negative number or null');
+  }
+  if (budget.warnAt !== undefined && !(typeof budget.warnAt === 'number' && budget.warnAt > 0 && budget.warnAt <= 1)) {
+    errors.push('budget.warnAt must be a number between 0 and 1');
+  }
+  if (budget.hardCap !== undefined && typeof budget.hardCap !== 'boolean') errors.push('budget.hardCap must be true or false');
+  if (budget.capMessage != null && (typeof budget.capMessage !== 'string' || !budget.capMessage.trim())) {
+    errors.push('budget.capMessage must be a non-empty string or null');
+  }
+  return errors;
+}
+
+function getBudgetCapMessage(config) {
+  const { capMessage } = getBudgetSettings(config);
+  if (capMessage) return capMessage;
+  const contact = config.contact?.phone || config.contact?.email;
+  return `Our chat assistant isn't available right now. Please contact us directly${contact ? ` at ${contact}` : ''}.`;
+}
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Month-to-date spend per bot. Reloaded from Supabase every few minutes so spend
+// recorded by other server instances is counted too.
+const monthlySpend = new Map();
+const SPEND_REFRESH_MS = 5 * 60 * 1000;
+
+async function getMonthlySpend(chatbotId) {
+  const month = currentMonth();
+  const cached = monthlySpend.get(chatbotId);
+  if (cached?.month === month && Date.now() - cached.loadedAt < SPEND_REFRESH_MS) return cached.costUsd;
+
+  const start = new Date(`${month}-01T00:00:00.000Z`);
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+  const { data: rows, error } = await supabase.rpc('analytics_llm_usage', {
+    p_chatbot_ids: [chatbotId],
+    p_from: start.toISOString(),
+    p_to: end.toISOString(),
+    p_period: 'month'
+  });
+
+  if (error) {
+    console.error('Error loading monthly spend:', error);
+    return cached?.month === month ? cached.costUsd : 0;
+  }
+
+  const costUsd = usageTotals(rows).costUsd;
+  monthlySpend.set(chatbotId, { month, costUsd, loadedAt: Date.now(), warned: cached?.month === month && cached.warned });
+  return costUsd;
+}
+
+// Where a bot stands against its monthly budget: 'ok', 'warning' or 'exceeded' ('unlimited' without a budget)
+async function getBudgetStatus(config) {
+  const { monthlyLimitUsd, warnAt } = getBudgetSettings(config);
+  const spentUsd = await getMonthlySpend(config.id);
+  let status = 'unlimited';
+  if (monthlyLimitUsd != null) {
+    status = spentUsd >= monthlyLimitUsd ? 'exceeded' : spentUsd >= monthlyLimitUsd * warnAt ? 'warning' : 'ok';
+  }
+  return { month: currentMonth(), spentUsd: Math.round(spentUsd * 1e6) / 1e6, limitUsd: monthlyLimitUsd, status };
+}
+
+// True when the bot is over a hard-capped budget and shouldn't call the model
+async function isOverBudget(config) {
+  const settings = getBudgetSettings(config);
+  if (settings.monthlyLimitUsd == null || !settings.hardCap) return false;
+  return (await getBudgetStatus(config)).status === 'exceeded';
+}
+
+// Log one model call's tokens and estimated cost, and warn once a month when a bot nears its budget
+async function recordLlmUsage(config, result, purpose, conversationId) {
+  const usage = result.usage || {};
+  const { error } = await supabase
+    .from('llm_usage')
+    .insert({
+      chatbot_id: config.id,
+      conversation_id: conversationId || null,
+      purpose,
+      provider: result.provider,
+      model: result.model,
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      cost_usd: result.costUsd
+    });
+
+  if (error) console.error('Error recording token usage:', error);
+
+  const spend = monthlySpend.get(config.id);
+  if (spend?.month !== currentMonth()) return;
+  spend.costUsd += result.costUsd || 0;
+
+  const { monthlyLimitUsd, warnAt } = getBudgetSettings(config);
+  if (monthlyLimitUsd != null && !spend.warned && spend.costUsd >= monthlyLimitUsd * warnAt) {
+    spend.warned = true;
+    console.warn(`💸 ${config.businessName} (${config.id}) has used $${spend.costUsd.toFixed(2)} of its $${monthlyLimitUsd} monthly budget`);
+  }
+}
+
+const MAX_TOOL_ROUNDS = 3;
+
+async function executeToolCall(turn, call) {
+  const name = call.function.name;
+  const tool = turn.tools.find(t => t.definition.function.name === name);
+  const startedAt = Date.now();
+  let args = null;
+  let result;
+
+  if (!tool) {
+    result = { error: `Unknown tool ${name}` };
+  } else {
+    turn.usedTools = true;
+    try {
+      args = JSON.parse(call.function.arguments || '{}');
+      result = await tool.execute(args, turn);
+    } catch (error) {
+      console.error(`Error running tool ${name}:`, error);
+      result = { error: 'Tool failed' };
+    }
+  }
+
+  await logToolCall(turn, name, args ?? call.function.arguments, result, Date.now() - startedAt);
+  return result;
+}
+
+// Keep every tool call and its result with the conversation
+async function logToolCall(turn, name, args, result, durationMs) {
+  console.log(`🔧 ${name} for ${turn.conversationId} (${durationMs}ms)${result?.error ? `: ${result.error}` : ''}`);
+
+  const { error } = await supabase
+    .from('tool_calls')
+    .insert({
+      chatbot_id: turn.chatbotId,
+      conversation_id: turn.conversationId,
+      tool_name: name,
+      arguments: args,
+      result,
+      error: result?.error || null,
+      duration_ms: durationMs
+    });
+
+  if (error) console.error('Error logging tool call:', error);
+}
+
+// Run the chat completion, executing tool calls and feeding results back until the model answers.
+// After MAX_TOOL_ROUNDS the tools are still sent (the history refers to them) but the model may not call them.
+// Content is streamed through onToken when given.
+async function runChatCompletion(turn, onToken) {
+  if (turn.cachedAnswer) {
+    onToken?.(turn.cachedAnswer.answer);
+    return turn.cachedAnswer.answer;
+  }
+
+  const messages = [...turn.completionRequest.messages];
+  const tools = turn.tools.map(tool => tool.definition);
+
+  for (let round = 0; ; round++) {
+    const lastRound = round >= MAX_TOOL_ROUNDS;
+    const request = { ...turn.completionRequest, messages };
+    if (tools.length > 0) {
+      request.tools = tools;
+      if (lastRound) request.tool_choice = 'none';
+    }
+
+    const { content, toolCalls, usage, model, costUsd } = await llmComplete(turn.config, request, { onToken, conversationId: turn.conversationId });
+    turn.usage.model = model;
+    turn.usage.promptTokens += usage?.prompt_tokens || 0;
+    turn.usage.completionTokens += usage?.completion_tokens || 0;
+    turn.usage.costUsd += costUsd || 0;
+    // Servers that ignore tool_choice may still call tools on the last round; their calls are dropped
+    if (toolCalls.length === 0 || lastRound) {
+      if (content.includes(HANDOFF_MARKER)) turn.escalated = true;
+      if (content.includes(UNANSWERED_MARKER)) turn.unanswered = true;
+      return content;
+    }
+
+    messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+    for (const call of toolCalls) {
+      const result = await executeToolCall(turn, call);
+      turn.toolResults.push(result);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+}
+
+const INTENT_CLASSIFIERS = ['llm', 'embedding', 'keyword'];
+
+// Default intent taxonomy (override per bot with config.intents).
+// Each intent's style is used as the CONVERSATION STYLE section of the prompt.
+const DEFAULT_INTENT_SETTINGS = {
+  enabled: true,
+  classifier: 'embedding',  // 'embedding', 'llm' or 'keyword'; keywords are the fallback if the classifier fails
+  minSimilarity: 0.3,       // embedding classifier: below this the default intent is used
+  defaultIntent: 'general',
+  intents: [
+    {
+      name: 'sales',
+      description: 'Asking about prices, availability, booking or buying',
+      examples: ['How much does it cost?', 'Do you have anything available next weekend?', 'Can I book for two people?'],
+      keywords: ['price', 'cost', 'rate', 'expensive', 'cheap', 'available', 'availability', 'book', 'booking', 'reserve', 'reservation'],
+      style: `- Be enthusiastic and helpful
+- Highlight value and benefits
+- Create subtle urgency when appropriate
+- End responses with a soft call-to-action or question to keep conversation going`
+    },
+    {
+      name: 'general',
+      description: 'Any other question about the business',
+      examples: ['What are your opening hours?', 'Where are you located?', 'Do you have parking?'],
+      keywords: [],
+      style: `- Be friendly and helpful
+- Provide clear, accurate information
+- Offer proactive suggestions
+- Keep responses concise but warm`
+    }
+  ]
+};
+
+function getIntentSettings(config) {
+  return { ...DEFAULT_INTENT_SETTINGS, ...(config.intents || {}) };
+}
+
+function validateIntentSettings(intents) {
+  if (typeof intents !== 'object' || intents === null || Array.isArray(intents)) return [];
+
+  const errors = [];
+  const isStringList = v => v === undefined || (Array.isArray(v) && v.every(item => typeof item === 'string'));
+
+  if (intents.classifier !== undefined && !INTENT_CLASSIFIERS.includes(intents.classifier)) {
+    errors.push(`intents.classifier must be one of: ${INTENT_CLASSIFIERS.join(', ')}`);
+  }
+  if (intents.intents !== undefined) {
+    if (!Array.isArray(intents.intents) || intents.intents.length === 0) return [...errors, 'intents.intents must be a non-empty array'];
+
+    const names = new Set();
+    intents.intents.forEach((intent, i) => {
+      if (typeof intent?.name !== 'string' || !intent.name.trim()) errors.push(`intents.intents[${i}].name is required`);
+      else if (names.has(intent.name)) errors.push(`intents.intents[${i}].name "${intent.name}" is used twice`);
+      names.add(intent?.name);
+      if (!isStringList(intent?.examples)) errors.push(`intents.intents[${i}].examples must be an array of strings`);
+      if (!isStringList(intent?.keywords)) errors.push(`intents.intents[${i}].keywords must be an array of strings`);
+      if (intent?.style !== undefined && typeof intent.style !== 'string') errors.push(`intents.intents[${i}].style must be a string`);
+    });
+
+    const defaultIntent = intents.defaultIntent ?? DEFAULT_INTENT_SETTINGS.defaultIntent;
+    if (!names.has(defaultIntent)) errors.push(`intents.defaultIntent "${defaultIntent}" must be one of the intents`);
+  }
+  return errors;
+}
+
+// Keyword fallback: whole-word matches (plurals allowed), most matches wins
+function classifyIntentByKeywords(settings, message) {
+  let best = null;
+  let bestScore = 0;
+  settings.intents.forEach(intent => {
+    const score = (intent.keywords || []).filter(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`\\b${escaped}(s|es)?\\b`, 'i').test(message);
+    }).length;
+    if (score > bestScore) {
+      best = intent.name;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+async function classifyIntentWithLlm(config, settings, message) {
+  const intentList = settings.intents.map(intent => {
+    const examples = (intent.examples || []).map(example => `"${example}"`).join(', ');
+    return `- ${intent.name}: ${intent.description || ''}${examples ? ` (e.g. ${examples})` : ''}`;
+  }).join('\n');
+
+  const { content } = await llmComplete(config, {
+    messages: [
+      {
+        role: 'system',
+        content: `You classify a website visitor's message into one of these intents:\n${intentList}\n\nReply with JSON: {"intent": "<name>"}`
+      },
+      { role: 'user', content: message }
+    ],
+    response_format: { type: 'json_object' },
+    temperature: 0,
+    max_tokens: 20
+  }, { utility: true, purpose: 'intent' });
+
+  return JSON.parse(content).intent;
+}
+
+// Cached example embeddings per bot: chatbotId -> { hash, examples: [{ intent, embedding }] }
+const intentIndexes = new Map();
+
+async function classifyIntentWithEmbeddings(chatbotId, settings, message) {
+  const examples = settings.intents.flatMap(intent => (intent.examples || []).map(text => ({ intent: intent.name, text })));
+  if (examples.length === 0) return null;
+
+  const hash = crypto.createHash('sha1').update(`${embedder.name}\n${JSON.stringify(examples)}`).digest('hex');
+  let index = intentIndexes.get(chatbotId);
+  if (!index || index.hash !== hash) {
+    const embeddings = await embedder.embed(examples.map(example => example.text));
+    index = { hash, examples: examples.map((example, i) => ({ intent: example.intent, embedding: embeddings[i] })) };
+    intentIndexes.set(chatbotId, index);
+  }
+
+  const [queryEmbedding] = await embedder.embed([message]);
+  const best = index.examples
+    .map(example => ({ intent: example.intent, score: cosineSimilarity(queryEmbedding, example.embedding) }))
+    .sort((a, b) => b.score - a.score)[0];
+  return best.score >= settings.minSimilarity ? best.intent : null;
+}
+
+// Detect the message's intent with the bot's classifier (or the one given), falling back to keywords.
+// Returns the intent ({ name, style, ... }) and how it was picked.
+async function classifyIntent(config, message, classifier) {
+  const settings = getIntentSettings(config);
+  if (classifier) settings.classifier = classifier;
+  const findIntent = name => settings.intents.find(intent => intent.name === name);
+  const defaultIntent = findIntent(settings.defaultIntent) || settings.intents[0];
+  if (!settings.enabled) return { intent: defaultIntent, method: 'default' };
+
+  try {
+    const name = settings.classifier === 'llm'
+      ? await classifyIntentWithLlm(config, settings, message)
+      : settings.classifier === 'embedding'
+        ? await classifyIntentWithEmbeddings(config.id, settings, message)
+        : null;
+    if (findIntent(name)) return { intent: findIntent(name), method: settings.classifier };
+  } catch (error) {
+    console.error('Error classifying intent, using keywords:', error);
+  }
+
+  return { intent: findIntent(classifyIntentByKeywords(settings, message)) || defaultIntent, method: 'keyword' };
+}
+
+// Default system prompt. Variables: {{businessName}}, {{businessInfo}}, {{knowledge}}, {{currentTime}},
+// {{intentStyle}}, {{persona}}, {{handoffRules}}, {{capabilities}}, {{instructions}}, {{summary}}, {{contact}}
+const DEFAULT_PROMPT_TEMPLATE = `You are an AI assistant for {{businessName}}.
+Current time: {{currentTime}}
+
+BUSINESS INFORMATION:
+{{businessInfo}}
+
+KNOWLEDGE BASE:
+{{knowledge}}
+
+CONVERSATION STYLE:
+{{intentStyle}}
+
+IMPORTANT RULES:
+{{persona}}
+
+WHEN TO OFFER HUMAN CONTACT:
+{{handoffRules}}
+
+{{contact}}
+
+{{capabilities}}
+
+{{instructions}}
+
+{{summary}}`;
+
+// Default prompt settings (override per bot with config.prompt)
+const DEFAULT_PROMPT_SETTINGS = {
+  template: null,           // null uses DEFAULT_PROMPT_TEMPLATE
+  timeZone: 'UTC',          // for {{currentTime}}
+  handoffRules: [
+    'Payment or reservation issues',
+    'Emergency situations',
+    'Specific requests that require staff approval',
+    'Questions about topics NOT covered in the knowledge base'
+  ],
+  instructions: ''          // extra instructions for {{instructions}}
+};
+
+const ANSWER_LENGTHS = {
+  short: '2-3 sentences maximum unless more detail is specifically requested',
+  medium: 'one short paragraph unless more detail is specifically requested',
+  detailed: 'as much detail as the question needs, using short paragraphs or lists'
+};
+
+const EMOJI_POLICIES = {
+  none: 'Do not use emojis',
+  sparingly: 'Use emojis sparingly',
+  freely: 'Feel free to use emojis to keep things friendly'
+};
+
+// Default persona (override per bot with config.persona)
+const DEFAULT_PERSONA = {
+  tone: 'warm and conversational, not robotic',
+  answerLength: 'short',    // 'short', 'medium' or 'detailed'
+  emojis: 'sparingly',      // 'none', 'sparingly' or 'freely'
+  favoriteEmojis: []        // e.g. ['🏖️', '🌺']
+};
+
+function getPromptSettings(config) {
+  return { ...DEFAULT_PROMPT_SETTINGS, ...(config.prompt || {}) };
+}
+
+function getPersona(config) {
+  return { ...DEFAULT_PERSONA, ...(config.persona || {}) };
+}
+
+// Fallback text when the bot can't answer, pointing guests at the bot's contact info
+function getErrorMessage(config, language) {
+  const { defaultLanguage, translations } = getLocalizationSettings(config);
+  const known = WIDGET_STRINGS[language] || translations[language];
+  return getWidgetStrings(config, known ? language : defaultLanguage).errorMessage;
+}
+
+function validatePromptSettings({ prompt, persona, contact }) {
+  const errors = [];
+  const isStringList = v => Array.isArray(v) && v.every(item => typeof item === 'string');
+
+  if (prompt && typeof prompt === 'object') {
+    if (prompt.template != null && (typeof prompt.template !== 'string' || !prompt.template.includes('{{knowledge}}'))) {
+      errors.push('prompt.template must be a string containing {{knowledge}}');
+    }
+    if (prompt.handoffRules !== undefined && !isStringList(prompt.handoffRules)) errors.push('prompt.handoffRules must be an array of strings');
+    if (prompt.instructions !== undefined && typeof prompt.instructions !== 'string') errors.push('prompt.instructions must be a string');
+    if (prompt.timeZone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: prompt.timeZone });
+      } catch {
+        errors.push(`prompt.timeZone "${prompt.timeZone}" is not a valid time zone`);
+      }
+    }
+  }
+  if (persona && typeof persona === 'object') {
+    if (persona.tone !== undefined && typeof persona.tone !== 'string') errors.push('persona.tone must be a string');
+    if (persona.answerLength !== undefined && !ANSWER_LENGTHS[persona.answerLength]) {
+      errors.push(`persona.answerLength must be one of: ${Object.keys(ANSWER_LENGTHS).join(', ')}`);
+    }
+    if (persona.emojis !== undefined && !EMOJI_POLICIES[persona.emojis]) {
+      errors.push(`persona.emojis must be one of: ${Object.keys(EMOJI_POLICIES).join(', ')}`);
+    }
+    if (persona.favoriteEmojis !== undefined && !isStringList(persona.favoriteEmojis)) errors.push('persona.favoriteEmojis must be an array of strings');
+  }
+  if (contact && typeof contact === 'object') {
+    ['phone', 'email', 'website'].forEach(field => {
+      if (contact[field] !== undefined && typeof contact[field] !== 'string') errors.push(`contact.${field} must be a string`);
+    });
+  }
+  return errors;
+}
+
+// Render the bot's prompt template. Sections the template leaves out ({{capabilities}}, {{summary}})
+// are appended so tools, handoff and memory keep working with custom templates.
+function buildSystemPrompt(config, { knowledge, intent, summary, language }) {
+  const promptSettings = getPromptSettings(config);
+  const persona = getPersona(config);
+  const handoffSettings = getHandoffSettings(config);
+  const leadSettings = getLeadCaptureSettings(config);
+  const businessTools = config.tools || [];
+  const template = promptSettings.template || DEFAULT_PROMPT_TEMPLATE;
+
+  const favoriteEmojis = persona.emojis !== 'none' && persona.favoriteEmojis.length > 0
+    ? ` (${persona.favoriteEmojis.join(' ')} only when appropriate)`
+    : '';
+  const personaRules = [
+    `Keep responses to ${ANSWER_LENGTHS[persona.answerLength]}`,
+    `Be ${persona.tone}`,
+    'Use the information in the KNOWLEDGE BASE to answer questions confidently',
+    `ONLY offer human contact if the question is truly outside your knowledge base${businessTools.length > 0 ? ' and tools' : ''} (like ${businessTools.length > 0 ? '' : 'specific real-time availability, '}changes to existing bookings or orders, or emergency situations)`,
+    `Always represent ${config.businessName} professionally`,
+    `${EMOJI_POLICIES[persona.emojis]}${favoriteEmojis}`,
+    language && `Reply in ${languageName(language)} unless the guest switches to another language`
+  ].filter(Boolean);
+
+  const handoffRules = [
+    businessTools.length > 0 ? 'Questions your tools cannot answer or that return an error' : 'Real-time availability/booking questions',
+    ...promptSettings.handoffRules
+  ];
+
+  const capabilities = [
+    `If ${businessTools.length > 0 ? 'neither the KNOWLEDGE BASE nor your tools answer' : "the KNOWLEDGE BASE doesn't answer"} the guest's question, say so honestly and end your reply with ${UNANSWERED_MARKER}`,
+    handoffSettings.enabled && handoffSettings.botCanEscalate && `If the guest asks to talk to a person, or needs one of the things above, tell them you're connecting them with the team and end your reply with ${HANDOFF_MARKER}`,
+    businessTools.length > 0 && `LIVE BUSINESS TOOLS:
+You can look up live information with these tools: ${businessTools.map(tool => tool.name).join(', ')}.
+Use them for availability, prices and other real-time questions instead of sending the guest to call. Ask for any details a tool needs (like dates) first, and never make up results.`,
+    leadSettings.enabled && `LEAD CAPTURE:
+When the guest shares any of these details, save them with save_lead_details: ${getLeadFields(config).map(f => f.label).join(', ')}.
+When they're interested in booking or want to be contacted, ask for their contact details${leadSettings.showForm ? ' and call show_contact_form' : ''}.`
+  ].filter(Boolean).join('\n\n');
+
+  const { phone, email, website } = config.contact || {};
+  const contactLines = [phone && `Phone: ${phone}`, email && `Email: ${email}`, website && `Website: ${website}`].filter(Boolean);
+  const variables = {
+    businessName: config.businessName,
+    businessInfo: config.businessInfo || '',
+    knowledge,
+    currentTime: new Date().toLocaleString('en-US', { timeZone: promptSettings.timeZone, dateStyle: 'full', timeStyle: 'short' }),
+    intentStyle: intent.style || '- Be friendly, helpful and concise',
+    persona: personaRules.map((rule, i) => `${i + 1}. ${rule}`).join('\n'),
+    handoffRules: handoffRules.map(rule => `- ${rule}`).join('\n'),
+    capabilities,
+    instructions: promptSettings.instructions,
+    summary: summary ? `CONVERSATION SO FAR (summary of earlier messages):\n${summary}` : '',
+    contact: contactLines.length > 0 ? `HOW GUESTS CAN REACH THE TEAM:\n${contactLines.join('\n')}` : ''
+  };
+
+  let prompt = template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => variables[name] ?? '');
+  ['capabilities', 'summary'].forEach(name => {
+    if (!new RegExp(`{{\\s*${name}\\s*}}`).test(template) && variables[name]) prompt += `\n\n${variables[name]}`;
+  });
+
+  return prompt.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Fields an admin may set when creating or editing a chatbot
+const EDITABLE_CHATBOT_FIELDS = [
+  'clientName', 'businessName', 'businessInfo', 'knowledgeBase', 'customization',
+  'memory', 'starterPrompts', 'followUpSuggestions', 'retrieval', 'handoff', 'leadCapture', 'tools', 'intents',
+  'prompt', 'persona', 'contact', 'llm', 'answerCache', 'faqs', 'localization', 'guardrails', 'budget', 'security', 'webhooks', 'active'
+];
+
+// Returns a list of problems with chatbot fields (empty if valid)
+function validateChatbotFields(fields) {
+  const errors = [];
+  const isPlainObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+  Object.keys(fields).forEach(field => {
+    if (!EDITABLE_CHATBOT_FIELDS.includes(field)) errors.push(`${field} is not an editable field`);
+  });
+
+  ['clientName', 'businessName', 'businessInfo', 'knowledgeBase'].forEach(field => {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') errors.push(`${field} must be a string`);
+  });
+  if (typeof fields.businessName === 'string' && !fields.businessName.trim()) {
+    errors.push('businessName cannot be empty');
+  }
+
+  ['memory', 'followUpSuggestions', 'retrieval', 'handoff', 'leadCapture', 'intents', 'prompt', 'persona', 'contact', 'llm', 'answerCache', 'localization', 'guardrails', 'budget', 'security'].forEach(field => {
+    if (fields[field] !== undefined && !isPlainObject(fields[field])) errors.push(`${field} must be an object`);
+  });
+  if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return [
+    ...errors,
+    ...validateCustomization(fields.customization),
+    ...validateMemorySettings(fields.memory),
+    ...validateStarterPrompts(fields.starterPrompts),
+    ...validateFollowUpSettings(fields.followUpSuggestions),
+    ...validateRetrievalSettings(fields.retrieval),
+    ...validateHandoffSettings(fields.handoff),
+    ...validateLeadCaptureSettings(fields.leadCapture),
+    ...validateChatTools(fields.tools),
+    ...validateIntentSettings(fields.intents),
+    ...validatePromptSettings(fields),
+    ...validateLlmSettings(fields.llm),
+    ...validateFaqs(fields.faqs),
+    ...validateLocalization(fields.localization),
+    ...validateGuardrailSettings(fields.guardrails),
+    ...validateBudgetSettings(fields.budget),
+    ...validateSecuritySettings(fields.security),
+    ...validateWebhooks(fields.webhooks)
+  ];
+}
+
+// Settings only super-admin keys may change, keyed by the path reported back to the caller.
+// Each picks the parts of a config that decide which server secrets are sent where
+// (llm paths cover llm.fallback too), or how much the bot may spend.
+const SUPER_ADMIN_SETTINGS = {
+  budget: config => config.budget || null,
+  'tools[].auth.env': config => (config.tools || [])
+    .filter(tool => tool.auth?.env)
+    .map(({ name, url, method, auth }) => ({ name, url, method, auth }))
+    .sort((a, b) => a.name.localeCompare(b.name)),
+  'webhooks[].secretEnv': config => (config.webhooks || [])
+    .filter(webhook => webhook.secretEnv)
+    .map(({ name, url, secretEnv }) => ({ name, url, secretEnv }))
+    .sort((a, b) => a.name.localeCompare(b.name)),
+  'llm.baseURL': config => [config.llm?.baseURL || null, config.llm?.fallback?.baseURL || null],
+  'llm.apiKeyEnv': config => [config.llm?.apiKeyEnv || null, config.llm?.fallback?.apiKeyEnv || null]
+};
+
+// Super-admin-only settings that differ between two versions of a config
+function superAdminSettingChanges(before, after) {
+  return Object.entries(SUPER_ADMIN_SETTINGS)
+    .filter(([, pick]) => JSON.stringify(pick(before || {})) !== JSON.stringify(pick(after)))
+    .map(([path]) => path);
+}
+
+// Secrets in configs (webhooks[].secret, tools[].auth.value) are shown as this placeholder in API
+// responses and revision snapshots. Sending the placeholder back keeps the stored secret.
+const REDACTED_SECRET = '[redacted]';
+
+function redactSecrets(config) {
+  return {
+    ...config,
+    ...(Array.isArray(config.webhooks) && {
+      webhooks: config.webhooks.map(webhook => webhook?.secret ? { ...webhook, secret: REDACTED_SECRET } : webhook)
+    }),
+    ...(Array.isArray(config.tools) && {
+      tools: config.tools.map(tool => tool?.auth?.value ? { ...tool, auth: { ...tool.auth, value: REDACTED_SECRET } } : tool)
+    })
+  };
+}
+
+// Swap placeholders for the secrets in source, matched by name. A tool only keeps its secret while
+// its url and header are unchanged, so the value can't be redirected. Returns the paths it couldn't fill.
+function restoreSecrets(config, source) {
+  const missing = [];
+  const restored = { ...config };
+
+  if (Array.isArray(config.webhooks)) {
+    restored.webhooks = config.webhooks.map((webhook, i) => {
+      if (webhook?.secret !== REDACTED_SECRET) return webhook;
+      const secret = source?.webhooks?.find(w => w.name === webhook.name)?.secret;
+      if (!secret) missing.push(`webhooks[${i}].secret`);
+      return { ...webhook, secret };
+    });
+  }
+  if (Array.isArray(config.tools)) {
+    restored.tools = config.tools.map((tool, i) => {
+      if (tool?.auth?.value !== REDACTED_SECRET) return tool;
+      const previous = source?.tools?.find(t => t.name === tool.name);
+      const value = previous?.url === tool.url && previous?.auth?.header === tool.auth.header ? previous.auth.value : undefined;
+      if (!value) missing.push(`tools[${i}].auth.value`);
+      return { ...tool, auth: { ...tool.auth, value } };
+    });
+  }
+
+  return { config: restored, missing };
+}
+
+// Record a config snapshot (secrets redacted) so changes can be diffed and rolled back
+async function recordConfigRevision(config, action, auth) {
+  const { error } = await supabase
+    .from('chatbot_revisions')
+    .insert({
+      chatbot_id: config.id,
+      version: config.version,
+      action,
+      changed_by: auth?.name || auth?.id || null,
+      config: redactSecrets(config)
+    });
+
+  if (error) console.error('Error recording config revision:', error);
+}
+
+// Flatten nested config values into dotted paths for diffing
+function flattenConfig(value, prefix = '', out = {}) {
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, v]) => flattenConfig(v, prefix ? `${prefix}.${key}` : key, out));
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function diffConfigs(before, after) {
+  const a = flattenConfig(before);
+  const b = flattenConfig(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(path => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+    .map(path => ({ path, before: a[path], after: b[path] }));
+}
+
+// Render rows as CSV with the given columns ({ key, header } or plain keys).
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR) is prefixed with '.
+function toCsv(rows, columns) {
+  const cols = columns.map(c => typeof c === 'string' ? { key: c, header: c } : c);
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    cols.map(c => escape(c.header)).join(','),
+    ...rows.map(row => cols.map(c => escape(typeof c.key === 'function' ? c.key(row) : row[c.key])).join(','))
+  ].join('\n');
+}
+
+// Permissions that can be granted to per-client API keys
+const API_KEY_PERMISSIONS = ['analytics:read', 'config:read', 'config:write', 'transcripts:read', 'handoff:operate', 'leads:read'];
+
+// Reading a bot's settings; keys that can edit them can also read them
+const CONFIG_READ_PERMISSIONS = ['config:read', 'config:write'];
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isSuperAdminKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+  const a = Buffer.from(hashApiKey(key));
+  const b = Buffer.from(hashApiKey(adminKey));
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Resolve the caller from "Authorization: Bearer <key>" or "X-API-Key"
+async function resolveApiKey(req) {
+  const header = req.get('authorization') || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+  if (!key) return null;
+
+  if (isSuperAdminKey(key)) {
+    return { id: 'super-admin', superAdmin: true, chatbotIds: [], permissions: API_KEY_PERMISSIONS };
+  }
+
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('id, name, chatbot_ids, permissions')
+    .eq('key_hash', hashApiKey(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) console.error('Error looking up API key:', error);
+  if (!apiKey) return null;
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    superAdmin: false,
+    chatbotIds: apiKey.chatbot_ids || [],
+    permissions: apiKey.permissions || []
+  };
+}
+
+function canAccessChatbot(auth, chatbotId) {
+  return auth.superAdmin || auth.chatbotIds.includes(chatbotId);
+}
+
+// Middleware: require a valid key, optionally with a permission ('admin' = super-admin only) or any of a list.
+// Routes with :chatbotId or :id params are also checked against the key's chatbot scope.
+function requireApiKey(permission) {
+  const permissions = [].concat(permission || []);
+  return async (req, res, next) => {
+    try {
+      const auth = await resolveApiKey(req);
+      if (!auth) return res.status(401).json({ error: 'Missing or invalid API key' });
+
+      if (permission === 'admin' && !auth.superAdmin) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      if (permissions.length > 0 && permission !== 'admin' && !permissions.some(p => auth.permissions.includes(p))) {
+        return res.status(403).json({ error: `API key lacks the ${permissions.join(' or ')} permission` });
+      }
+
+      const chatbotId = req.params.chatbotId || req.params.id;
+      if (chatbotId && !canAccessChatbot(auth, chatbotId)) {
+        return res.status(403).json({ error: 'API key is not authorized for this chatbot' });
+      }
+
+      req.auth = auth;
+      next();
+    } catch (error) {
+      console.error('Auth error:', error);
+      res.status(500).json({ error: 'Failed to verify API key' });
+    }
+  };
+}
+
+const RATE_LIMIT_BUCKETS = ['ip', 'conversation', 'sessions'];
+
+// Default abuse protection settings for the widget endpoints (override per bot with config.security)
+const DEFAULT_SECURITY_SETTINGS = {
+  allowedOrigins: [],       // sites that may embed the widget, e.g. 'https://example.com' or 'https://*.example.com'; empty allows any
+  requireSessionToken: true,  // chat requests need a token from POST /api/chat/:chatbotId/session
+  sessionTtlMinutes: 30,
+  rateLimits: {
+    ip: { max: 30, windowSeconds: 60 },             // chat requests per visitor IP
+    conversation: { max: 10, windowSeconds: 60 },   // messages per conversation
+    sessions: { max: 20, windowSeconds: 3600 }      // session tokens issued per visitor IP
+  },
+  rateLimitMessage: "You're sending messages a little fast. Please wait a moment and try again."
+};
+
+function getSecuritySettings(config) {
+  const security = config.security || {};
+  const rateLimits = Object.fromEntries(RATE_LIMIT_BUCKETS.map(bucket =>
+    [bucket, { ...DEFAULT_SECURITY_SETTINGS.rateLimits[bucket], ...(security.rateLimits?.[bucket] || {}) }]));
+  return { ...DEFAULT_SECURITY_SETTINGS, ...security, rateLimits };
+}
+
+function validateSecuritySettings(security) {
+  if (typeof security !== 'object' || security === null || Array.isArray(security)) return [];
+
+  const errors = [];
+  if (security.allowedOrigins !== undefined) {
+    if (!Array.isArray(security.allowedOrigins)) {
+      errors.push('security.allowedOrigins must be an array');
+    } else {
+      security.allowedOrigins.forEach((origin, i) => {
+        if (typeof origin !== 'string' || !/^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(origin)) {
+          errors.push(`security.allowedOrigins[${i}] must be an origin like https://example.com or https://*.example.com`);
+        }
+      });
+    }
+  }
+  if (security.requireSessionToken !== undefined && typeof security.requireSessionToken !== 'boolean') {
+    errors.push('security.requireSessionToken must be true or false');
+  }
+  if (security.sessionTtlMinutes !== undefined && !(Number.isInteger(security.sessionTtlMinutes) && security.sessionTtlMinutes >= 1 && security.sessionTtlMinutes <= 1440)) {
+    errors.push('security.sessionTtlMinutes must be an integer between 1 and 1440');
+  }
+  if (security.rateLimits !== undefined) {
+    if (typeof security.rateLimits !== 'object' || security.rateLimits === null || Array.isArray(security.rateLimits)) {
+      errors.push('security.rateLimits must be an object');
+    } else {
+      Object.entries(security.rateLimits).forEach(([bucket, limit]) => {
+        const path = `security.rateLimits.${bucket}`;
+        if (!RATE_LIMIT_BUCKETS.includes(bucket)) return errors.push(`${path} is not a rate limit (${RATE_LIMIT_BUCKETS.join(', ')})`);
+        if (typeof limit !== 'object' || limit === null || Array.isArray(limit)) return errors.push(`${path} must be an object`);
+        if (limit.max !== undefined && !(Number.isInteger(limit.max) && limit.max >= 1)) errors.push(`${path}.max must be a positive integer`);
+        if (limit.windowSeconds !== undefined && !(Number.isInteger(limit.windowSeconds) && limit.windowSeconds >= 1 && limit.windowSeconds <= 86400)) {
+          errors.push(`${path}.windowSeconds must be an integer between 1 and 86400`);
+        }
+      });
+    }
+  }
+  if (security.rateLimitMessage !== undefined && (typeof security.rateLimitMessage !== 'string' || !security.rateLimitMessage.trim())) {
+    errors.push('security.rateLimitMessage must be a non-empty string');
+  }
+  return errors;
+}
+
+// Exact origins match as-is; 'https://*.example.com' matches any subdomain of example.com
+function isOriginAllowed(origin, allowedOrigins) {
+  if (allowedOrigins.length === 0) return true;
+  if (!origin) return false;
+  return allowedOrigins.some(pattern => {
+    if (!pattern.includes('://*.')) return pattern.toLowerCase() === origin.toLowerCase();
+    const [scheme, domain] = pattern.toLowerCase().split('://*.');
+    try {
+      const url = new URL(origin);
+      return url.protocol === `${scheme}:` && url.host.endsWith(`.${domain}`);
+    } catch {
+      // Sandboxed iframes and file:// pages send "Origin: null"
+      return false;
+    }
+  });
+}
+
+// Browsers send Origin on fetches; script tags only send a Referer
+function getRequestOrigin(req) {
+  if (req.get('origin')) return req.get('origin');
+  try {
+    return new URL(req.get('referer')).origin;
+  } catch {
+    return null;
+  }
+}
+
+// CORS for widget endpoints: only the bot's allowed origins (any origin when none are set) can read responses
+const widgetCors = cors(async (req, callback) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    const allowed = Boolean(config) && isOriginAllowed(req.get('origin'), getSecuritySettings(config).allowedOrigins);
+    callback(null, { origin: allowed });
+  } catch (error) {
+    callback(error);
+  }
+});
+
+// CORS for admin and analytics endpoints: never a wildcard, only the dashboards listed in ADMIN_ALLOWED_ORIGINS
+const adminCors = cors({
+  origin: (process.env.ADMIN_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+});
+
+// Middleware: widget endpoints only answer pages on the bot's allowed origins
+async function requireAllowedOrigin(req, res, next) {
+  const config = await getChatbotConfig(req.params.chatbotId);
+  if (config && !isOriginAllowed(getRequestOrigin(req), getSecuritySettings(config).allowedOrigins)) {
+    return res.status(403).json({ error: 'This site is not allowed to use this chatbot' });
+  }
+  next();
+}
+
+// Local development store: fixed-window counters in this process
+const MAX_RATE_LIMIT_KEYS = 10000;
+
+const memoryRateLimitStore = {
+  name: 'memory',
+  counters: new Map(),
+
+  async hit(key, windowStart) {
+    const counter = this.counters.get(key);
+    if (counter?.windowStart === windowStart) return ++counter.count;
+
+    this.counters.set(key, { windowStart, count: 1 });
+    if (this.counters.size > MAX_RATE_LIMIT_KEYS) {
+      this.counters.delete(this.counters.keys().next().value);
+    }
+    return 1;
+  },
+
+  async prune(before) {
+    this.counters.forEach((counter, key) => {
+      if (counter.windowStart < before) this.counters.delete(key);
+    });
+  }
+};
+
+// Production store: counters shared by every instance, in the Supabase `rate_limits` table
+// (see schema.sql for it and the increment_rate_limit function).
+// Old windows can be deleted at any time; /api/cron prunes those that ended more than a day ago.
+const supabaseRateLimitStore = {
+  name: 'supabase',
+
+  async hit(key, windowStart) {
+    const { data, error } = await supabase.rpc('increment_rate_limit', {
+      p_key: key,
+      p_window_start: new Date(windowStart * 1000).toISOString()
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  async prune(before) {
+    const { error } = await supabase
+      .from('rate_limits')
+      .delete()
+      .lt('window_start', new Date(before * 1000).toISOString());
+    if (error) throw error;
+  }
+};
+
+// RATE_LIMIT_STORE picks the store; Vercel defaults to Supabase since each instance has its own memory
+const rateLimitStores = { memory: memoryRateLimitStore, supabase: supabaseRateLimitStore };
+const rateLimitStore = rateLimitStores[process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'supabase' : 'memory')];
+if (!rateLimitStore) throw new Error(`Unknown RATE_LIMIT_STORE "${process.env.RATE_LIMIT_STORE}"`);
+
+// Count a request against one bucket. Returns the seconds to wait when over the limit, otherwise 0.
+// Fails open so a store outage doesn't take the widget down.
+async function checkRateLimit(chatbotId, bucket, subject, { max, windowSeconds }) {
+  const now = Date.now() / 1000;
+  const windowStart = Math.floor(now / windowSeconds) * windowSeconds;
+  try {
+    const count = await rateLimitStore.hit(`${chatbotId}:${bucket}:${subject}`, windowStart);
+    return count > max ? Math.ceil(windowStart + windowSeconds - now) : 0;
+  } catch (error) {
+    console.error('Rate limit store error, allowing request:', error.message);
+    return 0;
+  }
+}
+
+// Drop counters for windows that have ended. Windows are at most a day long, so anything older is never read again.
+async function pruneRateLimits() {
+  await rateLimitStore.prune(Math.floor(Date.now() / 1000) - 24 * 60 * 60);
+}
+
+// Middleware: per-IP and per-conversation limits for the given buckets, answered with 429
+function rateLimit(...buckets) {
+  return async (req, res, next) => {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return next();
+
+    const settings = getSecuritySettings(config);
+    const conversationId = req.params.conversationId || req.body?.conversationId;
+    for (const bucket of buckets) {
+      const subject = bucket === 'conversation' ? conversationId : req.ip;
+      if (!subject) continue;
+
+      const retryAfter = await checkRateLimit(config.id, bucket, subject, settings.rateLimits[bucket]);
+      if (retryAfter > 0) {
+        console.warn(`🚦 Rate limited ${bucket} ${subject} on ${config.id}`);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many requests', response: settings.rateLimitMessage });
+      }
+    }
+    next();
+  };
+}
+
+// Session tokens are signed with SESSION_TOKEN_SECRET (derived from the Supabase key when unset)
+const SESSION_TOKEN_SECRET = process.env.SESSION_TOKEN_SECRET
+  || crypto.createHash('sha256').update(`session-token:${process.env.SUPABASE_SERVICE_KEY}`).digest('hex');
+
+function signSessionToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SESSION_TOKEN_SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// Payload of a correctly signed, unexpired token, otherwise null
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', SESSION_TOKEN_SECRET).update(body).digest('base64url'));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// Payload of a valid token with the given scope for this bot and conversation, otherwise null.
+// 'chat' tokens authorize chat requests; 'history' tokens let the widget read the conversation back.
+function verifyConversationToken(token, scope, chatbotId, conversationId) {
+  const payload = verifySessionToken(token);
+  if (!payload || payload.scope !== scope) return null;
+  return payload.chatbotId === chatbotId && payload.conversationId === conversationId ? payload : null;
+}
+
+// History tokens outlive session tokens so a persisted chat can still be restored days later
+const HISTORY_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Middleware: require the conversation's history token (X-History-Token). Only the widget that started
+// the conversation holds one, so it guards anything that reveals or sends out the transcript.
+function requireHistoryToken(req, res, next) {
+  if (!verifyConversationToken(req.get('x-history-token'), 'history', req.params.chatbotId, req.params.conversationId)) {
+    return res.status(401).json({ error: 'Invalid or expired history token' });
+  }
+  next();
+}
+
+// Middleware: require the X-Session-Token the widget got for this bot and conversation
+async function requireSessionToken(req, res, next) {
+  const config = await getChatbotConfig(req.params.chatbotId);
+  if (!config || !getSecuritySettings(config).requireSessionToken) return next();
+
+  const conversationId = req.params.conversationId || req.body?.conversationId;
+  if (!verifyConversationToken(req.get('x-session-token'), 'chat', config.id, conversationId)) {
+    return res.status(401).json({ error: 'Invalid or expired session token' });
+  }
+  next();
+}
+
+app.use('/api/chat/:chatbotId', widgetCors);
+app.use(['/api/admin', '/api/analytics'], adminCors);
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    chatbots: chatbotConfigs.size,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Embed script with clickable prompts
+app.get('/embed.js', cors(), async (req, res) => {
+  const chatbotId = req.query.id;
+  if (!chatbotId) return res.status(400).send('Missing chatbot ID');
+  
+  const config = await getChatbotConfig(chatbotId);
+  if (!config) return res.status(404).send('Chatbot not found');
+  
+  // Deactivated bots load nothing on the client's page
+  if (config.active === false) {
+    res.setHeader('Content-Type', 'application/javascript');
+    return res.send("console.info('Automagixx chat is currently unavailable.');");
+  }
+  
+  // Neither do sites outside the bot's allowed origins (pages that send no Referer can't be checked)
+  const origin = getRequestOrigin(req);
+  if (origin && !isOriginAllowed(origin, getSecuritySettings(config).allowedOrigins)) {
+    res.setHeader('Content-Type', 'application/javascript');
+    return res.status(403).send("console.warn('Automagixx chat is not enabled for this site.');");
+  }
+
+  const theme = buildWidgetTheme(getCustomization(config));
+  const widgetSettings = {
+    businessName: config.businessName,
+    handoff: (({ enabled, operatorJoinedMessage, releasedMessage }) =>
+      ({ enabled, operatorJoinedMessage, releasedMessage }))(getHandoffSettings(config)),
+    defaultLanguage: getLocalizationSettings(config).defaultLanguage,
+    translations: getWidgetTranslations(config),
+    maxMessageChars: getGuardrailSettings(config).maxMessageChars,
+    theme
+  };
+
+  res.setHeader('Content-Type', 'application/javascript');
+  res.send(`
+(function() {
+  const chatbotId = '${chatbotId}';
+  const settings = ${JSON.stringify(widgetSettings)};
+  const theme = settings.theme;
+  const primaryColor = theme.primaryColor;
+  const side = theme.position;
+  
+  // Chat state survives page navigations (sessionStorage), or browser restarts too if the bot persists history
+  const storage = theme.persistHistory ? localStorage : sessionStorage;
+  
+  function newConversationId() {
+    return 'conv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+  
+  // Generate unique conversation ID
+  let conversationId = storage.getItem('chatbot_conversation_id');
+  if (!conversationId) {
+    conversationId = newConversationId();
+    storage.setItem('chatbot_conversation_id', conversationId);
+  }
+  
+  // UI language: the one detected in this conversation, else the browser's
+  const translations = settings.translations;
+  function pickLanguage() {
+    const preferred = [storage.getItem('chatbot_language'), ...(navigator.languages || [navigator.language])];
+    for (const tag of preferred) {
+      const code = tag && tag.slice(0, 2).toLowerCase();
+      if (translations[code]) return code;
+    }
+    return settings.defaultLanguage;
+  }
+  let language = pickLanguage();
+  let strings = translations[language];
+  
+  // Create container
+  const container = document.createElement('div');
+  container.id = 'automagixx-chat-container';
+  
+  // Styles
+  const style = document.createElement('style');
+  style.textContent = \`
+    #automagixx-chat-button {
+      position: fixed;
+      bottom: \${theme.offsetY}px;
+      \${side}: \${theme.offsetX}px;
+      width: 60px;
+      height: 60px;
+      border-radius: 50%;
+      background: \${primaryColor};
+      color: white;
+      border: none;
+      font-size: 28px;
+      cursor: pointer;
+      box-shadow: 0 4px 12px \${theme.shadow};
+      z-index: 9999;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transition: transform 0.2s, box-shadow 0.2s;
+      animation: pulse 2s infinite;
+    }
+    
+    #automagixx-chat-button:hover {
+      transform: scale(1.1);
+      box-shadow: 0 6px 20px \${theme.shadowStrong};
+    }
+    
+    @keyframes pulse {
+      0%, 100% { box-shadow: 0 4px 12px \${theme.shadow}; }
+      50% { box-shadow: 0 4px 20px \${theme.shadowStrong}; }
+    }
+    
+    #automagixx-welcome-bubble {
+      position: fixed;
+      bottom: \${theme.offsetY + 75}px;
+      \${side}: \${theme.offsetX}px;
+      background: \${theme.surface};
+      padding: 12px 16px;
+      border-radius: 12px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      z-index: 9998;
+      max-width: 250px;
+      font-family: \${theme.fontFamily};
+      font-size: 14px;
+      color: \${theme.text};
+      animation: slideIn 0.3s ease-out;
+      display: none;
+    }
+    
+    @keyframes slideIn {
+      from { opacity: 0; transform: translateY(10px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    
+    #automagixx-welcome-bubble::after {
+      content: '';
+      position: absolute;
+      bottom: -8px;
+      \${side}: 25px;
+      width: 0;
+      height: 0;
+      border-left: 8px solid transparent;
+      border-right: 8px solid transparent;
+      border-top: 8px solid \${theme.surface};
+    }
+    
+    #automagixx-chat-window {
+      display: none;
+      position: fixed;
+      bottom: \${theme.offsetY + 80}px;
+      \${side}: \${theme.offsetX}px;
+      width: \${theme.windowWidth}px;
+      height: \${theme.windowHeight}px;
+      max-width: calc(100vw - \${theme.offsetX * 2}px);
+      max-height: calc(100vh - \${theme.offsetY + 120}px);
+      background: \${theme.surface};
+      font-family: \${theme.fontFamily};
+      border-radius: 16px;
+      box-shadow: 0 8px 32px rgba(0,0,0,0.12);
+      z-index: 9999;
+      flex-direction: column;
+      animation: slideUp 0.3s ease-out;
+    }
+    
+    @media (max-width: 768px) {
+      #automagixx-chat-window {
+        width: 100vw;
+        height: 100vh;
+        max-width: 100vw;
+        max-height: 100vh;
+        bottom: 0;
+        \${side}: 0;
+        border-radius: 0;
+      }
+    }
+    
+    @keyframes slideUp {
+      from { opacity: 0; transform: translateY(20px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    
+    #automagixx-chat-header {
+      background: linear-gradient(135deg, \${primaryColor} 0%, \${theme.primaryHover} 100%);
+      color: white;
+      padding: 16px;
+      border-radius: 16px 16px 0 0;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    
+    #automagixx-chat-header h3 {
+      margin: 0;
+      font-size: 16px;
+      font-weight: 600;
+    }
+    
+    #automagixx-chat-header p {
+      margin: 4px 0 0 0;
+      font-size: 12px;
+      opacity: 0.9;
+    }
+    
+    #automagixx-close-btn {
+      background: none;
+      border: none;
+      color: white;
+      font-size: 24px;
+      cursor: pointer;
+      padding: 0;
+      width: 30px;
+      height: 30px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      border-radius: 50%;
+      transition: background 0.2s;
+    }
+    
+    #automagixx-close-btn:hover {
+      background: rgba(255,255,255,0.2);
+    }
+    
+    #automagixx-new-chat-btn, #automagixx-email-btn {
+      background: none;
+      border: none;
+      color: white;
+      font-size: 16px;
+      cursor: pointer;
+      padding: 0;
+      width: 30px;
+      height: 30px;
+      margin-right: 4px;
+      border-radius: 50%;
+      transition: background 0.2s;
+    }
+    
+    #automagixx-new-chat-btn {
+      margin-left: auto;
+    }
+    
+    #automagixx-handoff-btn + #automagixx-new-chat-btn {
+      margin-left: 0;
+    }
+    
+    #automagixx-new-chat-btn:hover, #automagixx-email-btn:hover {
+      background: rgba(255,255,255,0.2);
+    }
+    
+    #automagixx-handoff-btn {
+      background: none;
+      border: 1px solid rgba(255,255,255,0.6);
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+      padding: 4px 10px;
+      margin-left: auto;
+      margin-right: 8px;
+      border-radius: 12px;
+      font-family: inherit;
+      transition: background 0.2s;
+    }
+    
+    #automagixx-handoff-btn:hover {
+      background: rgba(255,255,255,0.2);
+    }
+    
+    .automagixx-message.operator {
+      background: \${theme.surface};
+      color: \${theme.text};
+      align-self: flex-start;
+      border-left: 3px solid \${theme.accentColor};
+      box-shadow: 0 1px 2px rgba(0,0,0,0.05);
+    }
+    
+    .automagixx-lead-form, .automagixx-email-form, .automagixx-feedback-form {
+      align-self: stretch;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      background: \${theme.surface};
+      padding: 12px;
+      border-radius: 12px;
+      border: 1px solid \${theme.border};
+    }
+    
+    .automagixx-lead-form input, .automagixx-email-form input, .automagixx-feedback-form input {
+      padding: 8px 10px;
+      border: 1px solid \${theme.border};
+      border-radius: 8px;
+      font-size: 13px;
+      font-family: inherit;
+      background: \${theme.surface};
+      color: \${theme.text};
+    }
+    
+    .automagixx-lead-form button, .automagixx-email-form button, .automagixx-feedback-form button {
+      background: \${primaryColor};
+      color: white;
+      border: none;
+      padding: 8px 12px;
+      border-radius: 8px;
+      cursor: pointer;
+      font-family: inherit;
+    }
+    
+    .automagixx-rating {
+      align-self: flex-start;
+      display: flex;
+      gap: 4px;
+      margin-top: -6px;
+    }
+    
+    .automagixx-rating button {
+      background: none;
+      border: 1px solid transparent;
+      border-radius: 8px;
+      padding: 2px 6px;
+      font-size: 13px;
+      cursor: pointer;
+      opacity: 0.5;
+      transition: opacity 0.2s;
+    }
+    
+    .automagixx-rating button:hover, .automagixx-rating button[aria-pressed="true"] {
+      opacity: 1;
+      border-color: \${theme.border};
+    }
+    
+    .automagixx-notice {
+      align-self: center;
+      font-size: 12px;
+      color: \${theme.mutedText};
+      text-align: center;
+      padding: 4px 8px;
+    }
+    
+    #automagixx-messages {
+      flex: 1;
+      overflow-y: auto;
+      padding: 16px;
+      background: \${theme.background};
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+    
+    .automagixx-message {
+      max-width: 80%;
+      padding: 12px 16px;
+      border-radius: 12px;
+      font-size: 14px;
+      line-height: 1.5;
+      animation: fadeIn 0.3s ease-out;
+    }
+    
+    @keyframes fadeIn {
+      from { opacity: 0; transform: translateY(10px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    
+    .automagixx-message.user {
+      background: \${primaryColor};
+      color: white;
+      align-self: flex-end;
+      margin-left: auto;
+    }
+    
+    .automagixx-message.bot {
+      background: \${theme.surface};
+      color: \${theme.text};
+      align-self: flex-start;
+      box-shadow: 0 1px 2px rgba(0,0,0,0.05);
+    }
+    
+    .automagixx-typing {
+      background: \${theme.surface};
+      padding: 12px 16px;
+      border-radius: 12px;
+      align-self: flex-start;
+      display: flex;
+      gap: 4px;
+      align-items: center;
+    }
+    
+    .automagixx-typing span {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: \${theme.accentColor};
+      animation: bounce 1.4s infinite ease-in-out both;
+    }
+    
+    .automagixx-typing span:nth-child(1) { animation-delay: -0.32s; }
+    .automagixx-typing span:nth-child(2) { animation-delay: -0.16s; }
+    
+    @keyframes bounce {
+      0%, 80%, 100% { transform: scale(0); }
+      40% { transform: scale(1); }
+    }
+    
+    .automagixx-prompts {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-top: 8px;
+    }
+    
+    .automagixx-prompt-btn {
+      background: \${theme.surface};
+      border: 1px solid \${theme.border};
+      color: \${primaryColor};
+      padding: 8px 12px;
+      border-radius: 8px;
+      font-size: 13px;
+      cursor: pointer;
+      transition: all 0.2s;
+      font-family: inherit;
+    }
+    
+    .automagixx-prompt-btn:hover {
+      background: \${primaryColor};
+      color: white;
+      border-color: \${primaryColor};
+    }
+    
+    #automagixx-input-area {
+      padding: 16px;
+      border-top: 1px solid \${theme.border};
+      background: \${theme.surface};
+      border-radius: 0 0 16px 16px;
+    }
+    
+    #automagixx-input-form {
+      display: flex;
+      gap: 8px;
+    }
+    
+    #automagixx-input {
+      flex: 1;
+      padding: 12px;
+      border: 1px solid \${theme.border};
+      border-radius: 8px;
+      font-size: 14px;
+      font-family: inherit;
+      outline: none;
+      background: \${theme.surface};
+      color: \${theme.text};
+    }
+    
+    #automagixx-input:focus {
+      border-color: \${primaryColor};
+    }
+    
+    #automagixx-send-btn {
+      background: \${primaryColor};
+      color: white;
+      border: none;
+      padding: 12px 20px;
+      border-radius: 8px;
+      cursor: pointer;
+      font-weight: 500;
+      transition: background 0.2s;
+    }
+    
+    #automagixx-send-btn:hover {
+      background: \${theme.primaryHover};
+    }
+    
+    #automagixx-send-btn:disabled {
+      background: #ccc;
+      cursor: not-allowed;
+    }
+    
+    #automagixx-branding {
+      text-align: center;
+      padding: 8px;
+      font-size: 11px;
+      color: \${theme.mutedText};
+      border-top: 1px solid \${theme.border};
+    }
+    
+    #automagixx-branding a {
+      color: \${primaryColor};
+      text-decoration: none;
+    }
+  \`;
+  
+  document.head.appendChild(style);
+  
+  // Create button
+  const button = document.createElement('button');
+  button.id = 'automagixx-chat-button';
+  button.textContent = theme.launcherIcon;
+  
+  // Create welcome bubble
+  const welcomeBubble = document.createElement('div');
+  welcomeBubble.id = 'automagixx-welcome-bubble';
+  
+  // Create chat window
+  const chatWindow = document.createElement('div');
+  chatWindow.id = 'automagixx-chat-window';
+  
+  chatWindow.innerHTML = \`
+    <div id="automagixx-chat-header">
+      <div>
+        <h3 id="automagixx-chat-title"></h3>
+        <p id="automagixx-chat-subtitle"></p>
+      </div>
+      \${settings.handoff.enabled ? '<button id="automagixx-handoff-btn" type="button"></button>' : ''}
+      <button id="automagixx-new-chat-btn" type="button">↻</button>
+      <button id="automagixx-email-btn" type="button">✉</button>
+      <button id="automagixx-close-btn">×</button>
+    </div>
+    <div id="automagixx-messages"></div>
+    <div id="automagixx-input-area">
+      <form id="automagixx-input-form">
+        <input 
+          id="automagixx-input" 
+          type="text" 
+          autocomplete="off"
+          maxlength="\${settings.maxMessageChars}"
+        />
+        <button id="automagixx-send-btn" type="submit"></button>
+      </form>
+    </div>
+    \${theme.showBranding ? \`<div id="automagixx-branding">
+      <span id="automagixx-branding-label"></span> <a href="https://automagixx.com" target="_blank">Automagixx</a>
+    </div>\` : ''}
+  \`;
+  chatWindow.querySelector('#automagixx-chat-title').textContent = settings.businessName;
+  chatWindow.querySelector('#automagixx-chat-subtitle').textContent = theme.headerSubtitle;
+  
+  // Append elements
+  container.appendChild(button);
+  container.appendChild(welcomeBubble);
+  container.appendChild(chatWindow);
+  document.body.appendChild(container);
+  
+  // Get elements
+  const messagesDiv = document.getElementById('automagixx-messages');
+  const inputForm = document.getElementById('automagixx-input-form');
+  const input = document.getElementById('automagixx-input');
+  const sendBtn = document.getElementById('automagixx-send-btn');
+  const closeBtn = document.getElementById('automagixx-close-btn');
+  const handoffBtn = document.getElementById('automagixx-handoff-btn');
+  const newChatBtn = document.getElementById('automagixx-new-chat-btn');
+  const emailBtn = document.getElementById('automagixx-email-btn');
+  const subtitle = document.getElementById('automagixx-chat-subtitle');
+  const brandingLabel = document.getElementById('automagixx-branding-label');
+  
+  // Put the current language's strings on the widget
+  function applyStrings() {
+    button.setAttribute('aria-label', strings.launcherLabel);
+    welcomeBubble.textContent = strings.welcomeBubble;
+    closeBtn.setAttribute('aria-label', strings.closeLabel);
+    input.placeholder = strings.inputPlaceholder;
+    input.setAttribute('aria-label', strings.inputLabel);
+    sendBtn.textContent = strings.sendButton;
+    if (handoffBtn) handoffBtn.textContent = strings.handoffButton;
+    newChatBtn.setAttribute('aria-label', strings.newChatLabel);
+    newChatBtn.title = strings.newChatLabel;
+    emailBtn.setAttribute('aria-label', strings.emailTranscriptLabel);
+    emailBtn.title = strings.emailTranscriptLabel;
+    if (brandingLabel) brandingLabel.textContent = strings.poweredBy;
+  }
+  applyStrings();
+  
+  // Switch to the language the server detected, if the widget has strings for it
+  function setLanguage(code) {
+    if (!code || code === language || !translations[code]) return;
+    language = code;
+    strings = translations[code];
+    storage.setItem('chatbot_language', code);
+    applyStrings();
+  }
+  
+  // Show welcome bubble after 1 second, hide after 10 seconds
+  setTimeout(() => {
+    if (chatWindow.style.display === 'flex') return;
+    welcomeBubble.style.display = 'block';
+    setTimeout(() => {
+      welcomeBubble.style.display = 'none';
+    }, 10000);
+  }, 1000);
+  
+  // Toggle chat
+  function openChat() {
+    chatWindow.style.display = 'flex';
+    button.style.display = 'none';
+    welcomeBubble.style.display = 'none';
+    storage.setItem('chatbot_chat_open', '1');
+    input.focus();
+    
+    // Show welcome message if first time
+    if (messagesDiv.children.length === 0) {
+      addMessage(strings.welcomeMessage, 'bot');
+      showPrompts(strings.starterPrompts);
+    }
+  }
+  
+  function closeChat() {
+    chatWindow.style.display = 'none';
+    button.style.display = 'flex';
+    storage.removeItem('chatbot_chat_open');
+  }
+  
+  button.addEventListener('click', openChat);
+  closeBtn.addEventListener('click', closeChat);
+  
+  // Clickable prompt chips (starter prompts and suggested follow-ups)
+  function showPrompts(prompts) {
+    if (!prompts || prompts.length === 0) return;
+    
+    const promptsContainer = document.createElement('div');
+    promptsContainer.className = 'automagixx-prompts';
+    
+    prompts.forEach(prompt => {
+      const btn = document.createElement('button');
+      btn.className = 'automagixx-prompt-btn';
+      btn.textContent = prompt;
+      btn.onclick = () => sendMessage(prompt);
+      promptsContainer.appendChild(btn);
+    });
+    
+    messagesDiv.appendChild(promptsContainer);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+  }
+  
+  function clearPrompts() {
+    messagesDiv.querySelectorAll('.automagixx-prompts').forEach(el => el.remove());
+  }
+  
+  // Add message to chat
+  function addMessage(text, sender) {
+    const msgDiv = document.createElement('div');
+    msgDiv.className = \`automagixx-message \${sender}\`;
+    msgDiv.textContent = text;
+    messagesDiv.appendChild(msgDiv);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    return msgDiv;
+  }
+  
+  // Show typing indicator
+  function showTyping() {
+    const typingDiv = document.createElement('div');
+    typingDiv.className = 'automagixx-typing';
+    typingDiv.id = 'automagixx-typing-indicator';
+    typingDiv.innerHTML = '<span></span><span></span><span></span>';
+    messagesDiv.appendChild(typingDiv);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+  }
+  
+  function hideTyping() {
+    const typingDiv = document.getElementById('automagixx-typing-indicator');
+    if (typingDiv) typingDiv.remove();
+  }
+  
+  // Centered status line (handoff state changes)
+  function addNotice(text) {
+    const noticeDiv = document.createElement('div');
+    noticeDiv.className = 'automagixx-notice';
+    noticeDiv.textContent = text;
+    messagesDiv.appendChild(noticeDiv);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+  }
+  
+  const apiBase = 'https://automagixx-chatbot-server.vercel.app/api/chat/${chatbotId}';
+  
+  // Chat requests carry a short-lived session token, fetched again when it expires
+  let sessionToken = null;
+  
+  async function startSession() {
+    const response = await fetch(apiBase + '/session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ conversationId, historyToken: storage.getItem('chatbot_history_token') })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+    sessionToken = data.token;
+    if (data.historyToken) storage.setItem('chatbot_history_token', data.historyToken);
+  }
+  
+  async function postChat(path, body) {
+    if (!sessionToken) await startSession();
+    const send = () => fetch(apiBase + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Session-Token': sessionToken },
+      body: JSON.stringify(body)
+    });
+    
+    let response = await send();
+    if (response.status === 401) {
+      await startSession();
+      response = await send();
+    }
+    return response;
+  }
+  
+  // Live operator messages while staff handle the conversation
+  let liveSource = null;
+  let chatStatus = 'bot';
+  
+  function setChatStatus(status) {
+    if (status === chatStatus) return;
+    chatStatus = status;
+    
+    if (status === 'human') {
+      addNotice(settings.handoff.operatorJoinedMessage);
+      subtitle.textContent = strings.staffOnline;
+    } else if (status === 'bot') {
+      addNotice(settings.handoff.releasedMessage);
+      subtitle.textContent = theme.headerSubtitle;
+      stopLiveUpdates();
+    }
+    if (handoffBtn) handoffBtn.style.display = status === 'bot' ? '' : 'none';
+  }
+  
+  async function startLiveUpdates() {
+    if (liveSource || typeof EventSource === 'undefined') return;
+    
+    // EventSource can't send headers, so the short-lived session token goes in the query string
+    if (!sessionToken) {
+      try {
+        await startSession();
+      } catch (error) {
+        return;
+      }
+    }
+    if (liveSource) return;
+    liveSource = new EventSource(apiBase + '/conversations/' + encodeURIComponent(conversationId) + '/events?token=' + encodeURIComponent(sessionToken));
+    liveSource.addEventListener('status', e => setChatStatus(JSON.parse(e.data).status));
+    liveSource.addEventListener('message', e => {
+      hideTyping();
+      addMessage(JSON.parse(e.data).message.content, 'operator');
+    });
+    
+    // A reconnect with an expired token is refused and closes the stream; start again with a new session
+    liveSource.addEventListener('error', () => {
+      if (!liveSource || liveSource.readyState !== EventSource.CLOSED) return;
+      liveSource = null;
+      sessionToken = null;
+      if (chatStatus !== 'bot') setTimeout(startLiveUpdates, 5000);
+    });
+  }
+  
+  function stopLiveUpdates() {
+    if (liveSource) liveSource.close();
+    liveSource = null;
+  }
+  
+  // Inline contact form the bot asks the guest to fill in
+  function showLeadForm(leadForm) {
+    if (!leadForm || messagesDiv.querySelector('.automagixx-lead-form')) return;
+    
+    const form = document.createElement('form');
+    form.className = 'automagixx-lead-form';
+    leadForm.fields.forEach(field => {
+      const fieldInput = document.createElement('input');
+      fieldInput.name = field.key;
+      fieldInput.type = field.input;
+      fieldInput.placeholder = field.label;
+      fieldInput.setAttribute('aria-label', field.label);
+      form.appendChild(fieldInput);
+    });
+    
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.textContent = strings.leadFormSubmit;
+    form.appendChild(submitBtn);
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const fields = {};
+      new FormData(form).forEach((value, key) => { if (value) fields[key] = value; });
+      submitBtn.disabled = true;
+      
+      try {
+        const response = await postChat('/conversations/' + encodeURIComponent(conversationId) + '/lead', { fields });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        form.remove();
+        addNotice(strings.leadFormThanks);
+      } catch (error) {
+        addNotice(strings.leadFormError);
+        submitBtn.disabled = false;
+      }
+    });
+    
+    messagesDiv.appendChild(form);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+  }
+  
+  function handleHandoff(handoff) {
+    if (!handoff) return;
+    if (chatStatus === 'bot') chatStatus = handoff.status;
+    if (handoffBtn) handoffBtn.style.display = 'none';
+    startLiveUpdates();
+  }
+  
+  async function requestHandoff() {
+    handoffBtn.disabled = true;
+    try {
+      const response = await postChat('/conversations/' + encodeURIComponent(conversationId) + '/handoff', {});
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      addNotice(data.message);
+      handleHandoff({ status: data.status });
+    } catch (error) {
+      addNotice(strings.handoffError);
+    }
+    handoffBtn.disabled = false;
+  }
+  
+  if (handoffBtn) handoffBtn.addEventListener('click', requestHandoff);
+  
+  // Thumbs up/down under a bot answer; a thumbs down also asks what was wrong
+  function addRating(messageDiv, messageId, rating) {
+    if (!messageId) return;
+    
+    const ratingDiv = document.createElement('div');
+    ratingDiv.className = 'automagixx-rating';
+    const current = rating === 1 ? 'up' : rating === -1 ? 'down' : null;
+    const buttons = {};
+    [['up', '👍', strings.rateHelpful], ['down', '👎', strings.rateNotHelpful]].forEach(([value, icon, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = icon;
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+      btn.setAttribute('aria-pressed', String(value === current));
+      btn.addEventListener('click', () => rate(value));
+      ratingDiv.appendChild(btn);
+      buttons[value] = btn;
+    });
+    
+    const feedbackPath = '/conversations/' + encodeURIComponent(conversationId) + '/messages/' + encodeURIComponent(messageId) + '/feedback';
+    async function sendFeedback(value, comment) {
+      const response = await postChat(feedbackPath, { rating: value, comment });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+    }
+    
+    async function rate(value) {
+      Object.keys(buttons).forEach(key => buttons[key].setAttribute('aria-pressed', String(key === value)));
+      try {
+        await sendFeedback(value);
+        if (value === 'down') showFeedbackForm();
+      } catch (error) {
+        buttons[value].setAttribute('aria-pressed', 'false');
+      }
+    }
+    
+    function showFeedbackForm() {
+      if (ratingDiv.nextElementSibling && ratingDiv.nextElementSibling.className === 'automagixx-feedback-form') return;
+      
+      const form = document.createElement('form');
+      form.className = 'automagixx-feedback-form';
+      const commentInput = document.createElement('input');
+      commentInput.type = 'text';
+      commentInput.maxLength = 1000;
+      commentInput.placeholder = strings.feedbackPlaceholder;
+      commentInput.setAttribute('aria-label', strings.feedbackPlaceholder);
+      form.appendChild(commentInput);
+      
+      const submitBtn = document.createElement('button');
+      submitBtn.type = 'submit';
+      submitBtn.textContent = strings.feedbackSubmit;
+      form.appendChild(submitBtn);
+      
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        submitBtn.disabled = true;
+        try {
+          if (commentInput.value.trim()) await sendFeedback('down', commentInput.value);
+          const thanks = document.createElement('div');
+          thanks.className = 'automagixx-notice';
+          thanks.textContent = strings.feedbackThanks;
+          form.replaceWith(thanks);
+        } catch (error) {
+          submitBtn.disabled = false;
+        }
+      });
+      
+      ratingDiv.after(form);
+      messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    }
+    
+    messageDiv.after(ratingDiv);
+  }
+  
+  // Let the guest email themselves a copy of the conversation
+  function showEmailForm() {
+    if (messagesDiv.querySelector('.automagixx-email-form')) return;
+    
+    const form = document.createElement('form');
+    form.className = 'automagixx-email-form';
+    const emailInput = document.createElement('input');
+    emailInput.type = 'email';
+    emailInput.required = true;
+    emailInput.placeholder = strings.emailTranscriptPlaceholder;
+    emailInput.setAttribute('aria-label', strings.emailTranscriptPlaceholder);
+    form.appendChild(emailInput);
+    
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.textContent = strings.emailTranscriptSubmit;
+    form.appendChild(submitBtn);
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submitBtn.disabled = true;
+      
+      try {
+        const response = await fetch(apiBase + '/conversations/' + encodeURIComponent(conversationId) + '/transcript-email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-History-Token': storage.getItem('chatbot_history_token') || '' },
+          body: JSON.stringify({ email: emailInput.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        form.remove();
+        addNotice(strings.emailTranscriptSent);
+      } catch (error) {
+        addNotice(strings.emailTranscriptError);
+        submitBtn.disabled = false;
+      }
+    });
+    
+    messagesDiv.appendChild(form);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    emailInput.focus();
+  }
+  
+  emailBtn.addEventListener('click', showEmailForm);
+  
+  // Render a streamed reply token by token
+  async function readStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let botDiv = null;
+    
+    function handleEvent(raw) {
+      const event = (raw.match(/^event: (.*)$/m) || [])[1];
+      const data = (raw.match(/^data: (.*)$/m) || [])[1];
+      if (!event || !data) return;
+      const payload = JSON.parse(data);
+      
+      if (!botDiv) {
+        hideTyping();
+        botDiv = addMessage('', 'bot');
+      }
+      
+      if (event === 'token') {
+        botDiv.textContent += payload.content;
+      } else {
+        botDiv.textContent = payload.response;
+        addRating(botDiv, payload.messageId);
+        setLanguage(payload.language);
+        showPrompts(payload.suggestions);
+        handleHandoff(payload.handoff);
+        showLeadForm(payload.leadForm);
+      }
+      messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    }
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\\n\\n');
+      buffer = events.pop();
+      events.forEach(handleEvent);
+    }
+    
+    if (!botDiv) throw new Error('Empty stream');
+  }
+  
+  // Send message
+  async function sendMessage(message) {
+    if (!message.trim()) return;
+    
+    clearPrompts();
+    addMessage(message, 'user');
+    input.value = '';
+    sendBtn.disabled = true;
+    
+    showTyping();
+    
+    const errorText = strings.errorMessage;
+    const canStream = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    
+    try {
+      const response = await postChat(canStream ? '/stream' : '/message', {
+        message,
+        conversationId,
+        language
+      });
+      
+      if (!canStream || !response.body || !response.headers.get('Content-Type').includes('text/event-stream')) {
+        const data = await response.json();
+        hideTyping();
+        if (data.response) addRating(addMessage(data.response, 'bot'), data.messageId);
+        setLanguage(data.language);
+        showPrompts(data.suggestions);
+        handleHandoff(data.handoff);
+        showLeadForm(data.leadForm);
+      } else {
+        await readStream(response);
+      }
+    } catch (error) {
+      hideTyping();
+      addMessage(errorText, 'bot');
+    }
+    
+    sendBtn.disabled = false;
+    input.focus();
+  }
+  
+  // Form submit
+  inputForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    sendMessage(input.value);
+  });
+  
+  // Forget the current conversation and start over
+  function startNewChat() {
+    stopLiveUpdates();
+    conversationId = newConversationId();
+    storage.setItem('chatbot_conversation_id', conversationId);
+    storage.removeItem('chatbot_history_token');
+    sessionToken = null;
+    chatStatus = 'bot';
+    subtitle.textContent = theme.headerSubtitle;
+    if (handoffBtn) handoffBtn.style.display = '';
+    
+    messagesDiv.innerHTML = '';
+    addMessage(strings.welcomeMessage, 'bot');
+    showPrompts(strings.starterPrompts);
+    input.focus();
+  }
+  
+  newChatBtn.addEventListener('click', startNewChat);
+  
+  // Bring back the conversation so far after the guest moves to another page
+  async function restoreConversation() {
+    const historyToken = storage.getItem('chatbot_history_token');
+    if (!historyToken) return;
+    
+    try {
+      const response = await fetch(apiBase + '/conversations/' + encodeURIComponent(conversationId) + '/messages', {
+        headers: { 'X-History-Token': historyToken }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      if (data.messages.length === 0) return;
+      
+      setLanguage(data.language);
+      messagesDiv.innerHTML = '';
+      addMessage(strings.welcomeMessage, 'bot');
+      data.messages.forEach(message => {
+        if (message.role !== 'assistant') return addMessage(message.content, message.role);
+        addRating(addMessage(message.content, 'bot'), message.id, message.rating);
+      });
+      
+      if (data.status !== 'bot') {
+        chatStatus = data.status;
+        if (handoffBtn) handoffBtn.style.display = 'none';
+        if (data.status === 'human') subtitle.textContent = strings.staffOnline;
+        startLiveUpdates();
+      }
+    } catch (error) {
+      console.warn('Automagixx chat could not restore the conversation:', error.message);
+    }
+  }
+  
+  restoreConversation().then(() => {
+    if (storage.getItem('chatbot_chat_open')) openChat();
+  });
+})();
+  `);
+});
 
-// Store chatbot configs in memory
-const chatbotConfigs = new Map();
+// Create new chatbot (admin endpoint)
+app.post('/api/admin/create-chatbot', requireApiKey('admin'), async (req, res) => {
+  try {
+    const { clientName, businessName, businessInfo, knowledgeBase, customization, memory, starterPrompts, followUpSuggestions, retrieval, handoff, leadCapture, tools, intents, prompt, persona, contact, llm, answerCache, faqs, localization, guardrails, budget, security, webhooks } = req.body;
+    
+    const validationErrors = validateChatbotFields({ clientName, businessName, businessInfo, knowledgeBase, customization, memory, starterPrompts, followUpSuggestions, retrieval, handoff, leadCapture, tools, intents, prompt, persona, contact, llm, answerCache, faqs, localization, guardrails, budget, security, webhooks });
+    if (!businessName) validationErrors.unshift('businessName is required');
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid chatbot settings', details: validationErrors });
+    }
+    
+    const chatbotId = `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    const config = {
+      id: chatbotId,
+      clientName,
+      businessName,
+      businessInfo,
+      knowledgeBase,
+      customization: getCustomization({ businessName, customization }),
+      memory: { ...DEFAULT_MEMORY_SETTINGS, ...(memory || {}) },
+      starterPrompts: starterPrompts || DEFAULT_STARTER_PROMPTS,
+      followUpSuggestions: { ...DEFAULT_FOLLOW_UP_SETTINGS, ...(followUpSuggestions || {}) },
+      retrieval: { ...DEFAULT_RETRIEVAL_SETTINGS, ...(retrieval || {}) },
+      handoff: { ...DEFAULT_HANDOFF_SETTINGS, ...(handoff || {}) },
+      leadCapture: { ...DEFAULT_LEAD_CAPTURE_SETTINGS, ...(leadCapture || {}) },
+      tools: tools || [],
+      intents: { ...DEFAULT_INTENT_SETTINGS, ...(intents || {}) },
+      prompt: { ...DEFAULT_PROMPT_SETTINGS, ...(prompt || {}) },
+      persona: { ...DEFAULT_PERSONA, ...(persona || {}) },
+      contact: contact || {},
+      llm: llm || {},
+      answerCache: { ...DEFAULT_ANSWER_CACHE_SETTINGS, ...(answerCache || {}) },
+      faqs: faqs || [],
+      localization: { ...DEFAULT_LOCALIZATION_SETTINGS, ...(localization || {}) },
+      guardrails: { ...DEFAULT_GUARDRAIL_SETTINGS, ...(guardrails || {}) },
+      budget: { ...DEFAULT_BUDGET_SETTINGS, ...(budget || {}) },
+      security: { ...DEFAULT_SECURITY_SETTINGS, ...(security || {}) },
+      webhooks: webhooks || [],
+      createdAt: new Date().toISOString(),
+      active: true,
+      version: 1
+    };
+    
+    await saveChatbotConfig(config);
+    await recordConfigRevision(config, 'create', req.auth);
+    await indexKnowledgeBase(config).catch(error => console.error('Error indexing knowledge base:', error));
+    
+    const embedCode = `<!-- Automagixx Chatbot -->
+<script src="https://automagixx-chatbot-server.vercel.app/embed.js?id=${chatbotId}" async></script>`;
+    
+    res.json({
+      success: true,
+      chatbotId,
+      embedCode,
+      previewUrl: `https://automagixx.com/test-chatbot?id=${chatbotId}`
+    });
+    
+  } catch (error) {
+    console.error('Error creating chatbot:', error);
+    res.status(500).json({ error: 'Failed to create chatbot' });
+  }
+});
 
-// Load saved configs
-async function loadConfigs() {
-  // First try to load from environment variable (Vercel)
-  if (process.env.CHATBOT_CONFIGS) {
+const INACTIVE_CHATBOT_RESPONSE = {
+  error: 'Chatbot is not active',
+  response: 'This chat is currently unavailable. Please contact us directly.'
+};
+
+// Build the OpenAI request for a chat turn and log the user message.
+// languageHint is the widget's UI language, used when the message itself is too short to tell.
+async function prepareChatTurn(chatbotId, config, userMessage, conversationId, languageHint) {
+  const startedAt = Date.now();
+  const memorySettings = getMemorySettings(config);
+  
+  // FAQ and cached answers skip the model entirely, so only classify them by keyword
+  const cachedAnswer = await findCachedAnswer(config, userMessage);
+  
+  // Rebuild earlier turns before this message is logged
+  const [history, { intent }] = await Promise.all([
+    conversationId
+      ? loadConversationHistory(chatbotId, conversationId, memorySettings)
+      : { summary: '', language: null, messages: [] },
+    classifyIntent(config, userMessage, cachedAnswer ? 'keyword' : undefined)
+  ]);
+  
+  const language = detectLanguage(userMessage, history.language || languageHint || getLocalizationSettings(config).defaultLanguage);
+  history.language = language;
+  
+  // Log user message to database
+  const { data: loggedMessage, error: messageError } = await supabase
+    .from('messages')
+    .insert({
+      conversation_id: conversationId,
+      chatbot_id: chatbotId,
+      role: 'user',
+      content: userMessage,
+      intent: intent.name,
+      language,
+      question_key: normalizeQuestion(userMessage) || null
+    })
+    .select('id, created_at')
+    .single();
+  
+  if (messageError) console.error('Error logging user message:', messageError);
+  await emitWebhookEvent(chatbotId, 'message.created', {
+    conversationId,
+    messageId: loggedMessage?.id ?? null,
+    role: 'user',
+    content: userMessage,
+    intent: intent.name,
+    language,
+    createdAt: loggedMessage?.created_at ?? new Date().toISOString()
+  });
+  
+  if (cachedAnswer) {
+    return { chatbotId, conversationId, config, history, memorySettings, cachedAnswer, retrievedChunkIds: [], intent: intent.name, language, tools: [], startedAt };
+  }
+  
+  // Only the knowledge chunks relevant to this message go into the prompt
+  let knowledge = getKnowledgeText(config);
+  let retrievedChunkIds = [];
+  if (getRetrievalSettings(config).enabled) {
     try {
-      const configs = JSON.parse(process.env.CHATBOT_CONFIGS);
-      configs.forEach(config => chatbotConfigs.set(config.id, config));
-      console.log(`✅ Loaded ${chatbotConfigs.size} chatbot(s) from environment`);
-      return;
+      // Include the previous question so follow-ups like "and for two people?" still match
+      const previousQuestion = [...history.messages].reverse().find(m => m.role === 'user');
+      const chunks = await retrieveKnowledge(config, [previousQuestion?.content, userMessage].filter(Boolean).join('\n'));
+      knowledge = chunks.map(chunk => chunk.content).join('\n\n');
+      retrievedChunkIds = chunks.map(chunk => chunk.id);
     } catch (error) {
-      console.error('❌ Error loading from environment:', error);
+      console.error('Error retrieving knowledge, using full knowledge base:', error);
     }
   }
   
-  // Fall back to file system (local development)
-  if (process.env.VERCEL) {
-    console.log('⚠️  Running on Vercel - using in-memory storage only');
-    return;
+  const systemPrompt = buildSystemPrompt(config, { knowledge, intent, summary: history.summary, language });
+
+  const llmSettings = getLlmSettings(config);
+  const completionRequest = {
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...fitHistoryToBudget(history.messages, memorySettings.maxHistoryTokens),
+      { role: 'user', content: userMessage }
+    ],
+    temperature: llmSettings.temperature,
+    max_tokens: llmSettings.maxTokens
+  };
+  
+  return {
+    chatbotId,
+    conversationId,
+    config,
+    history,
+    memorySettings,
+    completionRequest,
+    retrievedChunkIds,
+    intent: intent.name,
+    language,
+    tools: buildChatTools(config),
+    toolResults: [],
+    usage: { model: null, promptTokens: 0, completionTokens: 0, costUsd: 0 },
+    startedAt
+  };
+}
+
+// Log the bot reply, update memory and the conversation record
+async function completeChatTurn(chatbotId, conversationId, userMessage, botResponse, turn) {
+  // Log bot response to database; its id lets the guest rate the answer
+  const { data: botMessage, error: botMessageError } = await supabase
+    .from('messages')
+    .insert({
+      conversation_id: conversationId,
+      chatbot_id: chatbotId,
+      role: 'assistant',
+      content: botResponse,
+      config_version: turn.config.version || null,
+      retrieved_chunk_ids: turn.retrievedChunkIds,
+      cache_hit: turn.cachedAnswer?.source || null,
+      unanswered: Boolean(turn.unanswered),
+      response_ms: Date.now() - turn.startedAt,
+      model: turn.usage?.model || null,
+      prompt_tokens: turn.usage?.promptTokens || 0,
+      completion_tokens: turn.usage?.completionTokens || 0,
+      cost_usd: turn.usage?.costUsd || 0
+    })
+    .select('id, created_at')
+    .single();
+  
+  if (botMessageError) console.error('Error logging bot message:', botMessageError);
+  turn.messageId = botMessage?.id;
+  await emitWebhookEvent(chatbotId, 'message.created', {
+    conversationId,
+    messageId: botMessage?.id ?? null,
+    role: 'assistant',
+    content: botResponse,
+    createdAt: botMessage?.created_at ?? new Date().toISOString()
+  });
+  
+  // Replies that build on earlier turns aren't cached; note that before this turn joins the history
+  turn.followUp = turn.history.messages.length > 0 || Boolean(turn.history.summary);
+  if (conversationId) {
+    turn.history.messages.push(
+      { role: 'user', content: userMessage },
+      { role: 'assistant', content: botResponse }
+    );
+  }
+  
+  // Check the answer and summarize turns beyond maxHistoryTurns while the conversation record is
+  // updated. Serverless instances freeze once the reply is sent, so these finish before responding.
+  const answerChecks = checkAndCacheAnswer(turn, userMessage, botResponse);
+  const compaction = conversationId
+    ? compactConversationHistory(turn.config, conversationId, turn.history, turn.memorySettings)
+    : null;
+  
+  // Update or create conversation record
+  await recordConversationMessages(chatbotId, conversationId, 2, turn.language);
+  
+  await Promise.all([answerChecks, compaction]);
+}
+
+// Grounding post-check, then the answer cache. Flagged replies are kept out of the cache.
+async function checkAndCacheAnswer(turn, userMessage, botResponse) {
+  if (!turn.cachedAnswer && getGuardrailSettings(turn.config).groundingCheck) {
+    const unsupported = await checkGrounding(turn, botResponse);
+    if (unsupported.length > 0) {
+      turn.ungrounded = true;
+      await logGuardrailEvent(turn.chatbotId, turn.conversationId, 'ungrounded_answer', { unsupported, question: userMessage, answer: botResponse });
+    }
+  }
+
+  await cacheAnswer(turn, userMessage, botResponse);
+}
+
+// Issue a short-lived session token when the widget loads; chat requests send it back as X-Session-Token
+app.post('/api/chat/:chatbotId/session', requireAllowedOrigin, rateLimit('sessions'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    if (config.active === false) return res.status(403).json(INACTIVE_CHATBOT_RESPONSE);
+    
+    const conversationId = req.body?.conversationId;
+    if (typeof conversationId !== 'string' || !conversationId) return res.status(400).json({ error: 'conversationId is required' });
+    
+    // The history token only goes to the widget that starts the conversation (or one already holding it),
+    // so knowing a conversation ID isn't enough to read it
+    const { count: messageCount, error } = await supabase
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId)
+      .eq('chatbot_id', config.id);
+    if (error) throw error;
+    const canReadHistory = messageCount === 0
+      || verifyConversationToken(req.body.historyToken, 'history', config.id, conversationId);
+    
+    const expiresAt = Date.now() + getSecuritySettings(config).sessionTtlMinutes * 60 * 1000;
+    res.json({
+      token: signSessionToken({ scope: 'chat', chatbotId: config.id, conversationId, exp: expiresAt }),
+      expiresAt: new Date(expiresAt).toISOString(),
+      ...(canReadHistory && {
+        historyToken: signSessionToken({ scope: 'history', chatbotId: config.id, conversationId, exp: Date.now() + HISTORY_TOKEN_TTL_MS })
+      })
+    });
+    
+  } catch (error) {
+    console.error('Error issuing session token:', error);
+    res.status(500).json({ error: 'Failed to start session' });
+  }
+});
+
+// Handle chat messages with Supabase logging
+app.post('/api/chat/:chatbotId/message', requireAllowedOrigin, rateLimit('ip', 'conversation'), requireSessionToken, async (req, res) => {
+  let config;
+  try {
+    config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    if (config.active === false) return res.status(403).json(INACTIVE_CHATBOT_RESPONSE);
+    
+    const { conversationId, language } = req.body;
+    
+    const screened = await screenGuestMessage(req.params.chatbotId, config, conversationId, req.body.message);
+    if (screened.refusal) return res.status(screened.status).json(screened.refusal);
+    const userMessage = screened.message;
+    
+    // A human owns this conversation - log the message for the operator and keep the bot silent
+    const status = await getConversationStatus(req.params.chatbotId, conversationId);
+    if (HANDOFF_STATUSES.includes(status)) {
+      await logConversationMessage(req.params.chatbotId, conversationId, 'user', userMessage);
+      return res.json({ response: null, handoff: { status } });
+    }
+    
+    // Over a hard budget cap the bot stops calling the model and points guests to the business
+    if (await isOverBudget(config)) {
+      const reply = getBudgetCapMessage(config);
+      await logConversationMessage(req.params.chatbotId, conversationId, 'user', userMessage);
+      await logConversationMessage(req.params.chatbotId, conversationId, 'assistant', reply);
+      return res.json({ response: reply, budgetExceeded: true });
+    }
+    
+    const turn = await prepareChatTurn(req.params.chatbotId, config, userMessage, conversationId, language);
+    
+    const rawResponse = await runChatCompletion(turn);
+    const escalate = rawResponse.includes(HANDOFF_MARKER) && conversationId;
+    const botResponse = stripReplyMarkers(rawResponse);
+    
+    const [suggestions] = await Promise.all([
+      escalate ? [] : generateFollowUpSuggestions(config, userMessage, botResponse),
+      completeChatTurn(req.params.chatbotId, conversationId, userMessage, botResponse, turn)
+    ]);
+    
+    if (escalate) await requestHandoff(req.params.chatbotId, conversationId, userMessage, 'bot');
+    
+    res.json({
+      response: botResponse,
+      messageId: turn.messageId,
+      suggestions,
+      handoff: escalate ? { status: 'handoff_requested' } : undefined,
+      leadForm: turn.leadForm,
+      language: turn.language
+    });
+    
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ 
+      response: getErrorMessage(config || {}, req.body?.language)
+    });
   }
+});
+
+// Stream chat replies as Server-Sent Events
+app.post('/api/chat/:chatbotId/stream', requireAllowedOrigin, rateLimit('ip', 'conversation'), requireSessionToken, async (req, res) => {
+  const config = await getChatbotConfig(req.params.chatbotId);
+  if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+  if (config.active === false) return res.status(403).json(INACTIVE_CHATBOT_RESPONSE);
+  
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   
   try {
-    const data = await fs.readFile('./chatbot-configs.json', 'utf-8');
-    const configs = JSON.parse(data);
-    configs.forEach(config => chatbotConfigs.set(config.id, config));
-    console.log(`✅ Loaded ${chatbotConfigs.size} chatbot(s)`);
-  } catch {
-    console.log('⚠️  No saved configs - starting fresh');
+    const { conversationId, language } = req.body;
+    
+    const screened = await screenGuestMessage(req.params.chatbotId, config, conversationId, req.body.message);
+    if (screened.refusal) return res.status(screened.status).json(screened.refusal);
+    const userMessage = screened.message;
+    
+    // A human owns this conversation - answer with plain JSON and keep the bot silent
+    const status = await getConversationStatus(req.params.chatbotId, conversationId);
+    if (HANDOFF_STATUSES.includes(status)) {
+      await logConversationMessage(req.params.chatbotId, conversationId, 'user', userMessage);
+      return res.json({ response: null, handoff: { status } });
+    }
+    
+    // Over a hard budget cap the bot stops calling the model and points guests to the business
+    if (await isOverBudget(config)) {
+      const reply = getBudgetCapMessage(config);
+      await logConversationMessage(req.params.chatbotId, conversationId, 'user', userMessage);
+      await logConversationMessage(req.params.chatbotId, conversationId, 'assistant', reply);
+      return res.json({ response: reply, budgetExceeded: true });
+    }
+    
+    const turn = await prepareChatTurn(req.params.chatbotId, config, userMessage, conversationId, language);
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    
+    const markerFilter = createReplyMarkerFilter();
+    
+    let botResponse = '';
+    await runChatCompletion(turn, content => {
+      const token = markerFilter.push(content);
+      if (!token) return;
+      botResponse += token;
+      sendEvent('token', { content: token });
+    });
+    botResponse = (botResponse + markerFilter.flush()).trim();
+    const escalate = markerFilter.escalate && conversationId;
+    
+    // Log the full reply before telling the widget we're done
+    const [suggestions] = await Promise.all([
+      escalate ? [] : generateFollowUpSuggestions(config, userMessage, botResponse),
+      completeChatTurn(req.params.chatbotId, conversationId, userMessage, botResponse, turn)
+    ]);
+    
+    if (escalate) await requestHandoff(req.params.chatbotId, conversationId, userMessage, 'bot');
+    
+    sendEvent('done', {
+      response: botResponse,
+      messageId: turn.messageId,
+      suggestions,
+      handoff: escalate ? { status: 'handoff_requested' } : undefined,
+      leadForm: turn.leadForm,
+      language: turn.language
+    });
+    res.end();
+    
+  } catch (error) {
+    console.error('Streaming error:', error);
+    const response = getErrorMessage(config, req.body?.language);
+    if (!res.headersSent) return res.status(500).json({ response });
+    sendEvent('error', { response });
+    res.end();
+  }
+});
+
+// Guest asks for a person from the widget
+app.post('/api/chat/:chatbotId/conversations/:conversationId/handoff', requireAllowedOrigin, rateLimit('ip'), requireSessionToken, async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const handoffSettings = getHandoffSettings(config);
+    if (!handoffSettings.enabled) return res.status(403).json({ error: 'Handoff is not enabled for this chatbot' });
+    
+    const status = await getConversationStatus(req.params.chatbotId, req.params.conversationId);
+    if (status === 'bot') {
+      const reason = typeof req.body.reason === 'string' ? redactPii(req.body.reason, getGuardrailSettings(config).pii).text : undefined;
+      if (!(await requestHandoff(req.params.chatbotId, req.params.conversationId, reason, 'guest'))) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
+    
+    res.json({ status: status === 'bot' ? 'handoff_requested' : status, message: handoffSettings.waitingMessage });
+    
+  } catch (error) {
+    console.error('Error requesting handoff:', error);
+    res.status(500).json({ error: 'Failed to request handoff' });
+  }
+});
+
+// Contact details submitted through the widget's inline lead form
+app.post('/api/chat/:chatbotId/conversations/:conversationId/lead', requireAllowedOrigin, rateLimit('ip'), requireSessionToken, async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    if (!getLeadCaptureSettings(config).enabled) {
+      return res.status(403).json({ error: 'Lead capture is not enabled for this chatbot' });
+    }
+    
+    const lead = await saveLead(config, req.params.conversationId, req.body.fields, 'form');
+    if (!lead) return res.status(400).json({ error: 'Please fill in at least one valid field' });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error saving lead:', error);
+    res.status(500).json({ error: 'Failed to save details' });
+  }
+});
+
+// Email delivery: Resend's HTTP API in production (RESEND_API_KEY), or just a log line in local development
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Automagixx Chat <chat@automagixx.com>';
+
+const resendEmailTransport = {
+  name: 'resend',
+
+  async send({ to, subject, html, text, replyTo }) {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${process.env.RESEND_API_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: EMAIL_FROM, to, subject, html, text, reply_to: replyTo }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) throw new Error(`Resend returned HTTP ${response.status}: ${await response.text()}`);
+  }
+};
+
+const logEmailTransport = {
+  name: 'log',
+
+  async send({ to, subject, text }) {
+    console.log(`📧 (not sent) "${subject}" to ${to}:\n${text}`);
+  }
+};
+
+// EMAIL_TRANSPORT picks the transport; defaults to Resend when it has a key
+const emailTransports = { resend: resendEmailTransport, log: logEmailTransport };
+const emailTransport = emailTransports[process.env.EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : 'log')];
+if (!emailTransport) throw new Error(`Unknown EMAIL_TRANSPORT "${process.env.EMAIL_TRANSPORT}"`);
+
+// Transcript copies a guest can email per conversation per day
+const MAX_TRANSCRIPT_EMAILS = 3;
+
+// Supabase returns at most 1000 rows per request, so long exports are read a page at a time
+const TRANSCRIPT_PAGE_SIZE = 1000;
+
+// Messages of the given conversations, oldest first
+async function loadTranscriptMessages(chatbotId, conversationIds) {
+  const messages = [];
+  for (let offset = 0; ; offset += TRANSCRIPT_PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .from('messages')
+      .select('id, conversation_id, role, content, intent, language, operator_name, rating, feedback_comment, created_at')
+      .eq('chatbot_id', chatbotId)
+      .in('conversation_id', conversationIds)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + TRANSCRIPT_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    messages.push(...page);
+    if (page.length < TRANSCRIPT_PAGE_SIZE) return messages;
+  }
+}
+
+// One conversation with its messages, or null if the bot has no such conversation
+async function loadTranscript(chatbotId, conversationId) {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('id, status, language_detected, message_count, started_at, ended_at, handoff_requested_at, operator_name')
+    .eq('id', conversationId)
+    .eq('chatbot_id', chatbotId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!conversation) return null;
+  return { ...conversation, messages: await loadTranscriptMessages(chatbotId, [conversationId]) };
+}
+
+// Who said a message: guests see themselves as "You" and the bot under the business name
+function transcriptSpeaker(config, message, forGuest) {
+  if (message.role === 'operator') return message.operator_name || 'Staff';
+  if (message.role === 'assistant') return forGuest ? config.businessName : 'Bot';
+  return forGuest ? 'You' : 'Guest';
+}
+
+function formatTranscriptTime(config, timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', { timeZone: getPromptSettings(config).timeZone, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Printable HTML page of one or more transcripts (admin export and the guest's email copy)
+function renderTranscriptHtml(config, transcripts, { forGuest = false } = {}) {
+  const sections = transcripts.map(transcript => `
+  <section>
+    <h2>${escapeHtml(formatTranscriptTime(config, transcript.started_at))}</h2>
+    ${forGuest ? '' : `<p class="meta">${escapeHtml(transcript.id)} · ${transcript.messages.length} messages${transcript.language_detected ? ` · ${escapeHtml(languageName(transcript.language_detected))}` : ''}${transcript.handoff_requested_at ? ' · handed off' : ''}</p>`}
+    ${transcript.messages.map(message => `
+    <div class="message ${escapeHtml(message.role)}">
+      <strong>${escapeHtml(transcriptSpeaker(config, message, forGuest))}</strong>
+      <time>${escapeHtml(formatTranscriptTime(config, message.created_at))}</time>
+      <p>${escapeHtml(message.content)}</p>
+    </div>`).join('')}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(config.businessName)} - chat transcript</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 24px auto; padding: 0 16px; color: #222; }
+    h1 { font-size: 20px; }
+    h2 { font-size: 15px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    .meta, time { color: #777; font-size: 12px; }
+    .message { margin: 12px 0; }
+    .message p { margin: 4px 0 0; white-space: pre-wrap; }
+    .message.user p { color: #0b4f8a; }
+    @media print { section { break-after: page; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(config.businessName)}</h1>${sections}
+</body>
+</html>`;
+}
+
+// Plain-text transcript for the email body
+function renderTranscriptText(config, transcript) {
+  return transcript.messages
+    .map(message => `[${formatTranscriptTime(config, message.created_at)}] ${transcriptSpeaker(config, message, true)}:\n${message.content}`)
+    .join('\n\n');
+}
+
+// Email the guest a copy of their conversation
+app.post('/api/chat/:chatbotId/conversations/:conversationId/transcript-email', requireAllowedOrigin, rateLimit('ip'), requireHistoryToken, async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    
+    const transcript = await loadTranscript(config.id, req.params.conversationId);
+    if (!transcript || transcript.messages.length === 0) return res.status(404).json({ error: 'Conversation not found' });
+    
+    const retryAfter = await checkRateLimit(config.id, 'transcript-email', req.params.conversationId, {
+      max: MAX_TRANSCRIPT_EMAILS,
+      windowSeconds: 24 * 60 * 60
+    });
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many transcript emails for this conversation' });
+    }
+    
+    await emailTransport.send({
+      to: email,
+      subject: `Your conversation with ${config.businessName}`,
+      html: renderTranscriptHtml(config, [transcript], { forGuest: true }),
+      text: renderTranscriptText(config, transcript),
+      replyTo: config.contact?.email
+    });
+    
+    console.log(`📧 Transcript of ${req.params.conversationId} emailed to the guest (${emailTransport.name})`);
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error emailing transcript:', error);
+    res.status(500).json({ error: 'Failed to email transcript' });
   }
-}
+});
 
-// Save configs to file (skip on Vercel)
-async function saveConfigs() {
-  if (process.env.VERCEL) {
-    console.log('⚠️  Skipping file save on Vercel (using in-memory storage)');
-    return;
+// The conversation so far, for the widget to restore after a page navigation (needs its X-History-Token)
+app.get('/api/chat/:chatbotId/conversations/:conversationId/messages', requireAllowedOrigin, rateLimit('ip'), requireHistoryToken, async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const transcript = await loadTranscript(config.id, req.params.conversationId);
+    res.json({
+      messages: (transcript?.messages || []).map(({ id, role, content, rating, created_at }) => ({ id, role, content, rating, created_at })),
+      status: transcript?.status || 'bot',
+      language: transcript?.language_detected || null
+    });
+    
+  } catch (error) {
+    console.error('Error loading conversation history:', error);
+    res.status(500).json({ error: 'Failed to load conversation' });
   }
-  const configs = Array.from(chatbotConfigs.values());
-  await fs.writeFile('./chatbot-configs.json', JSON.stringify(configs, null, 2));
-  console.log('💾 Saved chatbot configurations');
-}
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    chatbots: chatbotConfigs.size,
-    timestamp: new Date().toISOString()
-  });
 });
 
-// Embed script with clickable prompts
-app.get('/embed.js', (req, res) => {
-  const chatbotId = req.query.id;
-  if (!chatbotId) return res.status(400).send('Missing chatbot ID');
-  
-  const config = chatbotConfigs.get(chatbotId);
-  if (!config) return res.status(404).send('Chatbot not found');
+const FEEDBACK_RATINGS = { up: 1, down: -1 };
 
-  res.setHeader('Content-Type', 'application/javascript');
-  res.send(`
-(function() {
-  const chatbotId = '${chatbotId}';
-  const primaryColor = '#E53935'; // Dark coral red
-  const accentColor = '#26C6DA'; // Turquoise
-  
-  // Generate unique conversation ID
-  let conversationId = sessionStorage.getItem('chatbot_conversation_id');
-  if (!conversationId) {
-    conversationId = 'conv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    sessionStorage.setItem('chatbot_conversation_id', conversationId);
+// Guest rates a bot answer, optionally saying what was wrong. Rating again replaces the earlier rating.
+app.post('/api/chat/:chatbotId/conversations/:conversationId/messages/:messageId/feedback', requireAllowedOrigin, rateLimit('ip'), requireSessionToken, async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const rating = FEEDBACK_RATINGS[req.body.rating];
+    if (!rating) return res.status(400).json({ error: "rating must be 'up' or 'down'" });
+    const comment = typeof req.body.comment === 'string' && req.body.comment.trim()
+      ? redactPii(req.body.comment.trim().slice(0, 1000), getGuardrailSettings(config).pii).text
+      : null;
+    
+    const { data: rated, error } = await supabase
+      .from('messages')
+      .update({ rating, feedback_comment: comment, rated_at: new Date().toISOString() })
+      .eq('id', req.params.messageId)
+      .eq('conversation_id', req.params.conversationId)
+      .eq('chatbot_id', config.id)
+      .eq('role', 'assistant')
+      .select('id');
+    
+    if (error) throw error;
+    if (rated.length === 0) return res.status(404).json({ error: 'Message not found' });
+    
+    console.log(`${rating > 0 ? '👍' : '👎'} Feedback on ${req.params.messageId} in ${req.params.conversationId}${comment ? ' (with comment)' : ''}`);
+    await emitWebhookEvent(config.id, 'feedback.received', {
+      conversationId: req.params.conversationId,
+      messageId: req.params.messageId,
+      rating: req.body.rating,
+      comment
+    });
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// Live operator messages and status changes for the widget (SSE).
+// ?token= is the conversation's session token, since EventSource can't send headers. The long-lived
+// history token is not accepted here, so it never ends up in URLs or access logs.
+app.get('/api/chat/:chatbotId/conversations/:conversationId/events', requireAllowedOrigin, rateLimit('ip'), async (req, res) => {
+  const { chatbotId, conversationId } = req.params;
+  const config = await getChatbotConfig(chatbotId);
+  if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+  if (!verifyConversationToken(req.query.token, 'chat', chatbotId, conversationId)) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
   }
   
-  // Create container
-  const container = document.createElement('div');
-  container.id = 'automagixx-chat-container';
+  const delivered = new Set();
+  let lastStatus = await getConversationStatus(chatbotId, conversationId);
+  let since = new Date().toISOString();
   
-  // Styles
-  const style = document.createElement('style');
-  style.textContent = \`
-    #automagixx-chat-button {
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      width: 60px;
-      height: 60px;
-      border-radius: 50%;
-      background: \${primaryColor};
-      color: white;
-      border: none;
-      font-size: 28px;
-      cursor: pointer;
-      box-shadow: 0 4px 12px rgba(229, 57, 53, 0.4);
-      z-index: 9999;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      transition: transform 0.2s, box-shadow 0.2s;
-      animation: pulse 2s infinite;
+  const onEvent = event => {
+    if (event.type === 'message' && event.message.role !== 'operator') return;
+    if (event.type === 'message') {
+      if (delivered.has(event.message.id)) return;
+      delivered.add(event.message.id);
     }
+    if (event.type === 'status') lastStatus = event.status;
+    send(event.type, event);
+  };
+  
+  const channel = `conversation:${conversationId}`;
+  const send = openEventStream(req, res, () => {
+    clearInterval(poll);
+    liveEvents.off(channel, onEvent);
+  });
+  liveEvents.on(channel, onEvent);
+  
+  // Poll too, so replies sent through another server instance still arrive
+  const poll = setInterval(async () => {
+    const { data: messages } = await supabase
+      .from('messages')
+      .select('id, role, content, created_at')
+      .eq('conversation_id', conversationId)
+      .eq('chatbot_id', chatbotId)
+      .eq('role', 'operator')
+      .gt('created_at', since)
+      .order('created_at', { ascending: true });
     
-    #automagixx-chat-button:hover {
-      transform: scale(1.1);
-      box-shadow: 0 6px 20px rgba(229, 57, 53, 0.5);
-    }
+    (messages || []).forEach(message => {
+      since = message.created_at;
+      onEvent({ type: 'message', conversationId, message });
+    });
     
-    @keyframes pulse {
-      0%, 100% { box-shadow: 0 4px 12px rgba(229, 57, 53, 0.4); }
-      50% { box-shadow: 0 4px 20px rgba(229, 57, 53, 0.6); }
+    const status = await getConversationStatus(chatbotId, conversationId);
+    if (status !== lastStatus) onEvent({ type: 'status', conversationId, status });
+  }, 3000);
+  
+  send('status', { conversationId, status: lastStatus });
+});
+
+// Report window from ?from= / ?to= (ISO dates) or the last ?days= days (default 7). Null if a date is invalid.
+function getReportRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - (parseInt(query.days) || 7) * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to)) return null;
+  return { p_from: from.toISOString(), p_to: to.toISOString() };
+}
+
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.send(toCsv(rows, columns));
+}
+
+const ratio = (count, total) => total > 0 ? Math.round(count / total * 1000) / 1000 : 0;
+
+// Group questions whose embeddings are at least minSimilarity alike, most asked first.
+// Each cluster is labelled with its most asked wording.
+async function clusterQuestions(questions, minSimilarity) {
+  const embeddings = await embedder.embed(questions.map(q => q.question));
+  const clusters = [];
+  questions.forEach((question, i) => {
+    const cluster = clusters.find(c => cosineSimilarity(c.embedding, embeddings[i]) >= minSimilarity);
+    if (cluster) {
+      cluster.count += question.count;
+      cluster.variants.push(question.question);
+    } else {
+      clusters.push({ question: question.question, count: question.count, variants: [question.question], embedding: embeddings[i] });
     }
+  });
+  return clusters
+    .map(({ embedding, ...cluster }) => cluster)
+    .sort((a, b) => b.count - a.count);
+}
+
+// Analytics summary: totals, rates, top questions and breakdowns (?format=csv for one metric per row).
+// Reports take ?days= or ?from= / ?to=; see analytics.sql for the database functions behind them.
+app.get('/api/analytics/:chatbotId', requireApiKey('analytics:read'), async (req, res) => {
+  try {
+    const range = getReportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from and to must be ISO dates' });
     
-    #automagixx-welcome-bubble {
-      position: fixed;
-      bottom: 95px;
-      right: 20px;
-      background: white;
-      padding: 12px 16px;
-      border-radius: 12px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-      z-index: 9998;
-      max-width: 250px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-      font-size: 14px;
-      color: #333;
-      animation: slideIn 0.3s ease-out;
-      display: none;
-    }
+    const params = { p_chatbot_id: req.params.chatbotId, ...range };
+    const [{ data: summary, error: summaryError }, { data: questions, error: questionsError }] = await Promise.all([
+      supabase.rpc('analytics_summary', params),
+      supabase.rpc('analytics_top_questions', { ...params, p_limit: 10 })
+    ]);
     
-    @keyframes slideIn {
-      from { opacity: 0; transform: translateY(10px); }
-      to { opacity: 1; transform: translateY(0); }
-    }
+    if (summaryError) throw summaryError;
+    if (questionsError) throw questionsError;
     
-    #automagixx-welcome-bubble::after {
-      content: '';
-      position: absolute;
-      bottom: -8px;
-      right: 25px;
-      width: 0;
-      height: 0;
-      border-left: 8px solid transparent;
-      border-right: 8px solid transparent;
-      border-top: 8px solid white;
-    }
+    const report = {
+      totalConversations: summary.conversations,
+      totalMessages: summary.messages,
+      avgConversationLength: summary.avgConversationLength || 0,
+      avgResponseMs: summary.avgResponseMs || 0,
+      handoffRate: ratio(summary.handoffs, summary.conversations),
+      fallbackRate: ratio(summary.unanswered, summary.botReplies),
+      satisfaction: {
+        helpful: summary.ratedUp,
+        notHelpful: summary.ratedDown,
+        rate: ratio(summary.ratedUp, summary.ratedUp + summary.ratedDown)
+      },
+      topQuestions: questions.map(({ question, count }) => ({ question, count })),
+      intents: summary.intents,
+      languages: summary.languages,
+      cacheHits: {
+        faq: summary.faqHits,
+        cache: summary.cacheHits,
+        rate: ratio(summary.faqHits + summary.cacheHits, summary.botReplies)
+      }
+    };
     
-    #automagixx-chat-window {
-      display: none;
-      position: fixed;
-      bottom: 100px;
-      right: 20px;
-      width: 400px;
-      height: 600px;
-      max-width: calc(100vw - 40px);
-      max-height: calc(100vh - 140px);
-      background: white;
-      border-radius: 16px;
-      box-shadow: 0 8px 32px rgba(0,0,0,0.12);
-      z-index: 9999;
-      flex-direction: column;
-      animation: slideUp 0.3s ease-out;
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `analytics-${req.params.chatbotId}`, [
+        ['conversations', report.totalConversations],
+        ['messages', report.totalMessages],
+        ['avg_conversation_length', report.avgConversationLength],
+        ['avg_response_ms', report.avgResponseMs],
+        ['handoff_rate', report.handoffRate],
+        ['fallback_rate', report.fallbackRate],
+        ['satisfaction_rate', report.satisfaction.rate],
+        ['rated_helpful', report.satisfaction.helpful],
+        ['rated_not_helpful', report.satisfaction.notHelpful],
+        ['faq_hits', report.cacheHits.faq],
+        ['cache_hits', report.cacheHits.cache],
+        ...report.intents.map(({ intent, count }) => [`intent:${intent}`, count]),
+        ...report.languages.map(({ language, count }) => [`language:${language}`, count])
+      ].map(([metric, value]) => ({ metric, value })), ['metric', 'value']);
     }
     
-    @media (max-width: 768px) {
-      #automagixx-chat-window {
-        width: 100vw;
-        height: 100vh;
-        max-width: 100vw;
-        max-height: 100vh;
-        bottom: 0;
-        right: 0;
-        border-radius: 0;
-      }
+    // Message content is only shared with keys allowed to read transcripts
+    if (req.auth.permissions.includes('transcripts:read')) {
+      const { data: recentMessages, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('chatbot_id', req.params.chatbotId)
+        .order('created_at', { ascending: false })
+        .limit(20);
+      
+      if (error) throw error;
+      report.recentMessages = recentMessages;
     }
     
-    @keyframes slideUp {
-      from { opacity: 0; transform: translateY(20px); }
-      to { opacity: 1; transform: translateY(0); }
-    }
+    res.json(report);
     
-    #automagixx-chat-header {
-      background: linear-gradient(135deg, \${primaryColor} 0%, #C62828 100%);
-      color: white;
-      padding: 16px;
-      border-radius: 16px 16px 0 0;
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-    }
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+// Conversations, messages, handoffs, unanswered questions and answer ratings per day (?interval=hour for hours),
+// bucketed in the bot's time zone
+app.get('/api/analytics/:chatbotId/timeseries', requireApiKey('analytics:read'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    #automagixx-chat-header h3 {
-      margin: 0;
-      font-size: 16px;
-      font-weight: 600;
-    }
+    const range = getReportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from and to must be ISO dates' });
+    const interval = req.query.interval === 'hour' ? 'hour' : 'day';
+    const { timeZone } = getPromptSettings(config);
     
-    #automagixx-chat-header p {
-      margin: 4px 0 0 0;
-      font-size: 12px;
-      opacity: 0.9;
+    const { data: rows, error } = await supabase.rpc('analytics_timeseries', {
+      p_chatbot_id: req.params.chatbotId,
+      ...range,
+      p_interval: interval,
+      p_time_zone: timeZone
+    });
+    if (error) throw error;
+    
+    const series = rows.map(row => ({
+      [interval]: interval === 'day' ? row.bucket.slice(0, 10) : row.bucket.slice(0, 16),
+      conversations: row.conversations,
+      messages: row.messages,
+      questions: row.questions,
+      handoffs: row.handoffs,
+      unanswered: row.unanswered,
+      ratedHelpful: row.rated_up,
+      ratedNotHelpful: row.rated_down,
+      satisfactionRate: ratio(row.rated_up, row.rated_up + row.rated_down)
+    }));
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `timeseries-${req.params.chatbotId}`, series,
+        [interval, 'conversations', 'messages', 'questions', 'handoffs', 'unanswered', 'ratedHelpful', 'ratedNotHelpful', 'satisfactionRate']);
     }
     
-    #automagixx-close-btn {
-      background: none;
-      border: none;
-      color: white;
-      font-size: 24px;
-      cursor: pointer;
-      padding: 0;
-      width: 30px;
-      height: 30px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      border-radius: 50%;
-      transition: background 0.2s;
+    res.json({ interval, timeZone, series });
+    
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch time series' });
+  }
+});
+
+// Most asked questions, grouped by normalized text (?group=embedding to also merge rewordings)
+app.get('/api/analytics/:chatbotId/questions', requireApiKey('analytics:read'), async (req, res) => {
+  try {
+    const range = getReportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from and to must be ISO dates' });
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const byEmbedding = req.query.group === 'embedding';
+    
+    // Clustering looks at more distinct wordings than it returns
+    const { data: rows, error } = await supabase.rpc('analytics_top_questions', {
+      p_chatbot_id: req.params.chatbotId,
+      ...range,
+      p_limit: byEmbedding ? 200 : limit
+    });
+    if (error) throw error;
+    
+    const questions = byEmbedding && rows.length > 0
+      ? (await clusterQuestions(rows, parseFloat(req.query.minSimilarity) || 0.85)).slice(0, limit)
+      : rows.map(row => ({ question: row.question, count: row.count, variants: [row.question] }));
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `questions-${req.params.chatbotId}`, questions, [
+        { key: 'question', header: 'question' },
+        { key: 'count', header: 'count' },
+        { key: row => row.variants.join(' | '), header: 'variants' }
+      ]);
     }
     
-    #automagixx-close-btn:hover {
-      background: rgba(255,255,255,0.2);
+    res.json({ group: byEmbedding ? 'embedding' : 'text', questions });
+    
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch questions' });
+  }
+});
+
+// Questions the bot couldn't answer from its knowledge base - candidates for new FAQs or knowledge
+app.get('/api/analytics/:chatbotId/unanswered', requireApiKey('analytics:read'), async (req, res) => {
+  try {
+    const range = getReportRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from and to must be ISO dates' });
+    
+    const { data: rows, error } = await supabase.rpc('analytics_unanswered', {
+      p_chatbot_id: req.params.chatbotId,
+      ...range,
+      p_limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    if (error) throw error;
+    
+    const questions = rows.map(row => ({
+      question: row.question,
+      count: row.count,
+      lastAskedAt: row.last_asked_at,
+      lastReply: row.last_reply
+    }));
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `unanswered-${req.params.chatbotId}`, questions, ['question', 'count', 'lastAskedAt', 'lastReply']);
     }
     
-    #automagixx-messages {
-      flex: 1;
-      overflow-y: auto;
-      padding: 16px;
-      background: #f8f9fa;
-      display: flex;
-      flex-direction: column;
-      gap: 12px;
+    res.json({ questions });
+    
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch unanswered questions' });
+  }
+});
+
+// Sum analytics_llm_usage rows into call, token and cost totals
+function usageTotals(rows) {
+  const totals = rows.reduce((sum, row) => ({
+    calls: sum.calls + Number(row.calls),
+    promptTokens: sum.promptTokens + Number(row.prompt_tokens),
+    completionTokens: sum.completionTokens + Number(row.completion_tokens),
+    costUsd: sum.costUsd + Number(row.cost_usd)
+  }), { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+  return { ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 };
+}
+
+function groupUsage(rows, label, keyOf) {
+  const groups = {};
+  rows.forEach(row => (groups[keyOf(row) || 'unknown'] ||= []).push(row));
+  return Object.entries(groups).map(([key, group]) => ({ [label]: key, ...usageTotals(group) }));
+}
+
+// Token usage and estimated cost for one bot per day (?period=month for months), with its budget status.
+// Covers the last 30 days (12 months by month) unless ?from= / ?to= are given. ?format=csv exports the periods.
+app.get('/api/analytics/:chatbotId/usage', requireApiKey('analytics:read'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.chatbotId);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+
+    const period = req.query.period === 'month' ? 'month' : 'day';
+    const startDate = new Date();
+    startDate.setUTCHours(0, 0, 0, 0);
+    if (period === 'month') startDate.setUTCMonth(startDate.getUTCMonth() - 11, 1);
+    else startDate.setUTCDate(startDate.getUTCDate() - 29);
+
+    const range = getReportRange({ ...req.query, from: req.query.from || startDate.toISOString() });
+    if (!range) return res.status(400).json({ error: 'from and to must be ISO dates' });
+
+    const { data: rows, error } = await supabase.rpc('analytics_llm_usage', {
+      p_chatbot_ids: [req.params.chatbotId],
+      ...range,
+      p_period: period
+    });
+    if (error) throw error;
+
+    const byPeriod = groupUsage(rows, period, row => row.period)
+      .sort((a, b) => a[period].localeCompare(b[period]));
+    
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `usage-${req.params.chatbotId}`, byPeriod, [period, 'calls', 'promptTokens', 'completionTokens', 'costUsd']);
     }
     
-    .automagixx-message {
-      max-width: 80%;
-      padding: 12px 16px;
-      border-radius: 12px;
-      font-size: 14px;
-      line-height: 1.5;
-      animation: fadeIn 0.3s ease-out;
+    const byCost = (a, b) => b.costUsd - a.costUsd;
+    res.json({
+      period,
+      totals: usageTotals(rows),
+      byPeriod,
+      byModel: groupUsage(rows, 'model', row => row.model).sort(byCost),
+      byPurpose: groupUsage(rows, 'purpose', row => row.purpose).sort(byCost),
+      budget: await getBudgetStatus(config)
+    });
+
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Spend for every bot visible to the caller's key in one month (?month=YYYY-MM, default this month; ?format=csv)
+app.get('/api/admin/usage', requireApiKey('analytics:read'), async (req, res) => {
+  try {
+    const month = req.query.month || currentMonth();
+    if (!/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+
+    const start = new Date(`${month}-01T00:00:00.000Z`);
+    const end = new Date(start);
+    end.setUTCMonth(end.getUTCMonth() + 1);
+
+    const configs = (await listChatbotConfigs()).filter(c => canAccessChatbot(req.auth, c.id));
+    const { data: rows, error } = await supabase.rpc('analytics_llm_usage', {
+      p_chatbot_ids: configs.map(config => config.id),
+      p_from: start.toISOString(),
+      p_to: end.toISOString(),
+      p_period: 'month'
+    });
+    if (error) throw error;
+
+    const chatbots = configs.map(config => {
+      const usage = usageTotals(rows.filter(row => row.chatbot_id === config.id));
+      const { monthlyLimitUsd } = getBudgetSettings(config);
+      return { chatbotId: config.id, businessName: config.businessName, ...usage, limitUsd: monthlyLimitUsd };
+    }).sort((a, b) => b.costUsd - a.costUsd);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `usage-${month}`, chatbots, ['chatbotId', 'businessName', 'calls', 'promptTokens', 'completionTokens', 'costUsd', 'limitUsd']);
     }
     
-    @keyframes fadeIn {
-      from { opacity: 0; transform: translateY(10px); }
-      to { opacity: 1; transform: translateY(0); }
-    }
+    res.json({ month, totals: usageTotals(rows), chatbots });
+
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// List chatbots visible to the caller's key (admin)
+app.get('/api/admin/chatbots', requireApiKey(), async (req, res) => {
+  try {
+    const chatbots = (await listChatbotConfigs())
+      .filter(c => canAccessChatbot(req.auth, c.id))
+      .map(c => ({
+        id: c.id,
+        clientName: c.clientName,
+        businessName: c.businessName,
+        createdAt: c.createdAt,
+        active: c.active
+      }));
+    res.json({ chatbots });
+    
+  } catch (error) {
+    console.error('Error listing chatbots:', error);
+    res.status(500).json({ error: 'Failed to list chatbots' });
+  }
+});
+
+// Get a chatbot's full config
+app.get('/api/admin/chatbots/:id', requireApiKey(CONFIG_READ_PERMISSIONS), async (req, res) => {
+  const config = await getChatbotConfig(req.params.id);
+  if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+  res.json({ chatbot: redactSecrets(config) });
+});
+
+// Update chatbot fields (partial customization/memory objects are merged)
+app.patch('/api/admin/chatbots/:id', requireApiKey('config:write'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    .automagixx-message.user {
-      background: \${primaryColor};
-      color: white;
-      align-self: flex-end;
-      margin-left: auto;
+    const { config: fields, missing } = restoreSecrets(req.body, config);
+    const validationErrors = [...validateChatbotFields(fields), ...missing.map(path => `${path} must be set (the stored secret can't be reused)`)];
+    if (Object.keys(fields).length === 0) validationErrors.push('No fields to update');
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid chatbot settings', details: validationErrors });
     }
     
-    .automagixx-message.bot {
-      background: white;
-      color: #1f2937;
-      align-self: flex-start;
-      box-shadow: 0 1px 2px rgba(0,0,0,0.05);
+    const updated = { ...config, ...fields };
+    ['customization', 'memory', 'followUpSuggestions', 'retrieval', 'handoff', 'leadCapture', 'intents', 'prompt', 'persona', 'contact', 'llm', 'answerCache', 'localization', 'guardrails', 'budget', 'security'].forEach(field => {
+      if (fields[field]) updated[field] = { ...(config[field] || {}), ...fields[field] };
+    });
+    // Partial updates can be valid on their own but not once merged with the stored settings
+    const mergedErrors = validateChatbotFields(Object.fromEntries(Object.keys(fields).map(field => [field, updated[field]])));
+    if (mergedErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid chatbot settings', details: mergedErrors });
     }
-    
-    .automagixx-typing {
-      background: white;
-      padding: 12px 16px;
-      border-radius: 12px;
-      align-self: flex-start;
-      display: flex;
-      gap: 4px;
-      align-items: center;
+    const restricted = req.auth.superAdmin ? [] : superAdminSettingChanges(config, updated);
+    if (restricted.length > 0) {
+      return res.status(403).json({ error: `Only super-admin keys can change ${restricted.join(', ')}` });
     }
+    updated.version = (config.version || 1) + 1;
+    updated.updatedAt = new Date().toISOString();
     
-    .automagixx-typing span {
-      width: 8px;
-      height: 8px;
-      border-radius: 50%;
-      background: #9CA3AF;
-      animation: bounce 1.4s infinite ease-in-out both;
+    await saveChatbotConfig(updated);
+    await recordConfigRevision(updated, 'update', req.auth);
+    if (req.body.knowledgeBase !== undefined || req.body.retrieval !== undefined) {
+      await indexKnowledgeBase(updated).catch(error => console.error('Error indexing knowledge base:', error));
     }
     
-    .automagixx-typing span:nth-child(1) { animation-delay: -0.32s; }
-    .automagixx-typing span:nth-child(2) { animation-delay: -0.16s; }
+    res.json({ chatbot: redactSecrets(updated), changes: diffConfigs(redactSecrets(config), redactSecrets(updated)) });
     
-    @keyframes bounce {
-      0%, 80%, 100% { transform: scale(0); }
-      40% { transform: scale(1); }
-    }
+  } catch (error) {
+    console.error('Error updating chatbot:', error);
+    res.status(500).json({ error: 'Failed to update chatbot' });
+  }
+});
+
+// Delete a chatbot (super admin). Its revisions are kept for recovery.
+app.delete('/api/admin/chatbots/:id', requireApiKey('admin'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    .automagixx-prompts {
-      display: flex;
-      flex-wrap: wrap;
-      gap: 8px;
-      margin-top: 8px;
-    }
+    await deleteChatbotConfig(config.id);
+    await recordConfigRevision({ ...config, version: (config.version || 1) + 1 }, 'delete', req.auth);
     
-    .automagixx-prompt-btn {
-      background: white;
-      border: 1px solid #e5e7eb;
-      color: \${primaryColor};
-      padding: 8px 12px;
-      border-radius: 8px;
-      font-size: 13px;
-      cursor: pointer;
-      transition: all 0.2s;
-      font-family: inherit;
-    }
+    res.json({ success: true });
     
-    .automagixx-prompt-btn:hover {
-      background: \${primaryColor};
-      color: white;
-      border-color: \${primaryColor};
-    }
+  } catch (error) {
+    console.error('Error deleting chatbot:', error);
+    res.status(500).json({ error: 'Failed to delete chatbot' });
+  }
+});
+
+// Ingest a document into a bot's knowledge base. Re-ingesting the same source name replaces its sections.
+app.post('/api/admin/chatbots/:id/knowledge-sources', requireApiKey('config:write'), express.json({ limit: '5mb' }), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    #automagixx-input-area {
-      padding: 16px;
-      border-top: 1px solid #e5e7eb;
-      background: white;
-      border-radius: 0 0 16px 16px;
+    const { name, format, content } = req.body;
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required (e.g. a URL or file name)' });
     }
-    
-    #automagixx-input-form {
-      display: flex;
-      gap: 8px;
+    if (!INGEST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${INGEST_FORMATS.join(', ')}` });
     }
-    
-    #automagixx-input {
-      flex: 1;
-      padding: 12px;
-      border: 1px solid #e5e7eb;
-      border-radius: 8px;
-      font-size: 14px;
-      font-family: inherit;
-      outline: none;
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'content is required' });
     }
     
-    #automagixx-input:focus {
-      border-color: \${primaryColor};
+    const sections = parseKnowledgeDocument(format, content, name);
+    if (sections.length === 0) {
+      return res.status(422).json({ error: 'No usable content found in document' });
     }
     
-    #automagixx-send-btn {
-      background: \${primaryColor};
-      color: white;
-      border: none;
-      padding: 12px 20px;
-      border-radius: 8px;
-      cursor: pointer;
-      font-weight: 500;
-      transition: background 0.2s;
-    }
+    const source = {
+      id: `src_${crypto.createHash('sha1').update(name).digest('hex').slice(0, 12)}`,
+      name,
+      format,
+      ingestedAt: new Date().toISOString(),
+      sections
+    };
     
-    #automagixx-send-btn:hover {
-      background: #C62828;
-    }
+    const existingSources = config.knowledgeSources || [];
+    const replaced = existingSources.some(s => s.id === source.id);
+    const updated = {
+      ...config,
+      knowledgeSources: replaced
+        ? existingSources.map(s => s.id === source.id ? source : s)
+        : [...existingSources, source],
+      version: (config.version || 1) + 1,
+      updatedAt: new Date().toISOString()
+    };
     
-    #automagixx-send-btn:disabled {
-      background: #ccc;
-      cursor: not-allowed;
-    }
+    await saveChatbotConfig(updated);
+    await recordConfigRevision(updated, 'ingest', req.auth);
+    await indexKnowledgeBase(updated).catch(error => console.error('Error indexing knowledge base:', error));
     
-    #automagixx-branding {
-      text-align: center;
-      padding: 8px;
-      font-size: 11px;
-      color: #9CA3AF;
-      border-top: 1px solid #f3f4f6;
-    }
+    res.status(replaced ? 200 : 201).json({
+      source: { id: source.id, name, format, sectionCount: sections.length, titles: sections.map(s => s.title) },
+      replaced
+    });
     
-    #automagixx-branding a {
-      color: \${primaryColor};
-      text-decoration: none;
-    }
-  \`;
-  
-  document.head.appendChild(style);
-  
-  // Create button
-  const button = document.createElement('button');
-  button.id = 'automagixx-chat-button';
-  button.innerHTML = '💬';
-  button.setAttribute('aria-label', 'Chat with us');
-  
-  // Create welcome bubble
-  const welcomeBubble = document.createElement('div');
-  welcomeBubble.id = 'automagixx-welcome-bubble';
-  welcomeBubble.textContent = 'Need help? Chat with us!';
-  
-  // Create chat window
-  const chatWindow = document.createElement('div');
-  chatWindow.id = 'automagixx-chat-window';
-  
-  chatWindow.innerHTML = \`
-    <div id="automagixx-chat-header">
-      <div>
-        <h3>${config.businessName}</h3>
-        <p>AI Assistant • Online</p>
-      </div>
-      <button id="automagixx-close-btn" aria-label="Close chat">×</button>
-    </div>
-    <div id="automagixx-messages"></div>
-    <div id="automagixx-input-area">
-      <form id="automagixx-input-form">
-        <input 
-          id="automagixx-input" 
-          type="text" 
-          placeholder="Type your message..." 
-          autocomplete="off"
-          aria-label="Message input"
-        />
-        <button id="automagixx-send-btn" type="submit">Send</button>
-      </form>
-    </div>
-    <div id="automagixx-branding">
-      Powered by <a href="https://automagixx.com" target="_blank">Automagixx</a>
-    </div>
-  \`;
-  
-  // Append elements
-  container.appendChild(button);
-  container.appendChild(welcomeBubble);
-  container.appendChild(chatWindow);
-  document.body.appendChild(container);
-  
-  // Get elements
-  const messagesDiv = document.getElementById('automagixx-messages');
-  const inputForm = document.getElementById('automagixx-input-form');
-  const input = document.getElementById('automagixx-input');
-  const sendBtn = document.getElementById('automagixx-send-btn');
-  const closeBtn = document.getElementById('automagixx-close-btn');
-  
-  // Show welcome bubble after 1 second, hide after 10 seconds
-  setTimeout(() => {
-    welcomeBubble.style.display = 'block';
-    setTimeout(() => {
-      welcomeBubble.style.display = 'none';
-    }, 10000);
-  }, 1000);
+  } catch (error) {
+    console.error('Error ingesting document:', error);
+    res.status(500).json({ error: 'Failed to ingest document' });
+  }
+});
+
+// List a bot's ingested sources
+app.get('/api/admin/chatbots/:id/knowledge-sources', requireApiKey(CONFIG_READ_PERMISSIONS), async (req, res) => {
+  const config = await getChatbotConfig(req.params.id);
+  if (!config) return res.status(404).json({ error: 'Chatbot not found' });
   
-  // Toggle chat
-  function openChat() {
-    chatWindow.style.display = 'flex';
-    button.style.display = 'none';
-    welcomeBubble.style.display = 'none';
-    input.focus();
+  res.json({ sources: config.knowledgeSources || [] });
+});
+
+// Remove an ingested source and its sections
+app.delete('/api/admin/chatbots/:id/knowledge-sources/:sourceId', requireApiKey('config:write'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    // Show welcome message if first time
-    if (messagesDiv.children.length === 0) {
-      addMessage('${config.customization.welcomeMessage.replace(/'/g, "\\'")}', 'bot');
-      showInitialPrompts();
+    const sources = config.knowledgeSources || [];
+    if (!sources.some(s => s.id === req.params.sourceId)) {
+      return res.status(404).json({ error: 'Knowledge source not found' });
     }
+    
+    const updated = {
+      ...config,
+      knowledgeSources: sources.filter(s => s.id !== req.params.sourceId),
+      version: (config.version || 1) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await saveChatbotConfig(updated);
+    await recordConfigRevision(updated, 'update', req.auth);
+    await indexKnowledgeBase(updated).catch(error => console.error('Error indexing knowledge base:', error));
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error removing knowledge source:', error);
+    res.status(500).json({ error: 'Failed to remove knowledge source' });
   }
-  
-  function closeChat() {
-    chatWindow.style.display = 'none';
-    button.style.display = 'flex';
+});
+
+// List config revisions, newest first
+app.get('/api/admin/chatbots/:id/revisions', requireApiKey(CONFIG_READ_PERMISSIONS), async (req, res) => {
+  try {
+    const { data: revisions, error } = await supabase
+      .from('chatbot_revisions')
+      .select('version, action, changed_by, created_at')
+      .eq('chatbot_id', req.params.id)
+      .order('version', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({ revisions });
+    
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({ error: 'Failed to list revisions' });
   }
+});
+
+async function getConfigRevision(chatbotId, version) {
+  const { data: revision, error } = await supabase
+    .from('chatbot_revisions')
+    .select('version, action, config, created_at')
+    .eq('chatbot_id', chatbotId)
+    .eq('version', parseInt(version))
+    .maybeSingle();
   
-  button.addEventListener('click', openChat);
-  closeBtn.addEventListener('click', closeChat);
-  
-  // Initial prompt buttons
-  function showInitialPrompts() {
-    const prompts = [
-      'What are your room prices?',
-      'What time is check-in?',
-      'Do you have parking?',
-      'How far from the beach?',
-      'Do you have private rooms?',
-      'What activities are nearby?'
-    ];
+  if (error) throw error;
+  return revision;
+}
+
+// Diff a revision against the current config (or ?against=<version>)
+app.get('/api/admin/chatbots/:id/revisions/:version/diff', requireApiKey(CONFIG_READ_PERMISSIONS), async (req, res) => {
+  try {
+    const revision = await getConfigRevision(req.params.id, req.params.version);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
     
-    const promptsContainer = document.createElement('div');
-    promptsContainer.className = 'automagixx-prompts';
+    let against = await getChatbotConfig(req.params.id);
+    if (req.query.against) {
+      const other = await getConfigRevision(req.params.id, req.query.against);
+      if (!other) return res.status(404).json({ error: 'Revision to compare against not found' });
+      against = other.config;
+    }
+    if (!against) return res.status(404).json({ error: 'Chatbot not found' });
     
-    prompts.forEach(prompt => {
-      const btn = document.createElement('button');
-      btn.className = 'automagixx-prompt-btn';
-      btn.textContent = prompt;
-      btn.onclick = () => {
-        sendMessage(prompt);
-        promptsContainer.remove();
-      };
-      promptsContainer.appendChild(btn);
+    res.json({
+      from: revision.version,
+      to: against.version,
+      changes: diffConfigs(redactSecrets(revision.config), redactSecrets(against))
     });
     
-    messagesDiv.appendChild(promptsContainer);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
-  }
-  
-  // Add message to chat
-  function addMessage(text, sender) {
-    const msgDiv = document.createElement('div');
-    msgDiv.className = \`automagixx-message \${sender}\`;
-    msgDiv.textContent = text;
-    messagesDiv.appendChild(msgDiv);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
-  }
-  
-  // Show typing indicator
-  function showTyping() {
-    const typingDiv = document.createElement('div');
-    typingDiv.className = 'automagixx-typing';
-    typingDiv.id = 'automagixx-typing-indicator';
-    typingDiv.innerHTML = '<span></span><span></span><span></span>';
-    messagesDiv.appendChild(typingDiv);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
-  }
-  
-  function hideTyping() {
-    const typingDiv = document.getElementById('automagixx-typing-indicator');
-    if (typingDiv) typingDiv.remove();
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
   }
-  
-  // Send message
-  async function sendMessage(message) {
-    if (!message.trim()) return;
+});
+
+// Restore a previous revision as a new version (also restores deleted bots)
+app.post('/api/admin/chatbots/:id/revisions/:version/rollback', requireApiKey('config:write'), async (req, res) => {
+  try {
+    const revision = await getConfigRevision(req.params.id, req.params.version);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
     
-    addMessage(message, 'user');
-    input.value = '';
-    sendBtn.disabled = true;
+    const current = await getChatbotConfig(req.params.id);
+    const { config: revisionConfig, missing } = restoreSecrets(revision.config, current);
+    if (missing.length > 0) {
+      return res.status(409).json({ error: 'Revision uses secrets that are no longer stored - set them again with PATCH', details: missing });
+    }
+    const restricted = req.auth.superAdmin ? [] : superAdminSettingChanges(current, revisionConfig);
+    if (restricted.length > 0) {
+      return res.status(403).json({ error: `Only super-admin keys can change ${restricted.join(', ')}` });
+    }
     
-    showTyping();
+    const { data: latest } = await supabase
+      .from('chatbot_revisions')
+      .select('version')
+      .eq('chatbot_id', req.params.id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
     
-    try {
-      const response = await fetch('https://automagixx-chatbot-server.vercel.app/api/chat/${chatbotId}/message', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          message,
-          conversationId
-        })
-      });
-      
-      const data = await response.json();
-      hideTyping();
-      addMessage(data.response, 'bot');
-    } catch (error) {
-      hideTyping();
-      addMessage("Sorry, I'm having trouble connecting. Please try again or contact us at (808) 374-2131.", 'bot');
+    const restored = {
+      ...revisionConfig,
+      version: Math.max(current?.version || 1, latest?.version || 1) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await saveChatbotConfig(restored);
+    await recordConfigRevision(restored, 'rollback', req.auth);
+    if (!current || getKnowledgeText(current) !== getKnowledgeText(restored)) {
+      await indexKnowledgeBase(restored).catch(error => console.error('Error indexing knowledge base:', error));
     }
     
-    sendBtn.disabled = false;
-    input.focus();
+    res.json({ chatbot: redactSecrets(restored), changes: current ? diffConfigs(redactSecrets(current), redactSecrets(restored)) : [] });
+    
+  } catch (error) {
+    console.error('Error rolling back chatbot:', error);
+    res.status(500).json({ error: 'Failed to roll back chatbot' });
   }
-  
-  // Form submit
-  inputForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    sendMessage(input.value);
-  });
-})();
-  `);
 });
 
-// Create new chatbot (admin endpoint)
-app.post('/api/admin/create-chatbot', async (req, res) => {
+// Operator inbox: conversations waiting for or owned by staff
+app.get('/api/admin/chatbots/:id/handoffs', requireApiKey('handoff:operate'), async (req, res) => {
   try {
-    const { clientName, businessName, businessInfo, knowledgeBase, customization } = req.body;
+    const { data: conversations, error } = await supabase
+      .from('conversations')
+      .select('id, status, operator_name, handoff_reason, handoff_requested_by, handoff_requested_at, message_count, ended_at')
+      .eq('chatbot_id', req.params.id)
+      .in('status', HANDOFF_STATUSES)
+      .order('handoff_requested_at', { ascending: true });
     
-    const chatbotId = `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (error) throw error;
     
-    const config = {
-      id: chatbotId,
-      clientName,
-      businessName,
-      businessInfo,
-      knowledgeBase,
-      customization: customization || {
-        primaryColor: '#E53935',
-        accentColor: '#26C6DA',
-        welcomeMessage: `Aloha! 🌺 I'm here to help with any questions about ${businessName}. What would you like to know?`
-      },
-      createdAt: new Date().toISOString(),
-      active: true
-    };
+    res.json({ conversations });
+    
+  } catch (error) {
+    console.error('Error listing handoffs:', error);
+    res.status(500).json({ error: 'Failed to list handoffs' });
+  }
+});
+
+// Live inbox feed for operators (SSE): handoff requests, guest messages, status changes
+app.get('/api/admin/chatbots/:id/handoffs/events', requireApiKey('handoff:operate'), (req, res) => {
+  const channel = `chatbot:${req.params.id}`;
+  const onEvent = event => send(event.type, event);
+  const send = openEventStream(req, res, () => liveEvents.off(channel, onEvent));
+  liveEvents.on(channel, onEvent);
+});
+
+// Operator takes over a conversation
+app.post('/api/admin/chatbots/:id/conversations/:conversationId/claim', requireApiKey('handoff:operate'), async (req, res) => {
+  try {
+    const operatorName = req.body.operatorName || req.auth.name || 'Staff';
+    if (!(await setConversationStatus(req.params.id, req.params.conversationId, 'human', { operator_name: operatorName }))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ status: 'human', operatorName });
     
-    chatbotConfigs.set(chatbotId, config);
-    await saveConfigs();
+  } catch (error) {
+    console.error('Error claiming conversation:', error);
+    res.status(500).json({ error: 'Failed to claim conversation' });
+  }
+});
+
+// Operator replies into the conversation (claims it first if needed)
+app.post('/api/admin/chatbots/:id/conversations/:conversationId/reply', requireApiKey('handoff:operate'), async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (!message || typeof message !== 'string') return res.status(400).json({ error: 'message is required' });
     
-    const embedCode = `<!-- Automagixx Chatbot -->
-<script src="https://automagixx-chatbot-server.vercel.app/embed.js?id=${chatbotId}" async></script>`;
+    const operatorName = req.body.operatorName || req.auth.name || 'Staff';
+    if (await getConversationStatus(req.params.id, req.params.conversationId) !== 'human'
+      && !(await setConversationStatus(req.params.id, req.params.conversationId, 'human', { operator_name: operatorName }))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
     
-    res.json({
-      success: true,
-      chatbotId,
-      embedCode,
-      previewUrl: `https://automagixx.com/test-chatbot?id=${chatbotId}`
+    const logged = await logConversationMessage(req.params.id, req.params.conversationId, 'operator', message, {
+      operator_name: operatorName
     });
     
+    res.json({ message: logged });
+    
   } catch (error) {
-    console.error('Error creating chatbot:', error);
-    res.status(500).json({ error: 'Failed to create chatbot' });
+    console.error('Error sending operator reply:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
   }
 });
 
-// Handle chat messages with Supabase logging
-app.post('/api/chat/:chatbotId/message', async (req, res) => {
+// Operator hands the conversation back to the bot
+app.post('/api/admin/chatbots/:id/conversations/:conversationId/release', requireApiKey('handoff:operate'), async (req, res) => {
+  try {
+    if (!(await setConversationStatus(req.params.id, req.params.conversationId, 'bot', { operator_name: null }))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ status: 'bot' });
+    
+  } catch (error) {
+    console.error('Error releasing conversation:', error);
+    res.status(500).json({ error: 'Failed to release conversation' });
+  }
+});
+
+// List captured leads, newest first (?format=csv to export)
+app.get('/api/admin/chatbots/:id/leads', requireApiKey('leads:read'), async (req, res) => {
   try {
-    const config = chatbotConfigs.get(req.params.chatbotId);
+    const config = await getChatbotConfig(req.params.id);
     if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    const userMessage = req.body.message;
-    const conversationId = req.body.conversationId;
+    let query = supabase
+      .from('leads')
+      .select('id, conversation_id, fields, source, created_at, updated_at')
+      .eq('chatbot_id', req.params.id)
+      .order('created_at', { ascending: false });
     
-    // Log user message to database
-    const { error: messageError } = await supabase
-      .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        chatbot_id: req.params.chatbotId,
-        role: 'user',
-        content: userMessage
-      });
+    if (req.query.from) query = query.gte('created_at', req.query.from);
+    if (req.query.to) query = query.lte('created_at', req.query.to);
     
-    if (messageError) console.error('Error logging user message:', messageError);
+    const { data: leads, error } = await query;
+    if (error) throw error;
     
-    // Detect intent from message
-    const userMessageLower = userMessage.toLowerCase();
-    const isPriceInquiry = userMessageLower.includes('price') || userMessageLower.includes('cost') || userMessageLower.includes('rate') || userMessageLower.includes('expensive');
-    const isAvailabilityInquiry = userMessageLower.includes('available') || userMessageLower.includes('book') || userMessageLower.includes('reserve');
-    const isRoomInquiry = userMessageLower.includes('room') || userMessageLower.includes('bed') || userMessageLower.includes('dorm') || userMessageLower.includes('private');
+    if (req.query.format === 'csv') {
+      const fieldColumns = getLeadFields(config).map(({ key, label }) => ({ key: row => row.fields?.[key], header: label }));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="leads-${req.params.id}.csv"`);
+      return res.send(toCsv(leads, [
+        { key: 'created_at', header: 'Captured at' },
+        ...fieldColumns,
+        { key: 'source', header: 'Source' },
+        { key: 'conversation_id', header: 'Conversation' }
+      ]));
+    }
     
-    // Sales mode indicators
-    const isSalesMode = isPriceInquiry || isAvailabilityInquiry || isRoomInquiry;
+    res.json({ leads });
     
-    const systemPrompt = `You are an AI assistant for ${config.businessName}.
-
-BUSINESS INFORMATION:
-${config.businessInfo}
+  } catch (error) {
+    console.error('Error listing leads:', error);
+    res.status(500).json({ error: 'Failed to list leads' });
+  }
+});
 
-KNOWLEDGE BASE:
-${config.knowledgeBase}
+const parseBooleanParam = value => value === 'true' ? true : value === 'false' ? false : null;
 
-CONVERSATION STYLE:
-${isSalesMode ? `
-- Be enthusiastic and helpful
-- Highlight value and benefits
-- Compare to alternatives when relevant (e.g., "cheaper than hotels!")
-- Create subtle urgency when appropriate
-- End responses with a soft call-to-action or question to keep conversation going
-- Example: "We're located right on the beach with FREE parking and WiFi - way better value than hotels! When are you thinking of visiting?"
-` : `
-- Be friendly and helpful
-- Provide clear, accurate information
-- Offer proactive suggestions
-- Keep responses concise but warm
-- Example: "Check-in is at 3pm! If you arrive early, we have free luggage storage. Need any beach recommendations for your stay?"
-`}
+// Most conversations one transcript export will include
+const MAX_EXPORT_CONVERSATIONS = 500;
 
-IMPORTANT RULES:
-1. Keep responses to 2-3 sentences maximum unless more detail is specifically requested
-2. Be warm and conversational, not robotic
-3. Use the information in the KNOWLEDGE BASE to answer questions confidently
-4. ONLY offer human contact if the question is truly outside your knowledge base (like specific real-time availability, booking modifications, or emergency situations)
-5. Always represent ${config.businessName} professionally
-6. Use emojis sparingly (🏖️ 🌺 only when appropriate)
+// list_conversations arguments from the request's filters, or null if the dates are invalid.
+// Browsing defaults to the last 30 days.
+function getConversationFilters(chatbotId, query) {
+  const range = getReportRange({ days: 30, ...query });
+  if (!range) return null;
+  return {
+    p_chatbot_id: chatbotId,
+    ...range,
+    p_language: query.language || null,
+    p_intent: query.intent || null,
+    p_handed_off: parseBooleanParam(query.handedOff),
+    p_rated: parseBooleanParam(query.rated)
+  };
+}
 
-WHEN TO OFFER HUMAN CONTACT:
-- Real-time availability/booking questions
-- Payment or reservation issues  
-- Emergency situations
-- Specific requests that require staff approval (like late check-in arrangements)
-- Questions about topics NOT covered in the knowledge base
+// Send transcripts as a JSON, CSV (one row per message) or printable HTML download
+function sendTranscripts(res, config, transcripts, format, filename) {
+  if (format === 'csv') {
+    const rows = transcripts.flatMap(transcript => transcript.messages);
+    return sendCsv(res, filename, rows, [
+      { key: 'conversation_id', header: 'Conversation' },
+      { key: 'created_at', header: 'Sent at' },
+      { key: row => transcriptSpeaker(config, row, false), header: 'From' },
+      { key: 'content', header: 'Message' },
+      { key: 'intent', header: 'Intent' },
+      { key: 'language', header: 'Language' },
+      { key: 'rating', header: 'Rating' },
+      { key: 'feedback_comment', header: 'Feedback' }
+    ]);
+  }
+  if (format === 'html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(renderTranscriptHtml(config, transcripts));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json({ conversations: transcripts });
+}
 
-For general questions about rooms, prices, amenities, location, beaches, activities, etc. - answer confidently using the knowledge base! You have extensive local knowledge - use it!`;
+// Conversations for a bot, newest first, each with its first question and intents.
+// Filter with ?from= / ?to= (or ?days=, default 30), ?language=, ?intent=, ?handedOff=true|false
+// and ?rated=true|false; page with ?limit= and ?offset=. See transcripts.sql.
+app.get('/api/admin/chatbots/:id/conversations', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    const filters = getConversationFilters(req.params.id, req.query);
+    if (!filters) return res.status(400).json({ error: 'from and to must be ISO dates' });
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { data: rows, error } = await supabase.rpc('list_conversations', { ...filters, p_limit: limit, p_offset: offset });
+    if (error) throw error;
+    
+    res.json({
+      conversations: rows.map(({ total, ...conversation }) => conversation),
+      total: rows[0]?.total || 0,
+      limit,
+      offset
+    });
+    
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage }
-      ],
-      temperature: 0.7,
-      max_tokens: 500
+// Export the conversations matching the list filters with all their messages (?format=json, csv or html)
+app.get('/api/admin/chatbots/:id/conversations/export', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const filters = getConversationFilters(config.id, req.query);
+    if (!filters) return res.status(400).json({ error: 'from and to must be ISO dates' });
+    
+    const { data: conversations, error } = await supabase.rpc('list_conversations', {
+      ...filters,
+      p_limit: MAX_EXPORT_CONVERSATIONS,
+      p_offset: 0
     });
+    if (error) throw error;
     
-    const botResponse = completion.choices[0].message.content;
+    const messages = conversations.length > 0 ? await loadTranscriptMessages(config.id, conversations.map(c => c.id)) : [];
+    const transcripts = conversations.map(({ total, first_message, intents, ...conversation }) => ({
+      ...conversation,
+      messages: messages.filter(message => message.conversation_id === conversation.id)
+    }));
     
-    // Log bot response to database
-    const { error: botMessageError } = await supabase
-      .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        chatbot_id: req.params.chatbotId,
-        role: 'assistant',
-        content: botResponse
-      });
+    sendTranscripts(res, config, transcripts, req.query.format, `transcripts-${config.id}`);
     
-    if (botMessageError) console.error('Error logging bot message:', botMessageError);
+  } catch (error) {
+    console.error('Error exporting transcripts:', error);
+    res.status(500).json({ error: 'Failed to export transcripts' });
+  }
+});
+
+// Full transcript of one conversation (?format=json, csv or html to download it)
+app.get('/api/admin/chatbots/:id/conversations/:conversationId', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    // Update or create conversation record
-    const { data: existingConv } = await supabase
-      .from('conversations')
-      .select('message_count')
-      .eq('id', conversationId)
-      .single();
+    const transcript = await loadTranscript(config.id, req.params.conversationId);
+    if (!transcript) return res.status(404).json({ error: 'Conversation not found' });
     
-    if (existingConv) {
-      // Update existing conversation
-      await supabase
-        .from('conversations')
-        .update({ 
-          message_count: existingConv.message_count + 2,
-          ended_at: new Date().toISOString()
-        })
-        .eq('id', conversationId);
-    } else {
-      // Create new conversation
-      await supabase
-        .from('conversations')
-        .insert({
-          id: conversationId,
-          chatbot_id: req.params.chatbotId,
-          message_count: 2,
-          language_detected: 'en'
-        });
+    if (req.query.format) {
+      return sendTranscripts(res, config, [transcript], req.query.format, `transcript-${transcript.id}`);
     }
     
-    res.json({ response: botResponse });
+    const { messages, ...conversation } = transcript;
+    res.json({ conversation, messages });
     
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ 
-      response: "I'm sorry, I encountered an error. Please try again or contact us directly at (808) 374-2131."
-    });
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: 'Failed to fetch transcript' });
   }
 });
 
-// Analytics API endpoint
-app.get('/api/analytics/:chatbotId', async (req, res) => {
+// Full-text search across a bot's messages (?q=, web search syntax), newest first.
+// Narrow with ?role=, ?from= and ?to=.
+app.get('/api/admin/chatbots/:id/messages/search', requireApiKey('transcripts:read'), async (req, res) => {
   try {
-    const { chatbotId } = req.params;
-    const { days = 7 } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) return res.status(400).json({ error: 'q is required' });
     
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    let query = supabase
+      .from('messages')
+      .select('id, conversation_id, role, content, intent, language, created_at')
+      .eq('chatbot_id', req.params.id)
+      .textSearch('content', q, { type: 'websearch', config: 'simple' })
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200));
     
-    // Get total conversations
-    const { data: conversations, error: convError } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('chatbot_id', chatbotId)
-      .gte('started_at', startDate.toISOString());
+    if (req.query.role) query = query.eq('role', req.query.role);
+    if (req.query.from) query = query.gte('created_at', req.query.from);
+    if (req.query.to) query = query.lte('created_at', req.query.to);
+    
+    const { data: messages, error } = await query;
+    if (error) throw error;
     
-    if (convError) throw convError;
+    res.json({ messages });
     
-    // Get all messages
-    const { data: messages, error: msgError } = await supabase
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+// What produced a logged bot answer: the guest's question, the knowledge chunks retrieved for it and
+// the system prompt rebuilt from the bot's config at that version. The rebuilt prompt leaves out the
+// conversation summary and shows the current time. Cached and FAQ answers have no prompt.
+async function explainAnswer(config, answer, revisionConfigs) {
+  const [{ data: question, error: questionError }, { data: chunkRows, error: chunksError }] = await Promise.all([
+    supabase
       .from('messages')
-      .select('*')
-      .eq('chatbot_id', chatbotId)
-      .gte('created_at', startDate.toISOString())
-      .order('created_at', { ascending: false });
+      .select('content, intent, language')
+      .eq('conversation_id', answer.conversation_id)
+      .eq('role', 'user')
+      .lte('created_at', answer.created_at)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    answer.retrieved_chunk_ids?.length > 0
+      ? supabase.from('knowledge_chunks').select('id, content').in('id', answer.retrieved_chunk_ids)
+      : { data: [] }
+  ]);
+  
+  if (questionError) throw questionError;
+  if (chunksError) throw chunksError;
+  
+  // Chunks dropped by a later re-index come back with null content
+  const chunks = (answer.retrieved_chunk_ids || []).map(id => ({ id, content: chunkRows.find(row => row.id === id)?.content ?? null }));
+  
+  let prompt = null;
+  if (!answer.cache_hit) {
+    const version = answer.config_version;
+    if (version && !revisionConfigs.has(version)) {
+      revisionConfigs.set(version, (await getConfigRevision(config.id, version))?.config || config);
+    }
+    const answerConfig = revisionConfigs.get(version) || config;
+    const knowledge = chunks.length > 0
+      ? chunks.map(chunk => chunk.content).filter(Boolean).join('\n\n')
+      : getKnowledgeText(answerConfig);
+    const intent = getIntentSettings(answerConfig).intents.find(i => i.name === question?.intent) || {};
+    prompt = buildSystemPrompt(answerConfig, { knowledge, intent, language: question?.language });
+  }
+  
+  return {
+    messageId: answer.id,
+    conversationId: answer.conversation_id,
+    rating: answer.rating,
+    comment: answer.feedback_comment,
+    ratedAt: answer.rated_at,
+    question: question?.content ?? null,
+    answer: answer.content,
+    answeredAt: answer.created_at,
+    source: answer.cache_hit || 'model',
+    model: answer.model,
+    configVersion: answer.config_version,
+    chunks,
+    prompt
+  };
+}
+
+// Review queue of rated answers, most recently rated first: ?rating=down (default), up or all,
+// ?from= / ?to= on the rating time and ?limit= (default 20)
+app.get('/api/admin/chatbots/:id/feedback', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
     
-    if (msgError) throw msgError;
+    const ratings = { down: [-1], up: [1], all: [1, -1] }[req.query.rating || 'down'];
+    if (!ratings) return res.status(400).json({ error: "rating must be 'down', 'up' or 'all'" });
     
-    // Calculate top questions (user messages only)
-    const userMessages = messages.filter(m => m.role === 'user');
-    const questionCounts = {};
-    userMessages.forEach(msg => {
-      const question = msg.content.substring(0, 100); // First 100 chars
-      questionCounts[question] = (questionCounts[question] || 0) + 1;
-    });
+    let query = supabase
+      .from('messages')
+      .select('id, conversation_id, content, rating, feedback_comment, rated_at, created_at, cache_hit, model, config_version, retrieved_chunk_ids')
+      .eq('chatbot_id', config.id)
+      .in('rating', ratings)
+      .order('rated_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100));
+    
+    if (req.query.from) query = query.gte('rated_at', req.query.from);
+    if (req.query.to) query = query.lte('rated_at', req.query.to);
+    
+    const { data: answers, error } = await query;
+    if (error) throw error;
+    
+    // One config revision lookup per version across the whole page
+    const revisionConfigs = new Map();
+    const feedback = [];
+    for (const answer of answers) feedback.push(await explainAnswer(config, answer, revisionConfigs));
+    
+    res.json({ feedback });
+    
+  } catch (error) {
+    console.error('Error listing feedback:', error);
+    res.status(500).json({ error: 'Failed to list feedback' });
+  }
+});
+
+// Tool calls the bot made in a conversation, with their arguments and results
+app.get('/api/admin/chatbots/:id/conversations/:conversationId/tool-calls', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    const { data: toolCalls, error } = await supabase
+      .from('tool_calls')
+      .select('id, tool_name, arguments, result, error, duration_ms, created_at')
+      .eq('chatbot_id', req.params.id)
+      .eq('conversation_id', req.params.conversationId)
+      .order('created_at', { ascending: true });
     
-    const topQuestions = Object.entries(questionCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(([question, count]) => ({ question, count }));
+    if (error) throw error;
     
+    res.json({ toolCalls });
+    
+  } catch (error) {
+    console.error('Error listing tool calls:', error);
+    res.status(500).json({ error: 'Failed to list tool calls' });
+  }
+});
+
+// Guardrail events for a bot, newest first: refused, redacted and flagged messages.
+// Filter with ?type=, ?conversationId=, ?from= and ?to=.
+app.get('/api/admin/chatbots/:id/guardrail-events', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    let query = supabase
+      .from('guardrail_events')
+      .select('id, conversation_id, type, details, created_at')
+      .eq('chatbot_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200));
+    
+    if (req.query.type) query = query.eq('type', req.query.type);
+    if (req.query.conversationId) query = query.eq('conversation_id', req.query.conversationId);
+    if (req.query.from) query = query.gte('created_at', req.query.from);
+    if (req.query.to) query = query.lte('created_at', req.query.to);
+    
+    const { data: events, error } = await query;
+    if (error) throw error;
+    
+    res.json({ events });
+    
+  } catch (error) {
+    console.error('Error listing guardrail events:', error);
+    res.status(500).json({ error: 'Failed to list guardrail events' });
+  }
+});
+
+// Cached answers for a bot, most used first. Entries from older knowledge are marked stale.
+app.get('/api/admin/chatbots/:id/answer-cache', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const { data: entries, error } = await supabase
+      .from('answer_cache')
+      .select('id, question, answer, hits, source_hash, created_at, last_hit_at')
+      .eq('chatbot_id', req.params.id)
+      .order('hits', { ascending: false })
+      .limit(200);
+    
+    if (error) throw error;
+    
+    const sourceHash = answerCacheHash(config);
     res.json({
-      totalConversations: conversations.length,
-      totalMessages: messages.length,
-      topQuestions,
-      recentMessages: messages.slice(0, 20)
+      entries: entries.map(({ source_hash, ...entry }) => ({ ...entry, stale: source_hash !== sourceHash }))
     });
     
   } catch (error) {
-    console.error('Analytics error:', error);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+    console.error('Error listing answer cache:', error);
+    res.status(500).json({ error: 'Failed to list answer cache' });
   }
 });
 
-// List all chatbots (admin)
-app.get('/api/admin/chatbots', (req, res) => {
-  const chatbots = Array.from(chatbotConfigs.values()).map(c => ({
-    id: c.id,
-    clientName: c.clientName,
-    businessName: c.businessName,
-    createdAt: c.createdAt,
-    active: c.active
-  }));
-  res.json({ chatbots });
+// Clear a bot's answer cache, or one bad answer
+app.delete('/api/admin/chatbots/:id/answer-cache{/:entryId}', requireApiKey('config:write'), async (req, res) => {
+  try {
+    let query = supabase.from('answer_cache').delete().eq('chatbot_id', req.params.id);
+    if (req.params.entryId) query = query.eq('id', req.params.entryId);
+    
+    const { error } = await query;
+    if (error) throw error;
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error clearing answer cache:', error);
+    res.status(500).json({ error: 'Failed to clear answer cache' });
+  }
+});
+
+// Webhook delivery log for a bot, newest first. Filter with ?webhook=, ?event=, ?status=delivered|failed,
+// ?from= and ?to=. Payloads carry message content, so this needs transcript access.
+app.get('/api/admin/chatbots/:id/webhook-deliveries', requireApiKey('transcripts:read'), async (req, res) => {
+  try {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select(WEBHOOK_DELIVERY_COLUMNS)
+      .eq('chatbot_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200));
+    
+    if (req.query.webhook) query = query.eq('webhook', req.query.webhook);
+    if (req.query.event) query = query.eq('event_type', req.query.event);
+    if (req.query.status === 'delivered') query = query.eq('delivered', true);
+    if (req.query.status === 'pending') query = query.eq('delivered', false).not('next_attempt_at', 'is', null);
+    if (req.query.status === 'failed') query = query.eq('delivered', false).is('next_attempt_at', null);
+    if (req.query.from) query = query.gte('created_at', req.query.from);
+    if (req.query.to) query = query.lte('created_at', req.query.to);
+    
+    const { data: deliveries, error } = await query;
+    if (error) throw error;
+    
+    res.json({ deliveries });
+    
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+// Send a logged event again (same event id, so receivers can de-duplicate) to its webhook's current URL.
+// Makes one attempt and returns its result.
+app.post('/api/admin/chatbots/:id/webhook-deliveries/:deliveryId/redeliver', requireApiKey('config:write'), async (req, res) => {
+  try {
+    const config = await getChatbotConfig(req.params.id);
+    if (!config) return res.status(404).json({ error: 'Chatbot not found' });
+    
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('webhook, event_id, event_type, payload')
+      .eq('id', req.params.deliveryId)
+      .eq('chatbot_id', config.id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    
+    const webhook = (config.webhooks || []).find(w => w.name === delivery.webhook);
+    if (!webhook) return res.status(409).json({ error: `Webhook "${delivery.webhook}" no longer exists` });
+    
+    // A fresh row with a single attempt, so the original stays in the log as it was
+    const { data: queued, error: queueError } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        chatbot_id: config.id,
+        webhook: webhook.name,
+        event_id: delivery.event_id,
+        event_type: delivery.event_type,
+        url: webhook.url,
+        payload: delivery.payload,
+        attempt: 0,
+        delivered: false,
+        next_attempt_at: null
+      })
+      .select(WEBHOOK_DELIVERY_COLUMNS)
+      .single();
+    
+    if (queueError) throw queueError;
+    
+    const result = await attemptWebhookDelivery(config, webhook, queued, { retry: false });
+    console.log(`🪝 Redelivered ${delivery.event_type} to ${webhook.name}: ${result?.delivered ? 'ok' : result?.error}`);
+    res.json({ delivery: result });
+    
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Issue a scoped API key (super admin). The plaintext key is only returned once.
+app.post('/api/admin/api-keys', requireApiKey('admin'), async (req, res) => {
+  try {
+    const { name, chatbotIds = [], permissions = [] } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const chatbotsExist = Array.isArray(chatbotIds) && chatbotIds.length > 0 &&
+      (await Promise.all(chatbotIds.map(id => getChatbotConfig(id)))).every(Boolean);
+    if (!chatbotsExist) {
+      return res.status(400).json({ error: 'chatbotIds must list one or more existing chatbots' });
+    }
+    if (!Array.isArray(permissions) || permissions.some(p => !API_KEY_PERMISSIONS.includes(p))) {
+      return res.status(400).json({ error: `permissions must be a subset of: ${API_KEY_PERMISSIONS.join(', ')}` });
+    }
+
+    const key = `amx_${crypto.randomBytes(24).toString('hex')}`;
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert({
+        name,
+        key_hash: hashApiKey(key),
+        key_prefix: key.slice(0, 8),
+        chatbot_ids: chatbotIds,
+        permissions
+      })
+      .select('id, name, key_prefix, chatbot_ids, permissions, created_at')
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ apiKey, key });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// List API keys without their secrets (super admin)
+app.get('/api/admin/api-keys', requireApiKey('admin'), async (req, res) => {
+  try {
+    const { data: apiKeys, error } = await supabase
+      .from('api_keys')
+      .select('id, name, key_prefix, chatbot_ids, permissions, created_at, revoked_at')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ apiKeys });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Revoke an API key (super admin)
+app.delete('/api/admin/api-keys/:keyId', requireApiKey('admin'), async (req, res) => {
+  try {
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.keyId)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Scheduled work, called every minute by Vercel Cron (see vercel.json) with "Authorization: Bearer <CRON_SECRET>"
+app.get('/api/cron', async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const a = Buffer.from(hashApiKey(req.get('authorization') || ''));
+  const b = Buffer.from(hashApiKey(`Bearer ${secret}`));
+  if (!secret || !crypto.timingSafeEqual(a, b)) return res.status(401).json({ error: 'Unauthorized' });
+  
+  try {
+    const webhooks = await drainWebhookQueue();
+    await pruneRateLimits();
+    res.json({ webhooks });
+    
+  } catch (error) {
+    console.error('Error running scheduled jobs:', error);
+    res.status(500).json({ error: 'Scheduled jobs failed' });
+  }
 });
 
 // Start server
 await loadConfigs();
 
+if (!process.env.ADMIN_API_KEY) {
+  console.log('⚠️  ADMIN_API_KEY not set - admin routes only accept client API keys');
+}
+
 // For local development
 if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
@@ -830,7 +6826,16 @@ if (process.env.NODE_ENV !== 'production') {
 ╚════════════════════════════════════╝
     `);
   });
+
+  // Vercel Cron doesn't reach a local server, so retry webhook deliveries and prune rate limits here
+  setInterval(() => {
+    drainWebhookQueue().catch(error => console.error('Error draining webhook queue:', error));
+    pruneRateLimits().catch(error => console.error('Error pruning rate limits:', error));
+  }, WEBHOOK_RETRY_BASE_MS).unref();
 }
 
 // Export for Vercel
-export default app;
\ No newline at end of file
+export default app;
+
+// Pure helpers, exported for the tests in test/
+export { redactPii, isCardNumber, toCsv, signSessionToken, verifySessionToken, isOriginAllowed, validateChatbotFields, chunkKnowledgeBase, parseKnowledgeDocument, detectLanguage };
\ No newline at end of file
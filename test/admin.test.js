@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { loadServer, TEST_BOT } from './helpers/server.js';
+
+// Per-client keys scoped to TEST_BOT, named after their permissions
+const KEYS = { analytics: ['analytics:read'], reader: ['config:read'], editor: ['config:write'] };
+
+let supabase, close, baseUrl;
+before(async () => {
+  ({ supabase, close, baseUrl } = await loadServer());
+  Object.entries(KEYS).forEach(([key, permissions]) => supabase.table('api_keys').push({
+    id: `key_${key}`,
+    name: key,
+    key_hash: crypto.createHash('sha256').update(key).digest('hex'),
+    chatbot_ids: [TEST_BOT.id],
+    permissions
+  }));
+});
+after(() => close());
+
+const get = (path, key) => fetch(`${baseUrl}/api/admin/chatbots/${TEST_BOT.id}${path}`, { headers: { authorization: `Bearer ${key}` } });
+
+test("reading a bot's settings needs config:read or config:write", async () => {
+  for (const path of ['', '/knowledge-sources', '/revisions']) {
+    const denied = await get(path, 'analytics');
+    assert.equal(denied.status, 403);
+    assert.equal((await denied.json()).error, 'API key lacks the config:read or config:write permission');
+
+    assert.equal((await get(path, 'reader')).status, 200);
+    assert.equal((await get(path, 'editor')).status, 200);
+  }
+});
+
+test('config:read keys can read but not change settings', async () => {
+  const res = await fetch(`${baseUrl}/api/admin/chatbots/${TEST_BOT.id}`, {
+    method: 'PATCH',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer reader' },
+    body: JSON.stringify({ businessName: 'Renamed Hostel' })
+  });
+  assert.equal(res.status, 403);
+  assert.equal((await get('', 'reader').then(r => r.json())).chatbot.businessName, TEST_BOT.businessName);
+});
@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { loadServer, TEST_BOT } from './helpers/server.js';
+
+const ANALYTICS_BOT = { ...TEST_BOT, id: 'bot_analytics', prompt: { timeZone: 'Pacific/Honolulu' } };
+const ANALYST_KEY = 'test-analyst-key';
+const EDITOR_KEY = 'test-editor-key';
+
+// The reports are computed by the functions in analytics.sql; these stand in for them with fixed rows
+const SUMMARY = {
+  conversations: 4, messages: 12, avgConversationLength: 3, avgResponseMs: 850,
+  handoffs: 1, unanswered: 1, botReplies: 5, ratedUp: 3, ratedDown: 1, faqHits: 1, cacheHits: 1,
+  intents: [{ intent: 'pricing', count: 3 }], languages: [{ language: 'en', count: 4 }]
+};
+const TOP_QUESTIONS = [
+  { question: 'is breakfast included', count: 3 },
+  { question: 'what time is check in', count: 2 },
+  { question: 'breakfast is included', count: 1 }
+];
+
+let supabase, close, baseUrl;
+const rpcCalls = [];
+before(async () => {
+  ({ supabase, close, baseUrl } = await loadServer({ bots: [ANALYTICS_BOT] }));
+  const record = (name, result) => supabase.rpc(name, (table, params) => {
+    rpcCalls.push({ name, params });
+    return result;
+  });
+  record('analytics_summary', SUMMARY);
+  record('analytics_top_questions', TOP_QUESTIONS);
+  record('analytics_timeseries', [
+    { bucket: '2026-03-01T00:00:00-10:00', conversations: 2, messages: 6, questions: 3, handoffs: 0, unanswered: 1, rated_up: 1, rated_down: 1 }
+  ]);
+  record('analytics_unanswered', [
+    { question: 'do you have a sauna', count: 2, last_asked_at: '2026-03-02T10:00:00Z', last_reply: "I'm not sure, sorry." }
+  ]);
+
+  [[ANALYST_KEY, ['analytics:read']], [EDITOR_KEY, ['config:write']]].forEach(([key, permissions]) => {
+    supabase.table('api_keys').push({
+      id: `key_${permissions[0]}`,
+      name: key,
+      key_hash: crypto.createHash('sha256').update(key).digest('hex'),
+      chatbot_ids: [ANALYTICS_BOT.id],
+      permissions
+    });
+  });
+});
+after(() => close());
+
+function report(path, key = ANALYST_KEY) {
+  return fetch(`${baseUrl}/api/analytics/${ANALYTICS_BOT.id}${path}`, { headers: { authorization: `Bearer ${key}` } });
+}
+
+test('the summary turns the database totals into rates', async () => {
+  const res = await report('?from=2026-03-01&to=2026-03-08');
+  assert.equal(res.status, 200);
+  const summary = await res.json();
+
+  assert.equal(summary.handoffRate, 0.25);
+  assert.equal(summary.fallbackRate, 0.2);
+  assert.deepEqual(summary.satisfaction, { helpful: 3, notHelpful: 1, rate: 0.75 });
+  assert.deepEqual(summary.cacheHits, { faq: 1, cache: 1, rate: 0.4 });
+  assert.deepEqual(summary.topQuestions, TOP_QUESTIONS);
+
+  const { params } = rpcCalls.findLast(call => call.name === 'analytics_summary');
+  assert.deepEqual(params, { p_chatbot_id: ANALYTICS_BOT.id, p_from: '2026-03-01T00:00:00.000Z', p_to: '2026-03-08T00:00:00.000Z' });
+});
+
+test('recent messages are only included for keys that can read transcripts', async () => {
+  supabase.table('messages').push({ conversation_id: 'conv_analytics', chatbot_id: ANALYTICS_BOT.id, role: 'user', content: 'Is breakfast included?' });
+
+  assert.equal((await (await report('')).json()).recentMessages, undefined);
+  const { recentMessages } = await (await report('', 'test-admin-key')).json();
+  assert.deepEqual(recentMessages.map(m => m.content), ['Is breakfast included?']);
+});
+
+test('reports need the analytics:read permission', async () => {
+  const res = await report('/questions', EDITOR_KEY);
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).error, 'API key lacks the analytics:read permission');
+});
+
+test('every report rejects dates it cannot parse', async () => {
+  for (const path of ['', '/timeseries', '/questions', '/unanswered']) {
+    const res = await report(`${path}?from=last-week`);
+    assert.equal(res.status, 400, path);
+    assert.deepEqual(await res.json(), { error: 'from and to must be ISO dates' });
+  }
+});
+
+test("the time series is bucketed in the bot's time zone", async () => {
+  const { interval, timeZone, series } = await (await report('/timeseries')).json();
+  assert.equal(interval, 'day');
+  assert.equal(timeZone, 'Pacific/Honolulu');
+  assert.deepEqual(series, [{
+    day: '2026-03-01', conversations: 2, messages: 6, questions: 3, handoffs: 0, unanswered: 1,
+    ratedHelpful: 1, ratedNotHelpful: 1, satisfactionRate: 0.5
+  }]);
+  assert.equal(rpcCalls.findLast(call => call.name === 'analytics_timeseries').params.p_time_zone, 'Pacific/Honolulu');
+});
+
+test('questions can be grouped by embedding to merge rewordings', async () => {
+  const { group, questions } = await (await report('/questions?group=embedding')).json();
+  assert.equal(group, 'embedding');
+  assert.deepEqual(questions, [
+    { question: 'is breakfast included', count: 4, variants: ['is breakfast included', 'breakfast is included'] },
+    { question: 'what time is check in', count: 2, variants: ['what time is check in'] }
+  ]);
+  assert.equal(rpcCalls.findLast(call => call.name === 'analytics_top_questions').params.p_limit, 200);
+
+  const byText = await (await report('/questions?limit=2')).json();
+  assert.equal(byText.group, 'text');
+  assert.equal(byText.questions.length, TOP_QUESTIONS.length);
+  assert.equal(rpcCalls.findLast(call => call.name === 'analytics_top_questions').params.p_limit, 2);
+});
+
+test('reports can be downloaded as CSV', async () => {
+  const summary = await report('?format=csv');
+  assert.match(summary.headers.get('content-type'), /text\/csv/);
+  assert.match(summary.headers.get('content-disposition'), /filename="analytics-bot_analytics.csv"/);
+  const lines = (await summary.text()).trim().split(/\r?\n/);
+  assert.equal(lines[0], 'metric,value');
+  assert.ok(lines.includes('handoff_rate,0.25'));
+  assert.ok(lines.includes('intent:pricing,3'));
+  assert.ok(lines.includes('language:en,4'));
+
+  const unanswered = await (await report('/unanswered?format=csv')).text();
+  assert.deepEqual(unanswered.trim().split(/\r?\n/), [
+    'question,count,lastAskedAt,lastReply',
+    "do you have a sauna,2,2026-03-02T10:00:00Z,\"I'm not sure, sorry.\""
+  ]);
+});
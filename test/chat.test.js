@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+// Reports new conversations to a webhook (on a private address, so deliveries fail without a request)
+const STARTED_BOT = {
+  ...TEST_BOT,
+  id: 'bot_started',
+  webhooks: [{ name: 'crm', url: 'http://127.0.0.1:9/hook', events: ['conversation.started'], secret: 'test-webhook-secret-0123' }]
+};
+
+// End-to-end chat requests against the stub model provider and a fake Supabase
+let supabase, close, baseUrl, serverUrl;
+
+before(async () => {
+  ({ supabase, close, baseUrl: serverUrl } = await loadServer({ bots: [TEST_BOT, STARTED_BOT] }));
+  baseUrl = `${serverUrl}/api/chat/${TEST_BOT.id}`;
+});
+
+after(() => close());
+
+function post(path, body, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+async function startSession(conversationId) {
+  const res = await post('/session', { conversationId });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test('a guest message gets the stub reply and both sides are logged', async () => {
+  const { token, historyToken } = await startSession('conv_message');
+  assert.ok(historyToken);
+
+  const res = await post('/message', { conversationId: 'conv_message', message: 'What time is check-in?' }, { 'x-session-token': token });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.response, 'This is a test reply to: "What time is check-in?"');
+  assert.ok(body.messageId);
+  assert.equal(body.language, 'en');
+
+  const logged = supabase.table('messages').filter(m => m.conversation_id === 'conv_message');
+  assert.deepEqual(logged.map(m => [m.role, m.chatbot_id]), [['user', TEST_BOT.id], ['assistant', TEST_BOT.id]]);
+  const [conversation] = supabase.table('conversations').filter(c => c.id === 'conv_message');
+  assert.equal(conversation.message_count, 2);
+});
+
+test('chat requests need a session token for the same conversation', async () => {
+  const { token } = await startSession('conv_a');
+
+  const missing = await post('/message', { conversationId: 'conv_a', message: 'Hi' });
+  assert.equal(missing.status, 401);
+
+  const otherConversation = await post('/message', { conversationId: 'conv_b', message: 'Hi' }, { 'x-session-token': token });
+  assert.equal(otherConversation.status, 401);
+});
+
+test('streamed replies send tokens and a final done event', async () => {
+  const { token } = await startSession('conv_stream');
+
+  const res = await post('/stream', { conversationId: 'conv_stream', message: 'Do you have dorm beds?' }, { 'x-session-token': token });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+  const events = (await res.text()).trim().split('\n\n').map(block => {
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+    return { event, data: JSON.parse(data) };
+  });
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(events.filter(e => e.event === 'token').map(e => e.data.content).join('').trim(), done.data.response);
+  assert.equal(done.data.response, 'This is a test reply to: "Do you have dorm beds?"');
+});
+
+test('only the history token can read the conversation back', async () => {
+  const { token, historyToken } = await startSession('conv_history');
+  await post('/message', { conversationId: 'conv_history', message: 'Is breakfast included?' }, { 'x-session-token': token });
+
+  const url = `${baseUrl}/conversations/conv_history/messages`;
+  assert.equal((await fetch(url, { headers: { 'x-history-token': token } })).status, 401);
+
+  const res = await fetch(url, { headers: { 'x-history-token': historyToken } });
+  assert.equal(res.status, 200);
+  const { messages } = await res.json();
+  assert.deepEqual(messages.map(m => m.role), ['user', 'assistant']);
+
+  // A second widget that only knows the conversation ID doesn't get a history token
+  const { historyToken: stolen } = await startSession('conv_history');
+  assert.equal(stolen, undefined);
+});
+
+test("another bot's messages under the same conversation ID don't block the history token", async () => {
+  supabase.table('messages').push({ conversation_id: 'conv_reused', chatbot_id: 'bot_other', role: 'user', content: 'Hi' });
+  const { historyToken } = await startSession('conv_reused');
+  assert.ok(historyToken);
+});
+
+test('the bot stays quiet once the guest asks for a person', async () => {
+  const { token } = await startSession('conv_handoff');
+  await post('/message', { conversationId: 'conv_handoff', message: 'Hello' }, { 'x-session-token': token });
+
+  const handoff = await post('/conversations/conv_handoff/handoff', { reason: 'Billing question' }, { 'x-session-token': token });
+  assert.equal(handoff.status, 200);
+  assert.equal((await handoff.json()).status, 'handoff_requested');
+
+  const res = await post('/message', { conversationId: 'conv_handoff', message: 'Anyone there?' }, { 'x-session-token': token });
+  assert.deepEqual(await res.json(), { response: null, handoff: { status: 'handoff_requested' } });
+  assert.equal(supabase.table('messages').filter(m => m.conversation_id === 'conv_handoff' && m.role === 'assistant').length, 1);
+  assert.equal(supabase.table('conversations').find(c => c.id === 'conv_handoff').message_count, 3);
+});
+
+test('concurrent first turns count every message and start the conversation once', async () => {
+  const chat = await startChat(serverUrl, STARTED_BOT.id, 'conv_concurrent');
+  await Promise.all([chat.send('Hello'), chat.send('Are you there?')]);
+
+  const conversations = supabase.table('conversations').filter(c => c.id === 'conv_concurrent');
+  assert.deepEqual(conversations.map(c => [c.chatbot_id, c.message_count]), [[STARTED_BOT.id, 4]]);
+  const started = supabase.table('webhook_deliveries').filter(d => d.payload.data.conversationId === 'conv_concurrent');
+  assert.deepEqual(started.map(d => d.event_type), ['conversation.started']);
+});
+
+test("a guest can't take over another bot's conversation", async () => {
+  supabase.table('conversations').push({ id: 'conv_other_bot', chatbot_id: 'bot_other', status: 'bot', message_count: 2 });
+  const { token } = await startSession('conv_other_bot');
+
+  const res = await post('/conversations/conv_other_bot/handoff', {}, { 'x-session-token': token });
+  assert.equal(res.status, 404);
+  assert.equal(supabase.table('conversations').find(c => c.id === 'conv_other_bot').status, 'bot');
+});
@@ -0,0 +1,29 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers/server.js';
+
+let server, close;
+before(async () => ({ server, close } = await loadServer()));
+after(() => close());
+
+test('toCsv writes headers and quotes values that need it', () => {
+  const csv = server.toCsv(
+    [{ id: 1, content: 'Hello, "world"\nbye', tags: ['a', 'b'], missing: null }],
+    ['id', { key: 'content', header: 'Message' }, 'tags', 'missing']
+  );
+  assert.equal(csv, 'id,Message,tags,missing\n1,"Hello, ""world""\nbye","[""a"",""b""]",');
+});
+
+test('toCsv takes column functions', () => {
+  assert.equal(server.toCsv([{ fields: { email: 'a@b.c' } }], [{ key: row => row.fields.email, header: 'Email' }]), 'Email\na@b.c');
+});
+
+test('toCsv neutralizes text a spreadsheet would run as a formula', () => {
+  const rows = ['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', '\tcmd', '\rcmd'].map(content => ({ content }));
+  const lines = server.toCsv(rows, ['content']).split('\n').slice(1);
+  assert.deepEqual(lines, ["\"'=HYPERLINK(\"\"http://x\"\")\"", "'+1", "'-2", "'@SUM(A1)", "'\tcmd", "\"'\rcmd\""]);
+});
+
+test('toCsv leaves numbers alone', () => {
+  assert.equal(server.toCsv([{ amount: -5 }], ['amount']), 'amount\n-5');
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+const GROUNDED_BOT = { ...TEST_BOT, id: 'bot_grounded', guardrails: { moderation: false, groundingCheck: true } };
+
+let server, supabase, close, baseUrl;
+before(async () => ({ server, supabase, close, baseUrl } = await loadServer({ bots: [GROUNDED_BOT] })));
+after(() => {
+  delete process.env.STUB_LLM_REPLY;
+  return close();
+});
+
+const POLICY = { card: 'redact', passport: 'redact', email: 'keep', phone: 'keep' };
+
+test('isCardNumber accepts Luhn-valid numbers only', () => {
+  assert.equal(server.isCardNumber('4242 4242 4242 4242'), true);
+  assert.equal(server.isCardNumber('4111-1111-1111-1111'), true);
+  assert.equal(server.isCardNumber('4242 4242 4242 4241'), false);
+  assert.equal(server.isCardNumber('424242424242'), false);   // too short
+});
+
+test('redactPii redacts card numbers but leaves booking references', () => {
+  const { text, found } = server.redactPii('Card 4242 4242 4242 4242, booking 1234567890123', POLICY);
+  assert.equal(text, 'Card [card redacted], booking 1234567890123');
+  assert.deepEqual(found, ['card']);
+});
+
+test('redactPii only treats a number as a passport when the guest says so', () => {
+  assert.equal(server.redactPii('My passport number is X1234567', POLICY).text, 'My passport number is [passport redacted]');
+  assert.equal(server.redactPii('Order X1234567 arrived', POLICY).text, 'Order X1234567 arrived');
+});
+
+test('redactPii follows the policy for each type', () => {
+  const message = 'Email me at guest@example.com or call +1 808 555 1234';
+  assert.deepEqual(server.redactPii(message, POLICY), { text: message, found: [] });
+
+  const { text, found } = server.redactPii(message, { ...POLICY, email: 'redact', phone: 'redact' });
+  assert.equal(text, 'Email me at [email redacted] or call [phone redacted]');
+  assert.deepEqual(found, ['email', 'phone']);
+});
+
+test('answers quoting prices the bot was never given are flagged before the reply is sent, and not cached', async () => {
+  process.env.STUB_LLM_REPLY = 'Dorm beds cost $999 per night.';
+  const chat = await startChat(baseUrl, GROUNDED_BOT.id, 'conv_ungrounded');
+  const { response } = await chat.send('How much is a dorm bed?');
+  assert.equal(response, 'Dorm beds cost $999 per night.');
+
+  const [event] = supabase.table('guardrail_events').filter(e => e.conversation_id === 'conv_ungrounded');
+  assert.equal(event.type, 'ungrounded_answer');
+  assert.deepEqual(event.details.unsupported, ['$999']);
+  assert.equal(supabase.table('answer_cache').filter(e => e.chatbot_id === GROUNDED_BOT.id).length, 0);
+});
+
+test('grounded first answers are cached before the reply is sent', async () => {
+  process.env.STUB_LLM_REPLY = 'Check-in is from 3pm.';
+  const chat = await startChat(baseUrl, GROUNDED_BOT.id, 'conv_grounded');
+  await chat.send('When is check-in?');
+
+  assert.equal(supabase.table('guardrail_events').filter(e => e.conversation_id === 'conv_grounded').length, 0);
+  assert.deepEqual(supabase.table('answer_cache').map(e => [e.question, e.answer]), [['When is check-in?', 'Check-in is from 3pm.']]);
+});
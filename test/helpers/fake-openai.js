@@ -0,0 +1,39 @@
+import http from 'http';
+
+// An OpenAI-compatible chat completions server. respond(request) returns the reply for each request:
+// { content, toolCalls } for a completion or { status } for an error. Requests are kept in `requests`.
+export async function startFakeOpenAi(respond) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push(request);
+      const reply = respond(request);
+      res.writeHead(reply.status || 200, { 'content-type': 'application/json' });
+
+      if (reply.status) return res.end(JSON.stringify({ error: { message: `HTTP ${reply.status}`, type: 'server_error' } }));
+      res.end(JSON.stringify({
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: reply.content ?? null, ...(reply.toolCalls && { tool_calls: reply.toolCalls }) },
+          finish_reason: reply.toolCalls ? 'tool_calls' : 'stop'
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
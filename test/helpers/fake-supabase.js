@@ -0,0 +1,116 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Just enough of Supabase's REST API (PostgREST) for the server's chat routes, backed by in-memory tables.
+// Filters other than eq, neq, is and in are ignored; RPCs other than those in RPCS return no rows, unless
+// a test stubs them with rpc(name, (table, params) => result). failNext(table, method) makes the next
+// such request fail, for testing how the server copes with write errors.
+const IGNORED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+// In-memory versions of the schema.sql functions the chat flow relies on
+const RPCS = {
+  record_conversation_messages(table, { p_id, p_chatbot_id, p_count, p_language }) {
+    const now = new Date().toISOString();
+    const conversation = table('conversations').find(c => c.id === p_id);
+    if (!conversation) {
+      table('conversations').push({ id: p_id, chatbot_id: p_chatbot_id, message_count: p_count, language_detected: p_language, started_at: now });
+      return [{ message_count: p_count, created: true }];
+    }
+    if (conversation.chatbot_id !== p_chatbot_id) return [];
+    Object.assign(conversation, { message_count: conversation.message_count + p_count, language_detected: p_language ?? conversation.language_detected, ended_at: now });
+    return [{ message_count: conversation.message_count, created: false }];
+  }
+};
+
+function matchesFilter(row, column, filter) {
+  const [op, ...rest] = filter.split('.');
+  const value = rest.join('.');
+  const actual = row[column];
+  if (op === 'eq') return String(actual) === value;
+  if (op === 'neq') return String(actual) !== value;
+  if (op === 'is') return value === 'null' ? actual == null : String(actual) === value;
+  if (op === 'in') return value.replace(/^\(|\)$/g, '').split(',').map(v => v.replace(/^"|"$/g, '')).includes(String(actual));
+  return true;
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+export async function startFakeSupabase() {
+  const tables = {};
+  const table = name => (tables[name] ||= []);
+  const failures = [];
+  const rpcs = { ...RPCS };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    const send = (status, data, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(data === undefined ? '' : JSON.stringify(data));
+    };
+
+    if (url.pathname.startsWith('/rest/v1/rpc/')) {
+      const rpc = rpcs[url.pathname.replace('/rest/v1/rpc/', '')];
+      return send(200, rpc ? rpc(table, body) : []);
+    }
+
+    const failure = failures.findIndex(f => url.pathname === `/rest/v1/${f.name}` && req.method === f.method);
+    if (failure !== -1) {
+      failures.splice(failure, 1);
+      return send(500, { code: 'XX000', message: 'simulated failure' });
+    }
+
+    const rows = table(url.pathname.replace('/rest/v1/', ''));
+    const filters = [...url.searchParams].filter(([key]) => !IGNORED_PARAMS.includes(key));
+    const matching = () => rows.filter(row => filters.every(([column, filter]) => matchesFilter(row, column, filter)));
+
+    let result;
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      result = matching();
+    } else if (req.method === 'POST') {
+      const conflictColumns = url.searchParams.get('on_conflict')?.split(',') || ['id'];
+      const upsert = (req.headers.prefer || '').includes('resolution=merge-duplicates');
+      const inserts = Array.isArray(body) ? body : [body];
+      if (!upsert && inserts.some(values => values.id !== undefined && rows.some(row => row.id === values.id))) {
+        return send(409, { code: '23505', message: 'duplicate key value violates unique constraint' });
+      }
+      result = inserts.map(values => {
+        const existing = upsert && rows.find(row => conflictColumns.every(column => row[column] === values[column]));
+        if (existing) return Object.assign(existing, values);
+        const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...values };
+        rows.push(row);
+        return row;
+      });
+    } else if (req.method === 'PATCH') {
+      result = matching().map(row => Object.assign(row, body));
+    } else if (req.method === 'DELETE') {
+      result = matching();
+      tables[url.pathname.replace('/rest/v1/', '')] = rows.filter(row => !result.includes(row));
+    }
+
+    if (!(req.headers.prefer || '').includes('return=representation') && !['GET', 'HEAD'].includes(req.method)) return send(201);
+    if ((req.headers.accept || '').includes('vnd.pgrst.object')) {
+      if (result.length !== 1) {
+        return send(406, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned', details: `The result contains ${result.length} rows` });
+      }
+      return send(200, result[0]);
+    }
+    send(200, result, { 'content-range': `0-${Math.max(result.length - 1, 0)}/${result.length}` });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tables,
+    table,
+    failNext: (name, method) => failures.push({ name, method }),
+    rpc: (name, handler) => rpcs[name] = handler,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
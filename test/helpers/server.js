@@ -0,0 +1,62 @@
+import { startFakeSupabase } from './fake-supabase.js';
+
+export const TEST_BOT = {
+  id: 'bot_test',
+  clientName: 'Test Hostel',
+  businessName: 'Test Hostel',
+  businessInfo: 'A small hostel by the beach. Check-in is from 3pm.',
+  knowledgeBase: 'ROOMS:\nDorm beds and private rooms.\n\nCHECK-IN:\nFrom 3pm, checkout by 11am.',
+  active: true,
+  guardrails: { moderation: false, groundingCheck: false },
+  followUpSuggestions: { enabled: false },
+  handoff: { enabled: true }
+};
+
+// Start a widget session and return a helper that POSTs chat requests with its token
+export async function startChat(baseUrl, chatbotId, conversationId) {
+  const post = (path, body, headers = {}) => fetch(`${baseUrl}/api/chat/${chatbotId}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const session = await (await post('/session', { conversationId })).json();
+  return {
+    session,
+    post: (path, body) => post(path, body, { 'x-session-token': session.token }),
+    send: async message => (await post('/message', { conversationId, message }, { 'x-session-token': session.token })).json()
+  };
+}
+
+// Load server.js against a fake Supabase, the offline stub model and the given bots (TEST_BOT by default).
+// server.js reads its settings when it is imported, so this has to run before anything imports it.
+export async function loadServer({ bots = [TEST_BOT], env = {} } = {}) {
+  const supabase = await startFakeSupabase();
+  supabase.table('chatbots').push(...bots.map(config => ({ id: config.id, config, active: config.active !== false })));
+  Object.assign(process.env, {
+    NODE_ENV: 'production',        // don't listen on PORT or start the local webhook timer
+    SUPABASE_URL: supabase.url,
+    SUPABASE_SERVICE_KEY: 'test-service-key',
+    SESSION_TOKEN_SECRET: 'test-session-secret',
+    OPENAI_API_KEY: 'test',
+    OPENAI_BASE_URL: 'http://127.0.0.1:9/v1',
+    LLM_PROVIDER: 'stub',
+    EMBEDDING_BACKEND: 'local',
+    CONFIG_STORE: 'supabase',
+    ADMIN_API_KEY: 'test-admin-key',
+    ...env
+  });
+
+  const server = await import('../../server.js');
+  const listener = server.default.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+
+  return {
+    server,
+    supabase,
+    baseUrl: `http://127.0.0.1:${listener.address().port}`,
+    close: async () => {
+      await new Promise(resolve => listener.close(resolve));
+      await supabase.close();
+    }
+  };
+}
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, TEST_BOT } from './helpers/server.js';
+
+let server, supabase, close, baseUrl;
+before(async () => ({ server, supabase, close, baseUrl } = await loadServer()));
+after(() => close());
+
+const parse = (format, content) => server.parseKnowledgeDocument(format, content, 'source.txt');
+
+function ingest(body) {
+  return fetch(`${baseUrl}/api/admin/chatbots/${TEST_BOT.id}/knowledge-sources`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer test-admin-key' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('markdown is split on headings and loses its formatting', () => {
+  assert.deepEqual(parse('markdown', 'Intro text\n\n# Rooms\n\n**Dorm** beds, see [rates](https://example.com).\n\n* Lockers\n\n## Parking ##\nFree `street` parking'), [
+    { title: 'source.txt', content: 'Intro text' },
+    { title: 'Rooms', content: 'Dorm beds, see rates.\n\n- Lockers' },
+    { title: 'Parking', content: 'Free street parking' }
+  ]);
+});
+
+test('html keeps the page content and drops scripts, navigation and boilerplate', () => {
+  const html = `<html><head><title>Beach Hostel &amp; Caf&eacute;</title><script>track()</script></head><body>
+    <nav><a href="/">Home</a></nav>
+    <h1>Rooms</h1><p>Dorm beds from &#36;35.</p><ul><li>Lockers</li><li>Towels</li></ul>
+    <h2>Check-in</h2><p>From 3pm</p>
+    <footer>© 2026 Beach Hostel</footer><p>We use cookies to improve your stay</p>
+  </body></html>`;
+  assert.deepEqual(parse('html', html), [
+    { title: 'Rooms', content: 'Dorm beds from $35.\n\n- Lockers\n- Towels' },
+    { title: 'Check-in', content: 'From 3pm' }
+  ]);
+});
+
+test('plain text is split on upper-case headings', () => {
+  assert.deepEqual(parse('text', 'ROOMS:\nDorm beds.\n\nCHECK-IN\r\nFrom 3pm.'), [
+    { title: 'ROOMS', content: 'Dorm beds.' },
+    { title: 'CHECK-IN', content: 'From 3pm.' }
+  ]);
+});
+
+test('pdf text drops running headers and footers and rejoins wrapped lines', () => {
+  const page = (number, body) => `Beach Hostel Guide\n${body}\nPage ${number} of 3`;
+  const pdf = [page(1, 'ROOMS\nDorm beds with lock-\ners and'), page(2, 'fresh linen.'), page(3, 'PARKING\nFree parking.')].join('\f');
+  assert.deepEqual(parse('pdf', pdf), [
+    { title: 'ROOMS', content: 'Dorm beds with lockers and fresh linen.' },
+    { title: 'PARKING', content: 'Free parking.' }
+  ]);
+});
+
+test('csv FAQs become one section per question, with or without a header row', () => {
+  const faqs = [{ title: 'Is breakfast included?', content: 'Yes, "pancakes", from 7am.' }, { title: 'Pets?', content: 'No' }];
+  assert.deepEqual(parse('csv', 'Question,Answer\r\nIs breakfast included?,"Yes, ""pancakes"", from 7am."\r\nPets?,No\r\n,Orphan answer'), faqs);
+  assert.deepEqual(parse('csv', 'Is breakfast included?,"Yes, ""pancakes"", from 7am."\nPets?,No'), faqs);
+});
+
+test('ingesting a source again under the same name replaces it', async () => {
+  const first = await ingest({ name: 'faq.md', format: 'markdown', content: '# Pets\nNo pets allowed.' });
+  assert.equal(first.status, 201);
+  assert.deepEqual((await first.json()).source.titles, ['Pets']);
+
+  const second = await ingest({ name: 'faq.md', format: 'markdown', content: '# Pets\nSmall dogs welcome.' });
+  assert.equal(second.status, 200);
+  assert.equal((await second.json()).replaced, true);
+
+  const { config } = supabase.table('chatbots').find(row => row.id === TEST_BOT.id);
+  assert.deepEqual(config.knowledgeSources.map(source => source.sections), [[{ title: 'Pets', content: 'Small dogs welcome.' }]]);
+  assert.ok(supabase.table('knowledge_chunks').some(chunk => chunk.content.includes('Small dogs welcome.')));
+});
+
+test('documents without usable content or in unknown formats are refused', async () => {
+  assert.equal((await ingest({ name: 'empty.html', format: 'html', content: '<nav>Menu</nav>' })).status, 422);
+  assert.equal((await ingest({ name: 'rooms.docx', format: 'docx', content: 'Rooms' })).status, 400);
+});
@@ -0,0 +1,29 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+// The stub provider answers JSON requests with '{}', so the LLM classifier never finds an intent
+const LLM_INTENT_BOT = { ...TEST_BOT, id: 'bot_llm_intents', intents: { classifier: 'llm' } };
+
+let supabase, close, baseUrl;
+before(async () => ({ supabase, close, baseUrl } = await loadServer({ bots: [TEST_BOT, LLM_INTENT_BOT] })));
+after(() => close());
+
+const loggedIntent = conversationId => supabase.table('messages').find(m => m.conversation_id === conversationId && m.role === 'user').intent;
+
+test('intents are classified with embeddings by default', async () => {
+  // No sales keyword, but close to the sales examples
+  const chat = await startChat(baseUrl, TEST_BOT.id, 'conv_intent_embedding');
+  await chat.send('Can two people come next weekend?');
+  assert.equal(loggedIntent('conv_intent_embedding'), 'sales');
+});
+
+test('keywords are used when the classifier finds no intent', async () => {
+  const chat = await startChat(baseUrl, LLM_INTENT_BOT.id, 'conv_intent_fallback');
+  await chat.send('Is there a cheap option?');
+  assert.equal(loggedIntent('conv_intent_fallback'), 'sales');
+
+  const general = await startChat(baseUrl, LLM_INTENT_BOT.id, 'conv_intent_default');
+  await general.send('Is there a lift?');
+  assert.equal(loggedIntent('conv_intent_default'), 'general');
+});
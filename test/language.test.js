@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+import { startFakeOpenAi } from './helpers/fake-openai.js';
+
+const model = await startFakeOpenAi(() => ({ content: '¡Claro!' }));
+const MODEL_BOT = { ...TEST_BOT, id: 'bot_language', llm: { provider: 'openai-compatible', baseURL: model.url, model: 'language-model' } };
+
+let server, supabase, close, baseUrl;
+before(async () => ({ server, supabase, close, baseUrl } = await loadServer({ bots: [MODEL_BOT] })));
+after(async () => {
+  await close();
+  await model.close();
+});
+
+test('detectLanguage recognises sentences, scripts and short greetings', () => {
+  assert.equal(server.detectLanguage('Bonjour, avez-vous une chambre privée pour ce soir ?'), 'fr');
+  assert.equal(server.detectLanguage('Is breakfast included in the price of the dorm bed?'), 'en');
+  assert.equal(server.detectLanguage('こんにちは、部屋はありますか'), 'ja');
+  assert.equal(server.detectLanguage('Hola'), 'es');
+  assert.equal(server.detectLanguage('Danke schön'), 'de');
+});
+
+test('detectLanguage only falls back to the conversation language when a message is too short to tell', () => {
+  assert.equal(server.detectLanguage('ok', 'fr'), 'fr');
+  assert.equal(server.detectLanguage('ok'), null);
+  assert.equal(server.detectLanguage('Gracias', 'en'), 'es');
+});
+
+test("the bot replies in the guest's language and remembers it for the conversation", async () => {
+  const chat = await startChat(baseUrl, MODEL_BOT.id, 'conv_spanish');
+  const { language } = await chat.send('¿Tienen habitaciones privadas para dos personas este fin de semana?');
+  assert.equal(language, 'es');
+  assert.match(model.requests.at(-1).messages[0].content, /Reply in Spanish unless the guest switches to another language/);
+  assert.equal(supabase.table('conversations').find(c => c.id === 'conv_spanish').language_detected, 'es');
+
+  assert.equal((await chat.send('ok')).language, 'es');
+});
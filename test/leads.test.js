@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+import { startFakeOpenAi } from './helpers/fake-openai.js';
+
+// The fake model saves the guest's details, then thanks them
+const model = await startFakeOpenAi(request => {
+  if (request.messages.at(-1).role === 'tool') return { content: 'Thanks Kai!' };
+  const args = { name: 'Kai', email: 'kai@example.com', partySize: 2 };
+  return { toolCalls: [{ id: 'call_1', type: 'function', function: { name: 'save_lead_details', arguments: JSON.stringify(args) } }] };
+});
+
+const LEAD_BOT = {
+  ...TEST_BOT,
+  id: 'bot_leads',
+  llm: { provider: 'openai-compatible', baseURL: model.url, model: 'lead-model' },
+  leadCapture: { enabled: true, fields: ['name', 'email', 'partySize'] }
+};
+
+let supabase, close, baseUrl;
+before(async () => ({ supabase, close, baseUrl } = await loadServer({ bots: [LEAD_BOT, TEST_BOT] })));
+after(async () => {
+  await close();
+  await model.close();
+});
+
+const leadsFor = conversationId => supabase.table('leads').filter(lead => lead.conversation_id === conversationId);
+const listLeads = format => fetch(`${baseUrl}/api/admin/chatbots/${LEAD_BOT.id}/leads${format ? `?format=${format}` : ''}`, {
+  headers: { authorization: 'Bearer test-admin-key' }
+});
+
+test('details the guest shares in chat are saved through the model', async () => {
+  const chat = await startChat(baseUrl, LEAD_BOT.id, 'conv_lead_chat');
+  const { response } = await chat.send("I'm Kai, kai@example.com, there are two of us");
+  assert.equal(response, 'Thanks Kai!');
+
+  const [lead] = leadsFor('conv_lead_chat');
+  assert.equal(lead.source, 'chat');
+  assert.deepEqual(lead.fields, { name: 'Kai', email: 'kai@example.com', partySize: 2 });
+});
+
+test('the lead form keeps valid fields and merges later submissions', async () => {
+  const chat = await startChat(baseUrl, LEAD_BOT.id, 'conv_lead_form');
+  const submit = async fields => chat.post('/conversations/conv_lead_form/lead', { fields });
+
+  assert.equal((await submit({ email: 'not-an-email', partySize: 0, shoeSize: 42 })).status, 400);
+  assert.equal((await submit({ name: ' Lani ', email: 'not-an-email' })).status, 200);
+  assert.equal((await submit({ email: 'lani@example.com', partySize: '3' })).status, 200);
+
+  const leads = leadsFor('conv_lead_form');
+  assert.equal(leads.length, 1);
+  assert.deepEqual(leads[0].fields, { name: 'Lani', email: 'lani@example.com', partySize: 3 });
+  assert.equal(leads[0].source, 'form');
+});
+
+test("bots without lead capture don't accept the form", async () => {
+  const chat = await startChat(baseUrl, TEST_BOT.id, 'conv_no_leads');
+  const res = await chat.post('/conversations/conv_no_leads/lead', { fields: { name: 'Kai' } });
+  assert.equal(res.status, 403);
+  assert.equal(leadsFor('conv_no_leads').length, 0);
+});
+
+test("leads can be listed and exported with the bot's field labels", async () => {
+  const { leads } = await (await listLeads()).json();
+  assert.deepEqual(leads.map(lead => lead.conversation_id).sort(), ['conv_lead_chat', 'conv_lead_form']);
+
+  const csv = await (await listLeads('csv')).text();
+  assert.equal(csv.split('\n')[0], 'Captured at,Name,Email,Party size,Source,Conversation');
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+import { startFakeOpenAi } from './helpers/fake-openai.js';
+
+// The fake model's behaviour is picked by the model name each bot asks for
+let flakyFailures = 0;
+const model = await startFakeOpenAi(request => {
+  if (request.model === 'broken-model') return { status: 500 };
+  if (request.model === 'flaky-model' && flakyFailures > 0) {
+    flakyFailures--;
+    return { status: 503 };
+  }
+  if (request.model === 'tool-model' && request.tools && request.tool_choice !== 'none') {
+    return {
+      toolCalls: [{
+        id: `call_${model.requests.length}`,
+        type: 'function',
+        function: { name: 'check_availability', arguments: JSON.stringify({ checkIn: '2026-11-01', checkOut: '2026-11-03' }) }
+      }]
+    };
+  }
+  return { content: `Reply from ${request.model}` };
+});
+
+const llmBot = (id, llm, extra = {}) => ({ ...TEST_BOT, id, llm: { provider: 'openai-compatible', baseURL: model.url, ...llm }, ...extra });
+const FLAKY_BOT = llmBot('bot_flaky', { model: 'flaky-model', maxRetries: 1 });
+const FALLBACK_BOT = llmBot('bot_fallback', { model: 'broken-model', maxRetries: 0, fallback: { provider: 'stub' } });
+const TOOL_BOT = llmBot('bot_tools', { model: 'tool-model' }, { tools: [{ name: 'check_availability', type: 'mock_availability' }] });
+
+let supabase, close, baseUrl;
+before(async () => ({ supabase, close, baseUrl } = await loadServer({ bots: [FLAKY_BOT, FALLBACK_BOT, TOOL_BOT] })));
+after(async () => {
+  await close();
+  await model.close();
+});
+
+const requestsFor = name => model.requests.filter(request => request.model === name);
+
+test('failed model calls are retried', async () => {
+  flakyFailures = 1;
+  const chat = await startChat(baseUrl, FLAKY_BOT.id, 'conv_flaky');
+  const { response } = await chat.send('Hello');
+  assert.equal(response, 'Reply from flaky-model');
+  assert.equal(requestsFor('flaky-model').length, 2);
+});
+
+test('the fallback provider answers when the primary one fails', async () => {
+  const chat = await startChat(baseUrl, FALLBACK_BOT.id, 'conv_fallback');
+  const { response } = await chat.send('Hello');
+  assert.equal(response, 'This is a test reply to: "Hello"');
+  assert.equal(requestsFor('broken-model').length, 1);
+
+  const usage = supabase.table('llm_usage').filter(u => u.chatbot_id === FALLBACK_BOT.id && u.purpose === 'chat');
+  assert.deepEqual(usage.map(u => [u.provider, u.model]), [['stub', 'stub']]);
+});
+
+test('after the last tool round the model still sees the tools but may not call them', async () => {
+  const chat = await startChat(baseUrl, TOOL_BOT.id, 'conv_tool_rounds');
+  const { response } = await chat.send('Is there a bed on November 1st?');
+  assert.equal(response, 'Reply from tool-model');
+
+  const requests = requestsFor('tool-model');
+  assert.equal(requests.length, 4);
+  assert.deepEqual(requests.map(request => request.tool_choice ?? null), [null, null, null, 'none']);
+  assert.ok(requests.every(request => request.tools?.[0].function.name === 'check_availability'));
+  assert.equal(supabase.table('tool_calls').filter(call => call.conversation_id === 'conv_tool_rounds').length, 3);
+});
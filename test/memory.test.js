@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+const MEMORY_BOT = { ...TEST_BOT, id: 'bot_memory', memory: { maxHistoryTurns: 1 } };
+
+let supabase, close, baseUrl;
+before(async () => ({ supabase, close, baseUrl } = await loadServer({ bots: [MEMORY_BOT] })));
+after(() => close());
+
+test('turns beyond maxHistoryTurns are summarized before the reply is sent', async () => {
+  const chat = await startChat(baseUrl, MEMORY_BOT.id, 'conv_memory');
+  await chat.send('We are two people arriving Friday');
+  assert.equal(supabase.table('conversations').find(c => c.id === 'conv_memory').summary, undefined);
+
+  await chat.send('Do you have a private room?');
+  const conversation = supabase.table('conversations').find(c => c.id === 'conv_memory');
+  assert.match(conversation.summary, /We are two people arriving Friday/);
+  assert.equal(conversation.message_count, 4);
+});
+
+test('history is only loaded from the same bot', async () => {
+  supabase.table('messages').push({ conversation_id: 'conv_shared', chatbot_id: 'bot_other', role: 'user', content: 'Secret from another bot' });
+  const chat = await startChat(baseUrl, MEMORY_BOT.id, 'conv_shared');
+  await chat.send('Hello');
+  await chat.send('Is there parking?');
+
+  // The oldest turn is summarized; it must be this bot's first message, not the other bot's
+  const conversation = supabase.table('conversations').find(c => c.id === 'conv_shared' && c.chatbot_id === MEMORY_BOT.id);
+  assert.match(conversation.summary, /user: Hello/);
+  assert.doesNotMatch(conversation.summary, /Secret/);
+});
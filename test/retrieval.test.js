@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+const RETRIEVAL_BOT = {
+  ...TEST_BOT,
+  id: 'bot_retrieval',
+  retrieval: { topK: 1 },
+  knowledgeBase: 'ROOMS:\nDorm beds and private rooms.\n\nPARKING:\nFree parking behind the hostel.\n\nBREAKFAST:\nPancakes every morning from 7am.'
+};
+
+let server, supabase, close, baseUrl;
+before(async () => ({ server, supabase, close, baseUrl } = await loadServer({ bots: [RETRIEVAL_BOT] })));
+after(() => close());
+
+const storedChunks = () => supabase.table('knowledge_chunks').filter(c => c.chatbot_id === RETRIEVAL_BOT.id);
+
+function updateKnowledgeBase(knowledgeBase) {
+  return fetch(`${baseUrl}/api/admin/chatbots/${RETRIEVAL_BOT.id}`, {
+    method: 'PATCH',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer test-admin-key' },
+    body: JSON.stringify({ knowledgeBase })
+  });
+}
+
+test('chunkKnowledgeBase splits on headings, then long sections on paragraphs', () => {
+  assert.deepEqual(server.chunkKnowledgeBase('ROOMS:\nDorm beds.\nCHECK-IN:\nFrom 3pm.', 800), ['ROOMS:\nDorm beds.', 'CHECK-IN:\nFrom 3pm.']);
+  assert.deepEqual(server.chunkKnowledgeBase(`FAQ:\n${'a'.repeat(30)}\n\n${'b'.repeat(30)}`, 40), [`FAQ:\n${'a'.repeat(30)}`, 'b'.repeat(30)]);
+  assert.deepEqual(server.chunkKnowledgeBase('', 800), []);
+});
+
+test('only the most relevant chunks are used for an answer', async () => {
+  const chat = await startChat(baseUrl, RETRIEVAL_BOT.id, 'conv_retrieval');
+  await chat.send('Is there parking?');
+
+  const answer = supabase.table('messages').find(m => m.conversation_id === 'conv_retrieval' && m.role === 'assistant');
+  assert.equal(answer.retrieved_chunk_ids.length, 1);
+  assert.match(storedChunks().find(c => c.id === answer.retrieved_chunk_ids[0]).content, /^PARKING:/);
+});
+
+test('repeated sections are stored as separate chunks and old chunks are replaced', async () => {
+  const footer = 'CONTACT:\nCall us anytime.';
+  assert.equal((await updateKnowledgeBase(`${footer}\n\nROOMS:\nDorm beds only.\n\n${footer}`)).status, 200);
+
+  const chunks = storedChunks().sort((a, b) => a.position - b.position);
+  assert.deepEqual(chunks.map(c => [c.position, c.content]), [[0, footer], [1, 'ROOMS:\nDorm beds only.'], [2, footer]]);
+  assert.equal(new Set(chunks.map(c => c.id)).size, 3);
+});
+
+test('a failed write keeps the previous chunks', async () => {
+  const previous = storedChunks().map(c => c.id).sort();
+  supabase.failNext('knowledge_chunks', 'POST');
+  assert.equal((await updateKnowledgeBase('ROOMS:\nPrivate rooms only.')).status, 200);
+  assert.deepEqual(storedChunks().map(c => c.id).sort(), previous);
+});
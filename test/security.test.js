@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers/server.js';
+
+let server, close;
+before(async () => ({ server, close } = await loadServer()));
+after(() => close());
+
+test('verifySessionToken returns the payload of a valid token', () => {
+  const payload = { scope: 'chat', chatbotId: 'bot_test', conversationId: 'conv_1', exp: Date.now() + 60000 };
+  assert.deepEqual(server.verifySessionToken(server.signSessionToken(payload)), payload);
+});
+
+test('verifySessionToken rejects expired, tampered and malformed tokens', () => {
+  const expired = server.signSessionToken({ scope: 'chat', exp: Date.now() - 1 });
+  assert.equal(server.verifySessionToken(expired), null);
+
+  const [body, signature] = server.signSessionToken({ scope: 'chat', exp: Date.now() + 60000 }).split('.');
+  const forged = Buffer.from(JSON.stringify({ scope: 'history', exp: Date.now() + 60000 })).toString('base64url');
+  assert.equal(server.verifySessionToken(`${forged}.${signature}`), null);
+  assert.equal(server.verifySessionToken(`${body}.x${signature.slice(1)}`), null);
+
+  [undefined, '', 'abc', 'a.b.c', ['a.b'], 42].forEach(token => assert.equal(server.verifySessionToken(token), null));
+});
+
+test('isOriginAllowed allows any origin when none are configured', () => {
+  assert.equal(server.isOriginAllowed('https://example.com', []), true);
+  assert.equal(server.isOriginAllowed(null, []), true);
+});
+
+test('isOriginAllowed matches exact origins and wildcard subdomains', () => {
+  const allowed = ['https://hostel.com', 'https://*.hostel.com'];
+  assert.equal(server.isOriginAllowed('https://hostel.com', allowed), true);
+  assert.equal(server.isOriginAllowed('HTTPS://Hostel.com', allowed), true);
+  assert.equal(server.isOriginAllowed('https://www.hostel.com', allowed), true);
+  assert.equal(server.isOriginAllowed('http://www.hostel.com', allowed), false);
+  assert.equal(server.isOriginAllowed('https://evilhostel.com', allowed), false);
+  assert.equal(server.isOriginAllowed('https://hostel.com.evil.com', allowed), false);
+  assert.equal(server.isOriginAllowed(null, allowed), false);
+});
+
+test('isOriginAllowed rejects origins that are not URLs', () => {
+  assert.equal(server.isOriginAllowed('null', ['https://*.hostel.com']), false);
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+import { startFakeOpenAi } from './helpers/fake-openai.js';
+
+// The fake model calls the bot's first tool, then answers with what the tool returned
+const model = await startFakeOpenAi(request => {
+  const last = request.messages.at(-1);
+  if (last.role === 'tool') return { content: `Tool said: ${last.content}` };
+  return {
+    toolCalls: [{ id: 'call_1', type: 'function', function: { name: request.tools[0].function.name, arguments: JSON.stringify({ date: '2026-11-01' }) } }]
+  };
+});
+
+// The business system the tools call
+const toolRequests = [];
+const toolServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    toolRequests.push({ headers: req.headers, body: JSON.parse(body) });
+    res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({ available: true }));
+  });
+});
+await new Promise(resolve => toolServer.listen(0, '127.0.0.1', resolve));
+
+const toolBot = (id, auth) => ({
+  ...TEST_BOT,
+  id,
+  llm: { provider: 'openai-compatible', baseURL: model.url, model: 'tool-model' },
+  tools: [{
+    name: 'check_rooms',
+    description: 'Check rooms for a date',
+    url: `http://127.0.0.1:${toolServer.address().port}/rooms`,
+    parameters: { type: 'object', properties: { date: { type: 'string' } }, required: ['date'] },
+    auth
+  }]
+});
+const TOOL_BOT = toolBot('bot_http_tool', { header: 'X-Api-Key', env: 'TOOL_SECRET_PMS' });
+const LEAKY_TOOL_BOT = toolBot('bot_leaky_tool', { header: 'X-Api-Key', env: 'SUPABASE_SERVICE_KEY' });
+
+let supabase, close, baseUrl;
+before(async () => ({ supabase, close, baseUrl } = await loadServer({ bots: [TOOL_BOT, LEAKY_TOOL_BOT], env: { TOOL_SECRET_PMS: 'pms-secret' } })));
+after(async () => {
+  delete process.env.ALLOW_PRIVATE_NETWORK_URLS;
+  await close();
+  await model.close();
+  await new Promise(resolve => toolServer.close(resolve));
+});
+
+test('tools on private addresses are never called', async () => {
+  const chat = await startChat(baseUrl, TOOL_BOT.id, 'conv_tool_private');
+  const { response } = await chat.send('Any rooms on November 1st?');
+  assert.equal(response, 'Tool said: {"error":"The system could not be reached"}');
+  assert.equal(toolRequests.length, 0);
+
+  const [call] = supabase.table('tool_calls').filter(c => c.conversation_id === 'conv_tool_private');
+  assert.equal(call.tool_name, 'check_rooms');
+  assert.equal(call.error, 'The system could not be reached');
+});
+
+test('tool calls send the arguments with the secret from a TOOL_SECRET_ variable', async () => {
+  process.env.ALLOW_PRIVATE_NETWORK_URLS = 'true';
+  const chat = await startChat(baseUrl, TOOL_BOT.id, 'conv_tool_call');
+  const { response } = await chat.send('Any rooms on November 1st?');
+  assert.equal(response, 'Tool said: {"available":true}');
+
+  assert.equal(toolRequests.length, 1);
+  assert.deepEqual(toolRequests[0].body, { date: '2026-11-01' });
+  assert.equal(toolRequests[0].headers['x-api-key'], 'pms-secret');
+});
+
+test('tools never send other server secrets', async () => {
+  process.env.ALLOW_PRIVATE_NETWORK_URLS = 'true';
+  toolRequests.length = 0;
+  const chat = await startChat(baseUrl, LEAKY_TOOL_BOT.id, 'conv_tool_leak');
+  const { response } = await chat.send('Any rooms on November 1st?');
+  assert.equal(response, 'Tool said: {"error":"Tool is not configured"}');
+  assert.equal(toolRequests.length, 0);
+});
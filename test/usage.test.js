@@ -0,0 +1,45 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+// Nothing has been spent yet, so a zero budget with a hard cap is already used up
+const CAPPED_BOT = { ...TEST_BOT, id: 'bot_capped', budget: { monthlyLimitUsd: 0, hardCap: true, capMessage: 'Please call us instead.' } };
+
+let supabase, close, baseUrl;
+before(async () => ({ supabase, close, baseUrl } = await loadServer({ bots: [TEST_BOT, CAPPED_BOT] })));
+after(() => close());
+
+const getUsage = query => fetch(`${baseUrl}/api/analytics/${TEST_BOT.id}/usage${query}`, { headers: { authorization: 'Bearer test-admin-key' } });
+
+test('usage reports reject invalid dates', async () => {
+  for (const query of ['?from=yesterday', '?to=2026-13-45']) {
+    const res = await getUsage(query);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'from and to must be ISO dates');
+  }
+  assert.equal((await getUsage('?from=2026-10-01&to=2026-10-31')).status, 200);
+});
+
+test('usage reports include the calls the chat made and the budget status', async () => {
+  const chat = await startChat(baseUrl, TEST_BOT.id, 'conv_usage');
+  await chat.send('Hello');
+  const [usage] = supabase.table('llm_usage').filter(u => u.conversation_id === 'conv_usage');
+  assert.deepEqual([usage.chatbot_id, usage.purpose, usage.provider, usage.model], [TEST_BOT.id, 'chat', 'stub', 'stub']);
+
+  const res = await getUsage('');
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).budget.status, 'unlimited');
+});
+
+test('budget cap replies are logged with the guest message', async () => {
+  for (const path of ['/message', '/stream']) {
+    const conversationId = `conv_capped${path.replace('/', '_')}`;
+    const chat = await startChat(baseUrl, CAPPED_BOT.id, conversationId);
+    const body = await (await chat.post(path, { conversationId, message: 'Hello' })).json();
+    assert.deepEqual(body, { response: 'Please call us instead.', budgetExceeded: true });
+
+    const logged = supabase.table('messages').filter(m => m.conversation_id === conversationId);
+    assert.deepEqual(logged.map(m => [m.role, m.content]), [['user', 'Hello'], ['assistant', 'Please call us instead.']]);
+    assert.equal(supabase.table('conversations').find(c => c.id === conversationId).message_count, 2);
+  }
+});
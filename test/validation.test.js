@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer } from './helpers/server.js';
+
+let server, close;
+before(async () => ({ server, close } = await loadServer()));
+after(() => close());
+
+test('validateChatbotFields accepts valid settings', () => {
+  assert.deepEqual(server.validateChatbotFields({
+    businessName: 'Test Hostel',
+    memory: { maxHistoryTurns: 5, summarizeOldTurns: false },
+    retrieval: { enabled: true, topK: 3 },
+    handoff: { enabled: true, waitingMessage: 'One moment' },
+    leadCapture: { enabled: true, fields: ['name', 'email', { key: 'budget', type: 'integer', label: 'Budget' }] },
+    active: false
+  }), []);
+});
+
+test('validateChatbotFields rejects unknown and mistyped fields', () => {
+  assert.deepEqual(server.validateChatbotFields({ id: 'other', businessName: '  ', memory: [], active: 'yes' }), [
+    'id is not an editable field',
+    'businessName cannot be empty',
+    'memory must be an object',
+    'active must be true or false'
+  ]);
+});
+
+test('validateChatbotFields checks nested settings', () => {
+  assert.deepEqual(server.validateChatbotFields({
+    memory: { maxHistoryTurns: 0 },
+    retrieval: { topK: 100 },
+    handoff: { botCanEscalate: 'no', releasedMessage: '' },
+    leadCapture: { fields: ['name', 'shoeSize', { key: '1st' }, 'name'] }
+  }), [
+    'memory.maxHistoryTurns must be an integer between 1 and 50',
+    'retrieval.topK must be an integer between 1 and 20',
+    'handoff.botCanEscalate must be true or false',
+    'handoff.releasedMessage must be a non-empty string',
+    'leadCapture.fields[1] must be one of: name, email, phone, partySize, checkIn, checkOut, roomType, notes or a custom field',
+    'leadCapture.fields[2].key must be 1-40 letters, numbers or _, starting with a letter',
+    'leadCapture.fields[3] "name" is listed twice'
+  ]);
+});
+
+test('validateChatbotFields keeps tools off private networks and server secrets', () => {
+  const errors = server.validateChatbotFields({
+    tools: [{
+      name: 'availability',
+      description: 'Check availability',
+      url: 'http://169.254.169.254/latest/meta-data',
+      auth: { header: 'Authorization', env: 'SUPABASE_SERVICE_KEY' }
+    }]
+  });
+  assert.ok(errors.includes('tools[0].url must not point at a private or local address'));
+  assert.ok(errors.includes('tools[0].auth.env must start with TOOL_SECRET_'));
+});
+
+test('validateChatbotFields only lets LLM keys come from LLM key variables', () => {
+  assert.deepEqual(server.validateChatbotFields({ llm: { provider: 'openai', apiKeyEnv: 'LLM_API_KEY_ACME' } }), []);
+  assert.equal(server.validateChatbotFields({ llm: { provider: 'openai', apiKeyEnv: 'SUPABASE_SERVICE_KEY' } }).length, 1);
+});
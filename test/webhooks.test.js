@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+const SECRET = 'test-webhook-secret-0123456789';
+const CLIENT_KEY = 'test-client-key';
+
+// A local receiver that records each delivery and fails the next `failures` of them with a 503
+const received = [];
+let failures = 0;
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (failures > 0) {
+      failures--;
+      return res.writeHead(503).end();
+    }
+    received.push({ headers: req.headers, body });
+    res.writeHead(204).end();
+  });
+});
+
+let server, supabase, close, baseUrl, webhookBot;
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  webhookBot = {
+    ...TEST_BOT,
+    id: 'bot_webhooks',
+    webhooks: [{ name: 'crm', url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['message.created'], secretEnv: 'WEBHOOK_SECRET_TEST' }]
+  };
+  ({ server, supabase, close, baseUrl } = await loadServer({
+    bots: [webhookBot, { ...TEST_BOT, id: 'bot_admin' }],
+    env: { WEBHOOK_SECRET_TEST: SECRET, ALLOW_PRIVATE_NETWORK_URLS: 'true', CRON_SECRET: 'test-cron-secret' }
+  }));
+  supabase.table('api_keys').push({
+    id: 'key_client',
+    name: 'Client',
+    key_hash: crypto.createHash('sha256').update(CLIENT_KEY).digest('hex'),
+    chatbot_ids: ['bot_admin'],
+    permissions: ['config:write']
+  });
+});
+after(async () => {
+  await close();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('timed out waiting for webhook deliveries');
+}
+
+function patchBot(key, fields) {
+  return fetch(`${baseUrl}/api/admin/chatbots/bot_admin`, {
+    method: 'PATCH',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${key}` },
+    body: JSON.stringify(fields)
+  });
+}
+
+test('webhook secrets can only come from WEBHOOK_SECRET_ variables', () => {
+  const webhook = { name: 'crm', url: 'https://crm.example.com/hook' };
+  assert.deepEqual(server.validateChatbotFields({ webhooks: [{ ...webhook, secretEnv: 'WEBHOOK_SECRET_CRM' }] }), []);
+  assert.deepEqual(server.validateChatbotFields({ webhooks: [{ ...webhook, secretEnv: 'SUPABASE_SERVICE_KEY' }] }), [
+    'webhooks[0].secretEnv must start with WEBHOOK_SECRET_'
+  ]);
+});
+
+test('only super-admin keys can point a webhook at a server secret', async () => {
+  const webhooks = [{ name: 'crm', url: 'https://crm.example.com/hook', secretEnv: 'WEBHOOK_SECRET_CRM' }];
+
+  const denied = await patchBot(CLIENT_KEY, { webhooks });
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).error, 'Only super-admin keys can change webhooks[].secretEnv');
+
+  const inlineSecret = await patchBot(CLIENT_KEY, { webhooks: [{ name: 'crm', url: 'https://crm.example.com/hook', secret: SECRET }] });
+  assert.equal(inlineSecret.status, 200);
+
+  assert.equal((await patchBot('test-admin-key', { webhooks })).status, 200);
+});
+
+test('events are delivered with a signature over the timestamp and body', async () => {
+  const chat = await startChat(baseUrl, webhookBot.id, 'conv_webhooks');
+  await chat.send('Hello');
+
+  const deliveries = await waitFor(() => received.length === 2 && received);
+  const events = deliveries.map(({ body }) => JSON.parse(body));
+  assert.deepEqual(events.map(event => [event.type, event.data.role]), [['message.created', 'user'], ['message.created', 'assistant']]);
+
+  deliveries.forEach(({ headers, body }) => {
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers['x-automagixx-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-automagixx-signature'], expected);
+  });
+});
+
+test('failed deliveries stay queued and are retried by the cron route', async () => {
+  received.length = 0;
+  failures = 2;
+  const chat = await startChat(baseUrl, webhookBot.id, 'conv_webhook_retry');
+  await chat.send('Hello again');
+
+  const queued = () => supabase.table('webhook_deliveries').filter(d => d.payload.data.conversationId === 'conv_webhook_retry');
+  await waitFor(() => queued().length === 2 && queued().every(d => d.status_code === 503));
+  queued().forEach(delivery => {
+    assert.equal(delivery.delivered, false);
+    assert.ok(delivery.next_attempt_at);
+  });
+
+  const res = await fetch(`${baseUrl}/api/cron`, { headers: { authorization: 'Bearer test-cron-secret' } });
+  assert.deepEqual(await res.json(), { webhooks: { due: 2, delivered: 2 } });
+  assert.deepEqual(queued().map(d => [d.delivered, d.attempt, d.next_attempt_at]), [[true, 2, null], [true, 2, null]]);
+  assert.equal(received.length, 2);
+});
@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServer, startChat, TEST_BOT } from './helpers/server.js';
+
+let close, baseUrl;
+before(async () => ({ close, baseUrl } = await loadServer()));
+after(() => close());
+
+const loadWidget = async chatbotId => (await fetch(`${baseUrl}/embed.js?id=${chatbotId}`)).text();
+
+test('bots without a welcome message get a neutral greeting with their name', async () => {
+  const widget = await loadWidget(TEST_BOT.id);
+  assert.ok(widget.includes("Hi! I'm here to help with any questions about Test Hostel. What would you like to know?"));
+  assert.ok(!widget.includes('Aloha'));
+});
+
+test('the widget script is valid JavaScript', async () => {
+  const widget = await loadWidget(TEST_BOT.id);
+  assert.doesNotThrow(() => new Function(widget));
+});
+
+test('live updates only accept the short-lived session token', async () => {
+  const { session } = await startChat(baseUrl, TEST_BOT.id, 'conv_live');
+  const events = token => fetch(`${baseUrl}/api/chat/${TEST_BOT.id}/conversations/conv_live/events?token=${encodeURIComponent(token)}`, {
+    signal: AbortSignal.timeout(5000)
+  });
+
+  assert.ok(session.historyToken);
+  assert.equal((await events(session.historyToken)).status, 401);
+
+  const stream = await events(session.token);
+  assert.equal(stream.status, 200);
+  const reader = stream.body.getReader();
+  const { value } = await reader.read();
+  assert.match(new TextDecoder().decode(value), /^event: status\ndata: {"conversationId":"conv_live","status":"bot"}/);
+  await reader.cancel();
+});
@@ -0,0 +1,47 @@
+-- Conversation browsing behind GET /api/admin/chatbots/:id/conversations and transcript search.
+-- Run once in the Supabase SQL editor (safe to re-run).
+
+-- Guest feedback on bot replies (POST .../messages/:messageId/feedback)
+alter table messages add column if not exists rating smallint;  -- 1 helpful, -1 not helpful
+alter table messages add column if not exists feedback_comment text;
+alter table messages add column if not exists rated_at timestamptz;
+create index if not exists messages_chatbot_rated_idx on messages (chatbot_id, rated_at) where rating is not null;
+
+-- Full-text search over message content (GET /api/admin/chatbots/:id/messages/search)
+create index if not exists messages_content_search_idx on messages using gin (to_tsvector('simple', content));
+
+-- One bot's conversations, newest first, with optional filters. total is the number of matches before paging.
+create or replace function list_conversations(
+  p_chatbot_id text,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_language text default null,
+  p_intent text default null,
+  p_handed_off boolean default null,
+  p_rated boolean default null,
+  p_limit int default 50,
+  p_offset int default 0
+)
+returns table (
+  id text, status text, language_detected text, message_count int, started_at timestamptz, ended_at timestamptz,
+  handoff_requested_at timestamptz, first_message text, intents text[], rated boolean, total bigint
+)
+language sql stable as $$
+  select c.id::text, c.status::text, c.language_detected::text, c.message_count::int, c.started_at, c.ended_at,
+    c.handoff_requested_at, m.first_message, m.intents, m.rated, count(*) over ()
+  from conversations c
+  cross join lateral (
+    select (array_agg(content order by created_at) filter (where role = 'user'))[1] as first_message,
+      coalesce(array_agg(distinct intent::text) filter (where intent is not null), '{}') as intents,
+      coalesce(bool_or(rating is not null), false) as rated
+    from messages
+    where conversation_id = c.id
+  ) m
+  where c.chatbot_id = p_chatbot_id and c.started_at >= p_from and c.started_at < p_to
+    and (p_language is null or c.language_detected = p_language)
+    and (p_intent is null or p_intent = any(m.intents))
+    and (p_handed_off is null or (c.handoff_requested_at is not null) = p_handed_off)
+    and (p_rated is null or m.rated = p_rated)
+  order by c.started_at desc
+  limit p_limit offset p_offset;
+$$;